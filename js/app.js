@@ -2,21 +2,24 @@
  * Mopec Equipment Configurator
  * Main Application Logic
  *
- * Handles UI interactions, state management, and user events.
+ * Turns UI events into actions on window.MopecStore (js/store.js) and renders
+ * the configuration from store subscriptions.
  */
 
 // ============================================
 // Application State
 // ============================================
-const AppState = {
-  product: 'maestro72',
-  features: ['touchscreen', 'heightAdjust', 'frontAirSystem'],
-  accessories: [],
-  sinkPosition: 'left',
-  baseStyle: 'pedestal', // 'pedestal' | 'legs' (preview toggle)
-  viewer: null,
-  currentStep: 1
-};
+// The configuration (plus its currency, price book, the quote's other stations,
+// its delivery and currentStep) lives in window.MopecStore, created by
+// js/core-runtime.js once the catalog is loaded; configuration rules run inside
+// its dispatch (js/rules-runtime.js).
+function getState() {
+  return window.MopecStore.getState();
+}
+
+function dispatch(action) {
+  return window.MopecStore.dispatch(action);
+}
 
 // ============================================
 // DOM Elements Cache
@@ -29,7 +32,8 @@ const DOM = {
 // Initialization
 // ============================================
 function initializeApp() {
-  // Cache DOM elements
+  // Build the option cards and toggles from the catalog, then cache DOM elements
+  renderOptionLists();
   cacheDOM();
 
   // Initialize UI
@@ -38,16 +42,42 @@ function initializeApp() {
   initializeAccessoryToggles();
   initializeSinkPositionSelector();
   initializeBaseStyleSelector();
-
-  // Set initial state
-  updateUI();
-  updateStepIndicators();
+  initializePricingSelectors();
+  initializeStations();
+  initializeDelivery();
 
   // Setup event listeners
   setupEventListeners();
 
-  // Sync 3D model with initial state
-  sync3DModel();
+  // Render the initial state and every change after it
+  subscribeToStore();
+  updateHistoryControls();
+  initializeOutbox();
+
+  // Restore a configuration shared by link
+  restoreShareLink(window.location.hash);
+}
+
+function subscribeToStore() {
+  const store = window.MopecStore;
+  const { selectors } = store;
+
+  store.select(selectors.product, renderProductInfo);
+  store.select(selectors.pricedConfig, renderSummary);
+  store.select(selectors.quote, renderQuote);
+  store.select(selectors.currency, renderCurrency);
+  store.select(selectors.priceBook, renderPriceBook);
+  store.select(selectors.destination, renderDestination);
+  store.select(selectors.services, renderServices);
+  store.select(selectors.step, renderStepIndicators);
+  store.select(selectors.modelConfig, sync3DModel);
+
+  // Rule reasons depend on the loaded rules as well as the configuration
+  renderOptions(store.getState());
+  store.subscribe(renderOptions);
+
+  store.subscribe(recordHistory);
+  store.subscribe(notifyRemovedOptions);
 }
 
 function cacheDOM() {
@@ -76,6 +106,161 @@ function cacheDOM() {
   DOM.dimLength = document.getElementById('dim-length');
   DOM.dimWidth = document.getElementById('dim-width');
   DOM.dimHeight = document.getElementById('dim-height');
+  DOM.reasonPopover = document.getElementById('rule-reason-popover');
+  DOM.savedConfigsModal = document.getElementById('saved-configs-modal');
+  DOM.savedConfigsList = document.getElementById('saved-configs-list');
+  DOM.savedConfigsEmpty = document.getElementById('saved-configs-empty');
+  DOM.savedConfigName = document.getElementById('saved-config-name');
+  DOM.quotesModal = document.getElementById('quotes-modal');
+  DOM.quotesList = document.getElementById('quotes-list');
+  DOM.quotesEmpty = document.getElementById('quotes-empty');
+  DOM.quotesCurrent = document.getElementById('quotes-current');
+  DOM.quotesNewBtn = document.getElementById('quotes-new-btn');
+  DOM.undoBtn = document.getElementById('undo-btn');
+  DOM.redoBtn = document.getElementById('redo-btn');
+  DOM.compareModal = document.getElementById('compare-modal');
+  DOM.compareTable = document.getElementById('compare-table');
+  DOM.compareAddColumn = document.getElementById('compare-add-column');
+  DOM.compareDifferencesOnly = document.getElementById('compare-differences-only');
+  DOM.currencySelect = document.getElementById('currency-select');
+  DOM.priceBookSelect = document.getElementById('price-book-select');
+  DOM.priceLabels = document.querySelectorAll('[data-price-section]');
+  DOM.stationList = document.getElementById('station-list');
+  DOM.addStationBtn = document.getElementById('add-station-btn');
+  DOM.duplicateStationBtn = document.getElementById('duplicate-station-btn');
+  DOM.quoteBreakdown = document.getElementById('quote-breakdown');
+  DOM.destinationCountry = document.getElementById('destination-country');
+  DOM.destinationLocation = document.getElementById('destination-location');
+  DOM.serviceOptions = document.getElementById('service-options');
+  DOM.quoteForm = document.getElementById('quote-form');
+  DOM.quoteFormError = document.getElementById('quote-form-error');
+  DOM.quoteSubmitBtn = document.getElementById('quote-submit-btn');
+  DOM.outboxBtn = document.getElementById('outbox-btn');
+  DOM.outboxCount = document.getElementById('outbox-count');
+  DOM.outboxModal = document.getElementById('outbox-modal');
+  DOM.outboxList = document.getElementById('outbox-list');
+  DOM.outboxEmpty = document.getElementById('outbox-empty');
+  DOM.outboxRetryAll = document.getElementById('outbox-retry-all');
+}
+
+// ============================================
+// Option Lists
+// ============================================
+// Icons for the sink position picker; positions without one get a plain station outline
+const SINK_POSITION_ICONS = {
+  left: '<rect x="3" y="8" width="6" height="8" rx="1" stroke-width="2" /><rect x="11" y="8" width="10" height="8" rx="1" stroke-width="2" stroke-dasharray="2 2" />',
+  center: '<rect x="3" y="8" width="6" height="8" rx="1" stroke-width="2" stroke-dasharray="2 2" /><rect x="9" y="8" width="6" height="8" rx="1" stroke-width="2" /><rect x="15" y="8" width="6" height="8" rx="1" stroke-width="2" stroke-dasharray="2 2" />',
+  right: '<rect x="3" y="8" width="10" height="8" rx="1" stroke-width="2" stroke-dasharray="2 2" /><rect x="15" y="8" width="6" height="8" rx="1" stroke-width="2" />',
+  none: '<rect x="3" y="8" width="18" height="8" rx="1" stroke-width="2" stroke-dasharray="2 2" /><path stroke-linecap="round" stroke-width="2" d="M6 12h12" />'
+};
+const DEFAULT_SINK_POSITION_ICON = '<rect x="3" y="8" width="18" height="8" rx="1" stroke-width="2" />';
+
+// Fills the [data-option-list] containers from the catalog (js/option-list.js);
+// runs before cacheDOM()
+function renderOptionLists() {
+  const { formatPrice } = window.MopecConfig;
+  const { currency } = getState();
+  const lists = window.MopecOptionList.buildOptionLists(window.MopecConfig, { currency });
+  // Price labels name their catalog entry so renderCurrency() can reprice them
+  const priceSections = { feature: 'FEATURES', accessory: 'ACCESSORIES' };
+  const container = (list, category) => document.querySelector(
+    category ? `[data-option-list="${list}"][data-option-category="${category}"]` : `[data-option-list="${list}"]`);
+
+  const badges = (option, size) => option.badges
+    .map(badge => `<span class="badge badge-${size} badge-${badge.tone} border-none ${size === 'sm' ? 'mb-1' : 'mt-1'}">${escapeHtml(badge.label)}</span>`)
+    .join('');
+
+  const productCard = product => `
+    <label
+      class="option-card cursor-pointer block rounded-lg p-3 bg-base-100 border border-base-300 touch-target relative"
+      data-product="${escapeHtml(product.id)}">
+      <input type="radio" name="product" value="${escapeHtml(product.id)}" class="sr-only">
+      <div class="flex items-center justify-between">
+        <div>
+          <p class="font-semibold text-sm">${escapeHtml(product.name)}</p>
+          <p class="text-xs text-base-content/60">${escapeHtml(product.subtitle)}</p>
+        </div>
+        <div class="text-right">
+          ${badges(product, 'sm')}
+          <p class="text-sm font-semibold text-success" data-price-section="PRODUCTS" data-price-id="${escapeHtml(product.id)}">
+            ${formatPrice(product.price, currency)}
+          </p>
+        </div>
+      </div>
+    </label>
+  `;
+
+  const optionToggle = (kind, option) => `
+    <label
+      class="flex items-center justify-between p-3 bg-base-100 rounded-lg cursor-pointer hover:bg-base-200 transition-colors touch-target"
+      data-${kind}="${escapeHtml(option.id)}">
+      <div class="flex items-center gap-3">
+        <input type="checkbox" class="checkbox checkbox-sm checkbox-primary">
+        <div>
+          <span class="font-medium text-sm">${escapeHtml(option.name)}</span>
+          <p class="text-xs text-base-content/60">${escapeHtml(option.description)}</p>
+          ${badges(option, 'xs')}
+        </div>
+      </div>
+      ${option.included
+        ? '<span class="text-sm font-medium text-base-content/50">Included</span>'
+        : `<span class="text-sm font-semibold text-success" data-price-section="${priceSections[kind]}"
+            data-price-id="${escapeHtml(option.id)}" data-price-prefix="+">+${formatPrice(option.price, currency)}</span>`}
+    </label>
+  `;
+
+  const sinkPosition = position => `
+    <label class="cursor-pointer" title="${escapeHtml(position.description)}">
+      <input type="radio" name="sinkPosition" value="${escapeHtml(position.id)}" class="sr-only peer">
+      <div
+        class="p-2 text-center border-2 border-base-300 rounded-lg peer-checked:border-primary peer-checked:bg-primary/10 transition-all">
+        <svg class="w-6 h-6 mx-auto mb-1 text-base-content/70" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          ${SINK_POSITION_ICONS[position.id] || DEFAULT_SINK_POSITION_ICON}
+        </svg>
+        <span class="text-xs">${escapeHtml(position.name)}</span>
+      </div>
+    </label>
+  `;
+
+  const products = container('products');
+  if (products) products.innerHTML = lists.products.map(productCard).join('');
+
+  const sinkPositions = container('sinkPositions');
+  if (sinkPositions) sinkPositions.innerHTML = lists.sinkPositions.map(sinkPosition).join('');
+
+  // Sections without a container of their own go in the first features list
+  const fallbackFeatures = container('features');
+  document.querySelectorAll('[data-option-list="features"]').forEach(list => {
+    list.innerHTML = '';
+  });
+  lists.features.forEach(group => {
+    const list = container('features', group.id) || fallbackFeatures;
+    if (list) list.insertAdjacentHTML('beforeend', group.options.map(option => optionToggle('feature', option)).join(''));
+  });
+
+  const accessories = container('accessories');
+  if (accessories) {
+    accessories.innerHTML = lists.accessories.map(group => `
+      <div data-option-category="${escapeHtml(group.id)}">
+        <p class="text-xs font-medium uppercase tracking-wide text-base-content/50 mb-1 px-1">${escapeHtml(group.name)}</p>
+        <div class="space-y-2">
+          ${group.options.map(option => optionToggle('accessory', option)).join('')}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  // Services are ordered with every unit of the quote (js/estimate.js)
+  const services = document.getElementById('service-options');
+  if (services) {
+    services.innerHTML = Object.values(window.MopecConfig.SERVICES).map(service => `
+      <label class="flex items-center gap-1 cursor-pointer" title="${escapeHtml(service.description || service.name)}">
+        <input type="checkbox" class="checkbox checkbox-xs checkbox-primary" value="${escapeHtml(service.id)}">
+        <span class="opacity-80">${escapeHtml(service.name)}</span>
+        <span class="opacity-60" data-price-section="SERVICES" data-price-id="${escapeHtml(service.id)}" data-price-prefix="+">+${formatPrice(service.price, currency)}</span>
+      </label>
+    `).join('');
+  }
 }
 
 // ============================================
@@ -98,37 +283,7 @@ function selectProduct(productId) {
     return;
   }
 
-  AppState.product = productId;
-  enforceProductConstraints(PRODUCTS[productId]);
-
-  // Update card selection UI
-  DOM.productCards.forEach(card => {
-    const isSelected = card.dataset.product === productId;
-    card.classList.toggle('selected', isSelected);
-    const radio = card.querySelector('input[type="radio"]');
-    if (radio) radio.checked = isSelected;
-  });
-
-  // Update model name display
-  if (DOM.modelName) {
-    DOM.modelName.textContent = PRODUCTS[productId].name;
-  }
-
-  // Update step indicator
-  AppState.currentStep = Math.max(AppState.currentStep, 1);
-  updateStepIndicators();
-
-  updateUI();
-  sync3DModel();
-}
-
-function enforceProductConstraints(product) {
-  const modelWidth = product?.modelWidth ?? 72;
-  const isDualUser = modelWidth >= 96;
-
-  if (!isDualUser) {
-    AppState.features = AppState.features.filter((id) => id !== 'secondSink');
-  }
+  dispatch(window.MopecStore.actions.selectProduct(productId));
 }
 
 // ============================================
@@ -138,11 +293,7 @@ function initializeFeatureToggles() {
   DOM.featureToggles.forEach(toggle => {
     const checkbox = toggle.querySelector('input[type="checkbox"]');
     if (checkbox) {
-      // Set initial state
       const featureId = toggle.dataset.feature;
-      checkbox.checked = AppState.features.includes(featureId);
-
-      // Add change listener
       checkbox.addEventListener('change', (e) => {
         toggleFeature(featureId, e.target.checked);
       });
@@ -151,36 +302,7 @@ function initializeFeatureToggles() {
 }
 
 function toggleFeature(featureId, enabled) {
-  const { FEATURES } = window.MopecConfig;
-
-  // Don't allow toggling of included features
-  if (FEATURES[featureId]?.included) {
-    return;
-  }
-
-  if (featureId === 'secondSink') {
-    const { PRODUCTS } = window.MopecConfig;
-    const modelWidth = PRODUCTS[AppState.product]?.modelWidth ?? 72;
-    if (modelWidth < 96) {
-      // Safety: UI should disable this, but don't let state drift.
-      return;
-    }
-  }
-
-  if (enabled) {
-    if (!AppState.features.includes(featureId)) {
-      AppState.features.push(featureId);
-    }
-  } else {
-    AppState.features = AppState.features.filter(id => id !== featureId);
-  }
-
-  // Update step indicator
-  AppState.currentStep = Math.max(AppState.currentStep, 2);
-  updateStepIndicators();
-
-  updateUI();
-  sync3DModel();
+  dispatch(window.MopecStore.actions.toggleFeature(featureId, enabled));
 }
 
 // ============================================
@@ -191,8 +313,6 @@ function initializeAccessoryToggles() {
     const checkbox = toggle.querySelector('input[type="checkbox"]');
     if (checkbox) {
       const accessoryId = toggle.dataset.accessory;
-      checkbox.checked = AppState.accessories.includes(accessoryId);
-
       checkbox.addEventListener('change', (e) => {
         toggleAccessory(accessoryId, e.target.checked);
       });
@@ -201,20 +321,7 @@ function initializeAccessoryToggles() {
 }
 
 function toggleAccessory(accessoryId, enabled) {
-  if (enabled) {
-    if (!AppState.accessories.includes(accessoryId)) {
-      AppState.accessories.push(accessoryId);
-    }
-  } else {
-    AppState.accessories = AppState.accessories.filter(id => id !== accessoryId);
-  }
-
-  // Update step indicator
-  AppState.currentStep = Math.max(AppState.currentStep, 4);
-  updateStepIndicators();
-
-  updateUI();
-  sync3DModel();
+  dispatch(window.MopecStore.actions.toggleAccessory(accessoryId, enabled));
 }
 
 // ============================================
@@ -222,10 +329,6 @@ function toggleAccessory(accessoryId, enabled) {
 // ============================================
 function initializeSinkPositionSelector() {
   DOM.sinkPositionInputs.forEach(input => {
-    if (input.value === AppState.sinkPosition) {
-      input.checked = true;
-    }
-
     input.addEventListener('change', (e) => {
       setSinkPosition(e.target.value);
     });
@@ -233,19 +336,7 @@ function initializeSinkPositionSelector() {
 }
 
 function setSinkPosition(position) {
-  AppState.sinkPosition = position;
-
-  // Update display
-  if (DOM.sinkPositionDisplay) {
-    DOM.sinkPositionDisplay.textContent = position.charAt(0).toUpperCase() + position.slice(1);
-  }
-
-  // Update step indicator
-  AppState.currentStep = Math.max(AppState.currentStep, 3);
-  updateStepIndicators();
-
-  updateUI();
-  sync3DModel();
+  dispatch(window.MopecStore.actions.setSinkPosition(position));
 }
 
 // ============================================
@@ -255,24 +346,487 @@ function initializeBaseStyleSelector() {
   if (!DOM.baseStyleInputs || DOM.baseStyleInputs.length === 0) return;
 
   DOM.baseStyleInputs.forEach((input) => {
-    input.checked = input.value === AppState.baseStyle;
     input.addEventListener('change', () => {
       if (!input.checked) return;
-      if (input.value !== 'pedestal' && input.value !== 'legs') return;
-      AppState.baseStyle = input.value;
-      sync3DModel();
+      if (!window.MopecCore.BASE_STYLES.includes(input.value)) return;
+      dispatch(window.MopecStore.actions.setBaseStyle(input.value));
+    });
+  });
+}
+
+// ============================================
+// Pricing Selectors (price book, currency)
+// ============================================
+function initializePricingSelectors() {
+  const { PRICE_BOOKS, CURRENCIES } = window.MopecConfig;
+  const { actions } = window.MopecStore;
+
+  const fill = (select, entries, label, action) => {
+    if (!select) return;
+    select.innerHTML = Object.values(entries)
+      .map(entry => `<option value="${escapeHtml(entry.id)}" title="${escapeHtml(entry.description || entry.name)}">${escapeHtml(label(entry))}</option>`)
+      .join('');
+    // A catalog with a single price book or currency has nothing to choose
+    select.classList.toggle('hidden', Object.keys(entries).length < 2);
+    select.addEventListener('change', () => dispatch(action(select.value)));
+  };
+
+  fill(DOM.priceBookSelect, PRICE_BOOKS, book => book.name, actions.setPriceBook);
+  fill(DOM.currencySelect, CURRENCIES, currency => currency.id, actions.setCurrency);
+}
+
+// Everything showing a catalog price follows the selected currency (the summary
+// and totals re-render through selectors.pricedConfig)
+function renderCurrency(currency) {
+  const { formatPrice, getPrice } = window.MopecConfig;
+
+  if (DOM.currencySelect) DOM.currencySelect.value = currency;
+  DOM.priceLabels.forEach(label => {
+    const price = formatPrice(getPrice(label.dataset.priceSection, label.dataset.priceId, currency), currency);
+    label.textContent = `${label.dataset.pricePrefix || ''}${price}`;
+  });
+  renderProductInfo(window.MopecStore.selectors.product(getState()));
+  if (DOM.compareModal?.open) renderCompare();
+}
+
+// The summary and totals re-render through selectors.pricedConfig; the
+// comparison prices with the book too
+function renderPriceBook(priceBook) {
+  if (DOM.priceBookSelect) DOM.priceBookSelect.value = priceBook;
+  if (DOM.compareModal?.open) renderCompare();
+}
+
+// ============================================
+// Stations (multi-station quotes)
+// ============================================
+function initializeStations() {
+  const { actions, selectors } = window.MopecStore;
+
+  if (DOM.addStationBtn) {
+    DOM.addStationBtn.addEventListener('click', () => dispatch(actions.addStation()));
+  }
+  if (DOM.duplicateStationBtn) {
+    DOM.duplicateStationBtn.addEventListener('click', () => {
+      const active = selectors.stations(getState()).find(station => station.active);
+      dispatch(actions.addStation({ name: `${active.name} (copy)`, config: active.config }));
+    });
+  }
+  if (!DOM.stationList) return;
+
+  DOM.stationList.addEventListener('change', (e) => {
+    const control = e.target.closest('[data-station-action]');
+    const item = e.target.closest('[data-station-id]');
+    if (!control || !item) return;
+    handleStationAction(item.dataset.stationId, control.dataset.stationAction, control);
+  });
+  DOM.stationList.addEventListener('click', (e) => {
+    const control = e.target.closest('[data-station-action="remove"]');
+    const item = e.target.closest('[data-station-id]');
+    if (control && item) handleStationAction(item.dataset.stationId, 'remove', control);
+  });
+}
+
+function handleStationAction(id, action, control) {
+  const { actions, selectors } = window.MopecStore;
+  try {
+    switch (action) {
+      case 'select':
+        dispatch(actions.selectStation(id));
+        break;
+      case 'rename':
+        dispatch(actions.renameStation(id, control.value));
+        break;
+      case 'quantity':
+        dispatch(actions.setStationQuantity(id, Number(control.value)));
+        break;
+      case 'remove':
+        dispatch(actions.removeStation(id));
+        break;
+    }
+  } catch (err) {
+    showToast(escapeHtml(err.message.replace(/^MopecQuote: /, '')), 'error');
+    // Put back what the store still has (e.g. the previous name or quantity)
+    renderQuote(selectors.quote(getState()));
+  }
+}
+
+// ============================================
+// Delivery (destination and services)
+// ============================================
+function initializeDelivery() {
+  const { EXPORT_COUNTRIES } = window.MopecConfig;
+  const { HOME_COUNTRY } = window.MopecEstimate;
+  const { actions } = window.MopecStore;
+
+  if (DOM.destinationCountry) {
+    const exports = Object.values(EXPORT_COUNTRIES)
+      .map(country => `<option value="${escapeHtml(country.id)}">${escapeHtml(country.name)}</option>`)
+      .join('');
+    DOM.destinationCountry.innerHTML = `
+      <option value="">Not set</option>
+      <option value="${HOME_COUNTRY}">United States</option>
+      ${exports ? `<optgroup label="Export">${exports}</optgroup>` : ''}
+    `;
+    DOM.destinationCountry.addEventListener('change', () => {
+      const country = DOM.destinationCountry.value;
+      // A US destination waits for its state or ZIP; until then there is nothing to estimate
+      if (country === HOME_COUNTRY) {
+        DOM.destinationLocation?.classList.remove('hidden');
+        if (DOM.destinationLocation?.value.trim()) {
+          updateDestination({ country, location: DOM.destinationLocation.value });
+        } else {
+          dispatch(actions.setDestination(null));
+          DOM.destinationLocation?.focus();
+        }
+        return;
+      }
+      updateDestination(country ? { country } : null);
+    });
+  }
+
+  if (DOM.destinationLocation) {
+    DOM.destinationLocation.addEventListener('change', () => {
+      updateDestination({ country: HOME_COUNTRY, location: DOM.destinationLocation.value });
+    });
+  }
+
+  if (DOM.serviceOptions) {
+    DOM.serviceOptions.addEventListener('change', (e) => {
+      if (e.target.matches('input[type="checkbox"]')) dispatch(actions.toggleService(e.target.value, e.target.checked));
+    });
+  }
+}
+
+function updateDestination(destination) {
+  const { actions, selectors } = window.MopecStore;
+  try {
+    dispatch(actions.setDestination(destination));
+  } catch (err) {
+    showToast(escapeHtml(err.message.replace(/^MopecEstimate: /, '')), 'error');
+    renderDestination(selectors.destination(getState()));
+  }
+}
+
+// While a US destination is being entered the store has none yet, so the
+// controls keep what was typed
+function renderDestination(destination) {
+  const { HOME_COUNTRY } = window.MopecEstimate;
+  if (!DOM.destinationCountry) return;
+
+  if (destination) {
+    DOM.destinationCountry.value = destination.country;
+    if (DOM.destinationLocation) DOM.destinationLocation.value = destination.location || '';
+  } else if (DOM.destinationCountry.value !== HOME_COUNTRY) {
+    DOM.destinationCountry.value = '';
+  }
+  DOM.destinationLocation?.classList.toggle('hidden', DOM.destinationCountry.value !== HOME_COUNTRY);
+}
+
+function renderServices(services) {
+  DOM.serviceOptions?.querySelectorAll('input[type="checkbox"]').forEach(input => {
+    input.checked = services.includes(input.value);
+  });
+}
+
+// Station list, the quote breakdown (stations subtotal and volume discount, then
+// services, freight and tax) and the grand total everywhere a total is shown
+function renderQuote(quote) {
+  const { formatPrice, getConfigSummary } = window.MopecConfig;
+  const { MAX_QUANTITY } = window.MopecQuote;
+  const money = amount => formatPrice(amount, quote.currency);
+  const single = quote.stations.length === 1;
+
+  if (DOM.stationList) {
+    DOM.stationList.innerHTML = quote.stations.map(station => `
+      <li class="flex items-center gap-1" data-station-id="${escapeHtml(station.id)}">
+        <input type="radio" name="active-station" class="radio radio-xs radio-primary" data-station-action="select"
+          ${station.active ? 'checked' : ''} aria-label="Configure ${escapeHtml(station.name)}">
+        <input type="text" class="input input-ghost input-xs flex-1 min-w-0 px-1 ${station.active ? 'font-semibold' : 'opacity-80'}" maxlength="60"
+          value="${escapeHtml(station.name)}" data-station-action="rename" aria-label="Rename station">
+        <input type="number" class="input input-xs w-14 bg-white/10 border-white/20" min="1" max="${MAX_QUANTITY}" step="1"
+          value="${station.quantity}" data-station-action="quantity" aria-label="Quantity of ${escapeHtml(station.name)}">
+        <span class="w-20 text-right whitespace-nowrap opacity-80">${money(station.net)}</span>
+        <button type="button" class="btn btn-xs btn-ghost btn-square" data-station-action="remove"
+          ${single ? 'disabled' : ''} aria-label="Remove ${escapeHtml(station.name)}">✕</button>
+      </li>
+    `).join('');
+  }
+
+  if (DOM.quoteBreakdown) {
+    const { charges } = quote;
+    const rows = [];
+    if (quote.quantity > 1) {
+      rows.push([`Stations subtotal (${quote.quantity} units)`, money(quote.subtotal)]);
+      if (quote.volumeTier) {
+        rows.push([`Volume discount: ${quote.volumeTier.name} (${quote.volumeTier.percent}%)`, `−${money(quote.volumeDiscount)}`]);
+      }
+    }
+    charges.services.forEach(service => {
+      rows.push([quote.quantity > 1 ? `${service.name} × ${service.quantity}` : service.name, money(service.net)]);
+    });
+    if (charges.freight) {
+      rows.push([`Freight to ${charges.destination.label}`, money(charges.freight.amount)]);
+    }
+    if (charges.tax) {
+      rows.push(charges.destination.state
+        ? [`Sales tax, ${charges.destination.state.id} (${charges.tax.rate}%)`, money(charges.tax.amount)]
+        : ['Sales tax (export)', money(0)]);
+    }
+    DOM.quoteBreakdown.innerHTML = rows.map(([label, amount]) => `
+      <div class="flex justify-between gap-2 opacity-80">
+        <span>${escapeHtml(label)}</span>
+        <span class="text-right whitespace-nowrap">${amount}</span>
+      </div>
+    `).join('');
+    DOM.quoteBreakdown.classList.toggle('hidden', rows.length === 0);
+  }
+
+  if (DOM.totalPrice) DOM.totalPrice.textContent = quote.formattedGrandTotal;
+  if (DOM.mobileTotal) DOM.mobileTotal.textContent = quote.formattedGrandTotal;
+  if (DOM.modalTotal) DOM.modalTotal.textContent = quote.formattedGrandTotal;
+
+  // The quote request lists every station
+  if (DOM.modalConfigSummary) {
+    DOM.modalConfigSummary.textContent = single && quote.quantity === 1
+      ? getConfigSummary(quote.stations[0].config)
+      : quote.stations.map(station => `${station.quantity} × ${station.name}: ${getConfigSummary(station.config)}`).join('; ');
+  }
+}
+
+// ============================================
+// Configuration Rules
+// ============================================
+// Target key ('features:secondSink') -> reasons it is hidden, disabled, required or auto-selected.
+// Each reason: { kind, ruleId, ruleName, action, triggers: [{ componentId, optionId, label }] }
+const OptionReasons = new Map();
+
+const REASON_LABELS = {
+  hidden: 'Hidden',
+  disabled: 'Unavailable',
+  required: 'Required',
+  autoSelected: 'Auto-selected',
+  included: 'Included'
+};
+
+function isOptionSelected(state, key) {
+  const [group, id] = key.split(':');
+  const value = state[group];
+  return Array.isArray(value) ? value.includes(id) : value === id;
+}
+
+function collectOptionReasons(state, ruleResult) {
+  const { FEATURES, ACCESSORIES } = window.MopecConfig;
+  OptionReasons.clear();
+
+  const add = (key, kind, reason) => {
+    if (!OptionReasons.has(key)) OptionReasons.set(key, []);
+    OptionReasons.get(key).push({ kind, ...reason });
+  };
+
+  if (ruleResult) {
+    ruleResult.hidden.forEach((reasons, key) => reasons.forEach(reason => add(key, 'hidden', reason)));
+    ruleResult.required.forEach((reasons, key) => reasons.forEach(reason => add(key, 'required', reason)));
+    ruleResult.autoSelected.forEach((reasons, key) => {
+      if (isOptionSelected(state, key)) reasons.forEach(reason => add(key, 'autoSelected', reason));
+    });
+  }
+
+  Object.values(FEATURES).forEach(feature => {
+    if (!feature.included) return;
+    add(`features:${feature.id}`, 'included', {
+      ruleId: 'included',
+      ruleName: 'Included with every Maestro',
+      action: 'include',
+      triggers: []
     });
   });
+
+  // Catalog constraints (availableOn, requiresSink, requires, excludes)
+  [['features', FEATURES], ['accessories', ACCESSORIES]].forEach(([group, entries]) => {
+    Object.keys(entries).forEach(id => {
+      window.MopecCore.getOptionProblems(state, group, id).forEach(problem => add(`${group}:${id}`, 'disabled', {
+        ruleId: `catalog-${problem.code}`,
+        ruleName: problem.message,
+        action: 'disable',
+        triggers: problem.triggers
+      }));
+    });
+  });
+}
+
+function hasReason(key, kind) {
+  return (OptionReasons.get(key) || []).some(reason => reason.kind === kind);
+}
+
+function updateOptionAvailability(state) {
+  DOM.productCards.forEach(card => {
+    const productId = card.dataset.product;
+    const key = `product:${productId}`;
+    card.classList.toggle('hidden', hasReason(key, 'hidden'));
+    card.classList.toggle('selected', productId === state.product);
+    const radio = card.querySelector('input[type="radio"]');
+    if (radio) radio.checked = productId === state.product;
+    renderOptionReasons(card, key);
+  });
+
+  const syncToggle = (toggle, key, selected) => {
+    const isDisabled = hasReason(key, 'disabled');
+    toggle.classList.toggle('hidden', hasReason(key, 'hidden'));
+    toggle.classList.toggle('opacity-50', isDisabled);
+    toggle.classList.toggle('cursor-not-allowed', isDisabled);
+    const checkbox = toggle.querySelector('input[type="checkbox"]');
+    if (checkbox) {
+      checkbox.checked = selected && !isDisabled;
+      checkbox.disabled = isDisabled || hasReason(key, 'required') || hasReason(key, 'included');
+    }
+    renderOptionReasons(toggle, key);
+  };
+
+  DOM.featureToggles.forEach(toggle => {
+    const featureId = toggle.dataset.feature;
+    syncToggle(toggle, `features:${featureId}`, state.features.includes(featureId));
+  });
+
+  DOM.accessoryToggles.forEach(toggle => {
+    const accessoryId = toggle.dataset.accessory;
+    syncToggle(toggle, `accessories:${accessoryId}`, state.accessories.includes(accessoryId));
+  });
+
+  DOM.sinkPositionInputs.forEach(input => {
+    const key = `sinkPosition:${input.value}`;
+    const label = input.closest('label');
+    if (label) {
+      label.classList.toggle('hidden', hasReason(key, 'hidden'));
+      renderOptionReasons(label, key);
+    }
+    input.checked = input.value === state.sinkPosition;
+  });
+
+  DOM.baseStyleInputs.forEach(input => {
+    input.classList.toggle('hidden', hasReason(`baseStyle:${input.value}`, 'hidden'));
+    input.checked = input.value === state.baseStyle;
+  });
+
+  updateHiddenOptionSummaries();
+}
+
+function optionKeyOf(element) {
+  if (element.dataset.product) return `product:${element.dataset.product}`;
+  if (element.dataset.feature) return `features:${element.dataset.feature}`;
+  if (element.dataset.accessory) return `accessories:${element.dataset.accessory}`;
+  const input = element.matches('input') ? element : element.querySelector('input[name="sinkPosition"], input[name="baseStyle"]');
+  if (input) return `${input.name}:${input.value}`;
+  return null;
+}
+
+function getOptionName(key) {
+  const { PRODUCTS, FEATURES, ACCESSORIES, SINK_POSITIONS } = window.MopecConfig;
+  const [group, id] = key.split(':');
+  const sources = { product: PRODUCTS, features: FEATURES, accessories: ACCESSORIES, sinkPosition: SINK_POSITIONS };
+  if (group === 'sinkPosition') return `Sink: ${SINK_POSITIONS[id]?.name || id}`;
+  if (group === 'baseStyle') return id === 'legs' ? '4-leg frame' : 'Center pedestal';
+  return sources[group]?.[id]?.name || id;
+}
+
+function describeReasons(reasons) {
+  return reasons.map(reason => `${REASON_LABELS[reason.kind]}: ${reason.ruleName}`).join('\n');
+}
+
+// Machine-readable reasons live on the element (data-rule-reasons); the info
+// button opens them as a popover.
+function renderOptionReasons(element, key) {
+  const reasons = (OptionReasons.get(key) || []).filter(reason => reason.kind !== 'hidden');
+  let button = element.querySelector('.rule-reason-btn');
+
+  if (reasons.length === 0) {
+    delete element.dataset.ruleReasons;
+    element.removeAttribute('title');
+    if (button) button.remove();
+    return;
+  }
+
+  element.dataset.ruleReasons = JSON.stringify(reasons);
+  element.title = describeReasons(reasons);
+
+  if (!button) {
+    button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'rule-reason-btn btn btn-ghost btn-xs btn-circle text-info ml-1 align-middle';
+    button.setAttribute('aria-label', 'Why is this option restricted?');
+    button.innerHTML = `
+      <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+      </svg>
+    `;
+    button.addEventListener('click', (e) => {
+      // Keep the surrounding label / card from toggling the option
+      e.preventDefault();
+      e.stopPropagation();
+      showReasonPopover(button, [key], reasons => reasons.filter(reason => reason.kind !== 'hidden'));
+    });
+    const nameEl = element.querySelector('.font-medium, .font-semibold, .text-xs');
+    (nameEl || element).appendChild(button);
+  }
+}
+
+function updateHiddenOptionSummaries() {
+  document.querySelectorAll('[data-rule-hidden-summary]').forEach(summary => {
+    const section = summary.closest('.collapse-content') || summary.parentElement;
+    const keys = Array.from(section.querySelectorAll('[data-product], [data-feature], [data-accessory], input[name="sinkPosition"], input[name="baseStyle"]'))
+      .map(optionKeyOf)
+      .filter(key => key && hasReason(key, 'hidden'));
+
+    summary.classList.toggle('hidden', keys.length === 0);
+    summary.dataset.ruleKeys = keys.join(',');
+    const count = summary.querySelector('[data-rule-hidden-count]');
+    if (count) {
+      count.textContent = `${keys.length} option${keys.length === 1 ? '' : 's'} hidden by configuration rules`;
+    }
+  });
+}
+
+function showReasonPopover(anchor, keys, filter = reasons => reasons) {
+  const popover = DOM.reasonPopover;
+  if (!popover || typeof popover.showPopover !== 'function') return;
+
+  popover.innerHTML = keys.map(key => {
+    const reasons = filter(OptionReasons.get(key) || []);
+    const items = reasons.map(reason => {
+      const triggers = reason.triggers.map(trigger => escapeHtml(trigger.label || trigger.optionId)).join(', ');
+      return `
+        <li class="mt-1">
+          <span class="badge badge-xs badge-outline">${REASON_LABELS[reason.kind]}</span>
+          <span class="font-medium">${escapeHtml(reason.ruleName)}</span>
+          ${triggers ? `<p class="text-xs text-base-content/60">Because: ${triggers}</p>` : ''}
+        </li>
+      `;
+    }).join('');
+    return `<div class="mb-2 last:mb-0"><p class="font-semibold">${escapeHtml(getOptionName(key))}</p><ul>${items}</ul></div>`;
+  }).join('');
+
+  const rect = anchor.getBoundingClientRect();
+  popover.style.top = `${Math.round(rect.bottom + 6)}px`;
+  popover.style.left = `${Math.round(Math.max(8, Math.min(rect.left, window.innerWidth - 296)))}px`;
+  if (popover.matches(':popover-open')) popover.hidePopover();
+  popover.showPopover();
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 // ============================================
 // Step Indicators
 // ============================================
-function updateStepIndicators() {
+function renderStepIndicators(currentStep) {
   const steps = document.querySelectorAll('.steps .step');
   steps.forEach((step, index) => {
     const stepNum = index + 1;
-    if (stepNum <= AppState.currentStep) {
+    if (stepNum <= currentStep) {
       step.classList.add('step-primary');
     } else {
       step.classList.remove('step-primary');
@@ -283,41 +837,12 @@ function updateStepIndicators() {
 // ============================================
 // 3D Model Synchronization
 // ============================================
-function sync3DModel() {
+function sync3DModel(modelConfig) {
   if (typeof window.update3DModel !== 'function') {
     return;
   }
 
-  const { PRODUCTS, getModelWidth } = window.MopecConfig;
-  const product = PRODUCTS[AppState.product];
-
-  if (!product) return;
-
-  // Build model configuration
-  const modelConfig = {
-    width: getModelWidth(AppState.product),
-    baseStyle: AppState.baseStyle,
-    sinkPosition: AppState.sinkPosition,
-    hasHeightAdjust: AppState.features.includes('heightAdjust'),
-    hasFrontAirSystem: AppState.features.includes('frontAirSystem'),
-    hasFormalinDetection: AppState.features.includes('formalinDetection'),
-    hasDowndraftVent: AppState.features.includes('downdraftVent'),
-    hasDisposal: AppState.features.includes('disposal'),
-    hasSecondSink: AppState.features.includes('secondSink'),
-    hasPathCam: AppState.accessories.includes('pathCam'),
-    hasMonitorArm: AppState.accessories.includes('monitorArm'),
-    hasMagnetBar: AppState.accessories.includes('magnetBar'),
-    hasDrawers: AppState.accessories.includes('drawerSystem'),
-    hasLedStrip: AppState.accessories.includes('ledLightStrip'),
-    hasPegboardWing: AppState.accessories.includes('pegboardWing'),
-    hasFormalinDispenser: AppState.accessories.includes('formalinDispenser')
-  };
-
-  // Update 3D model
   window.update3DModel(modelConfig);
-
-  // Update dimension annotations
-  updateDimensionAnnotations(product);
 }
 
 function updateDimensionAnnotations(product) {
@@ -335,16 +860,15 @@ function updateDimensionAnnotations(product) {
 // ============================================
 // UI Updates
 // ============================================
-function updateUI() {
-  const { PRODUCTS, FEATURES, ACCESSORIES, formatPrice, calculateTotal, getConfigSummary } = window.MopecConfig;
-
-  const product = PRODUCTS[AppState.product];
+function renderProductInfo(product) {
   if (!product) return;
 
-  // Enforce product-specific constraints (e.g., features only available on larger models)
-  enforceProductConstraints(product);
+  const { formatPrice, getPrice } = window.MopecConfig;
+  const { currency } = getState();
 
-  // Update product info
+  if (DOM.modelName) {
+    DOM.modelName.textContent = product.name;
+  }
   if (DOM.dimensions) {
     DOM.dimensions.textContent = `${product.dimensions.length} x ${product.dimensions.width}`;
   }
@@ -355,26 +879,7 @@ function updateUI() {
     DOM.material.textContent = product.material;
   }
   if (DOM.basePrice) {
-    DOM.basePrice.textContent = formatPrice(product.basePrice);
-  }
-
-  // Update sink position display
-  if (DOM.sinkPositionDisplay) {
-    DOM.sinkPositionDisplay.textContent = AppState.sinkPosition.charAt(0).toUpperCase() + AppState.sinkPosition.slice(1);
-  }
-
-  // Feature availability: Second sink only on 96" models
-  const secondSinkToggle = Array.from(DOM.featureToggles || []).find(t => t.dataset.feature === 'secondSink');
-  if (secondSinkToggle) {
-    const checkbox = secondSinkToggle.querySelector('input[type="checkbox"]');
-    const isDualUser = (product.modelWidth ?? 72) >= 96;
-    if (checkbox) {
-      checkbox.disabled = !isDualUser;
-      checkbox.checked = isDualUser && AppState.features.includes('secondSink');
-    }
-    secondSinkToggle.classList.toggle('opacity-50', !isDualUser);
-    secondSinkToggle.classList.toggle('cursor-not-allowed', !isDualUser);
-    secondSinkToggle.title = isDualUser ? '' : 'Available on 96" models only';
+    DOM.basePrice.textContent = formatPrice(getPrice('PRODUCTS', product.id, currency), currency);
   }
 
   // Update specifications panel
@@ -386,71 +891,69 @@ function updateUI() {
     `;
   }
 
-  // Update counts
-  const featuresCount = AppState.features.filter(id => !FEATURES[id]?.included).length;
-  const accessoriesCount = AppState.accessories.length;
+  updateDimensionAnnotations(product);
+}
 
-  if (DOM.featuresCount) {
-    DOM.featuresCount.textContent = featuresCount;
-  }
-  if (DOM.accessoriesCount) {
-    DOM.accessoriesCount.textContent = accessoriesCount;
-  }
+// Reflect rule results and catalog constraints (with their reasons) in the toggles
+function renderOptions(state) {
+  if (!window.MopecConfig.PRODUCTS[state.product]) return;
 
-  // Build summary list
-  updateSummaryList(product);
+  const ruleResult = window.MopecRules ? window.MopecRules.evaluate(state) : null;
+  collectOptionReasons(state, ruleResult);
+  updateOptionAvailability(state);
+}
 
-  // Calculate and display total
-  const total = calculateTotal(AppState);
-  const formattedTotal = formatPrice(total);
+function renderSummary(config) {
+  const { PRODUCTS } = window.MopecConfig;
+  const { selectors } = window.MopecStore;
 
-  if (DOM.totalPrice) DOM.totalPrice.textContent = formattedTotal;
-  if (DOM.mobileTotal) DOM.mobileTotal.textContent = formattedTotal;
-  if (DOM.modalTotal) DOM.modalTotal.textContent = formattedTotal;
+  const product = PRODUCTS[config.product];
+  if (!product) return;
 
-  // Update modal summary
-  if (DOM.modalConfigSummary) {
-    DOM.modalConfigSummary.textContent = getConfigSummary(AppState);
+  // Update sink position display
+  if (DOM.sinkPositionDisplay) {
+    DOM.sinkPositionDisplay.textContent = config.sinkPosition.charAt(0).toUpperCase() + config.sinkPosition.slice(1);
   }
+
+  // Update counts
+  if (DOM.featuresCount) {
+    DOM.featuresCount.textContent = selectors.optionalFeatureCount(config);
+  }
+  if (DOM.accessoriesCount) {
+    DOM.accessoriesCount.textContent = selectors.accessoryCount(config);
+  }
+
+  // Build summary list (the totals cover every station, see renderQuote)
+  updateSummaryList(config);
 }
 
-function updateSummaryList(product) {
+// One row per charged line: list price, discount and net when the price book
+// discounts it, else just the price
+function updateSummaryList(config) {
   if (!DOM.summaryList) return;
 
-  const { FEATURES, ACCESSORIES, formatPrice } = window.MopecConfig;
-
-  let html = `
-    <div class="flex justify-between opacity-80">
-      <span>Base Unit</span>
-      <span>${formatPrice(product.basePrice)}</span>
+  const { FEATURES, calculateTotal, formatPrice, getPriceBook } = window.MopecConfig;
+  const pricing = calculateTotal(config);
+  const money = amount => formatPrice(amount, pricing.currency);
+  const row = (label, amount, extraClass = '') => `
+    <div class="flex justify-between gap-2 opacity-80 ${extraClass}">
+      <span>${escapeHtml(label)}</span>
+      <span class="text-right whitespace-nowrap">${amount}</span>
     </div>
   `;
-
-  // Add features
-  AppState.features.forEach(featureId => {
-    const feature = FEATURES[featureId];
-    if (feature && !feature.included) {
-      html += `
-        <div class="flex justify-between opacity-80">
-          <span>${feature.name}</span>
-          <span>${formatPrice(feature.price)}</span>
-        </div>
-      `;
-    }
-  });
-
-  // Add accessories
-  AppState.accessories.forEach(accessoryId => {
-    const accessory = ACCESSORIES[accessoryId];
-    if (accessory) {
-      html += `
-        <div class="flex justify-between opacity-80">
-          <span>${accessory.name}</span>
-          <span>${formatPrice(accessory.price)}</span>
-        </div>
-      `;
-    }
-  });
+  const lineAmount = line => (line.discount > 0
+    ? `<span class="line-through opacity-60">${money(line.list)}</span> <span class="opacity-60">−${money(line.discount)}</span> ${money(line.net)}`
+    : money(line.net));
+
+  let html = pricing.lines
+    .filter(line => !(line.section === 'FEATURES' && FEATURES[line.id].included))
+    .map(line => row(line.section === 'PRODUCTS' ? 'Base Unit' : window.MopecConfig[line.section][line.id].name, lineAmount(line)))
+    .join('');
+
+  if (pricing.discount > 0) {
+    html += row('List total', money(pricing.list), 'border-t border-white/10 pt-1');
+    html += row(`${getPriceBook(pricing.priceBook).name} discount`, `−${money(pricing.discount)}`);
+  }
 
   DOM.summaryList.innerHTML = html;
 }
@@ -459,94 +962,945 @@ function updateSummaryList(product) {
 // Event Listeners
 // ============================================
 function setupEventListeners() {
+  // "n options hidden" notes open the reasons for every hidden option in their section
+  document.querySelectorAll('[data-rule-hidden-summary]').forEach(summary => {
+    summary.addEventListener('click', () => {
+      const keys = (summary.dataset.ruleKeys || '').split(',').filter(Boolean);
+      if (keys.length > 0) showReasonPopover(summary, keys);
+    });
+  });
+
+  // Saved configuration entries (load / rename / duplicate / delete)
+  if (DOM.savedConfigsList) {
+    const onSavedAction = (e) => {
+      const control = e.target.closest('[data-saved-action]');
+      const item = e.target.closest('[data-saved-id]');
+      if (!control || !item) return;
+      const action = control.dataset.savedAction;
+      // Renames commit on change; clicks into the name field do nothing
+      if ((e.type === 'change') !== (action === 'rename')) return;
+      handleSavedConfigurationAction(item.dataset.savedId, action, control);
+    };
+    DOM.savedConfigsList.addEventListener('click', onSavedAction);
+    DOM.savedConfigsList.addEventListener('change', onSavedAction);
+  }
+
+  // Issued quotes (revise / delete, a revision's PDF)
+  if (DOM.quotesList) {
+    DOM.quotesList.addEventListener('click', (e) => {
+      const control = e.target.closest('[data-quote-action]');
+      const item = e.target.closest('[data-quote-id]');
+      if (!control || !item) return;
+      handleQuoteAction(item.dataset.quoteId, control.dataset.quoteAction, control.closest('[data-revision]')?.dataset.revision);
+    });
+  }
+
+  // Compare view: column pickers, column removal, differences filter
+  if (DOM.compareTable) {
+    DOM.compareTable.addEventListener('change', (e) => {
+      const select = e.target.closest('[data-compare-column]');
+      if (!select) return;
+      CompareState.sources[Number(select.dataset.compareColumn)] = select.value;
+      renderCompare();
+    });
+    DOM.compareTable.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-compare-remove]');
+      if (!remove) return;
+      CompareState.sources.splice(Number(remove.dataset.compareRemove), 1);
+      renderCompare();
+    });
+  }
+  if (DOM.compareDifferencesOnly) {
+    DOM.compareDifferencesOnly.addEventListener('change', () => renderCompare());
+  }
+  if (DOM.compareModal) {
+    DOM.compareModal.addEventListener('close', disposeComparePreviews);
+  }
+
+  // A field marked invalid stops being marked once it's edited
+  if (DOM.quoteForm) {
+    DOM.quoteForm.addEventListener('input', (e) => {
+      e.target.classList?.remove('input-error', 'textarea-error');
+      e.target.removeAttribute?.('aria-invalid');
+    });
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); Cmd on macOS
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEntry(e.target)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      window.undoChange();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      window.redoChange();
+    }
+  });
+
+  // Share links pasted into an open tab
+  window.addEventListener('hashchange', () => restoreShareLink(window.location.hash));
+
   // Accordion change events for step tracking
   document.querySelectorAll('.collapse input[type="radio"]').forEach((input, index) => {
     input.addEventListener('change', () => {
       if (input.checked) {
-        AppState.currentStep = Math.max(AppState.currentStep, index + 1);
-        updateStepIndicators();
+        dispatch(window.MopecStore.actions.advanceStep(index + 1));
       }
     });
   });
 }
 
 // ============================================
-// Global Functions (for inline handlers)
+// Undo / Redo
 // ============================================
-window.resetConfiguration = function() {
-  const { DEFAULT_CONFIG, PRODUCTS } = window.MopecConfig;
-
-  AppState.product = DEFAULT_CONFIG.product;
-  AppState.features = [...DEFAULT_CONFIG.features];
-  AppState.accessories = [...DEFAULT_CONFIG.accessories];
-  AppState.sinkPosition = DEFAULT_CONFIG.sinkPosition;
-  AppState.baseStyle = DEFAULT_CONFIG.baseStyle || 'pedestal';
-  AppState.currentStep = 1;
+// Store subscriber: records every configuration change except undo / redo
+// themselves (no-ops are ignored)
+function recordHistory(state, previousState, action) {
+  if (action.history === false || action.type === window.MopecStore.ActionTypes.RULES_LOADED) return;
+
+  // Undo history covers the station being edited; switching stations starts a fresh one
+  if (state.activeStation !== previousState.activeStation) {
+    window.MopecUndoHistory.clear();
+    updateHistoryControls();
+    return;
+  }
 
-  // Reset product cards
-  DOM.productCards.forEach(card => {
-    const isDefault = card.dataset.product === DEFAULT_CONFIG.product;
-    card.classList.toggle('selected', isDefault);
-    const radio = card.querySelector('input[type="radio"]');
-    if (radio) radio.checked = isDefault;
+  const { snapshotConfig } = window.MopecCore;
+  const recorded = window.MopecUndoHistory.record({
+    label: describeAction(action, state),
+    before: snapshotConfig(previousState),
+    after: snapshotConfig(state)
   });
+  if (recorded) updateHistoryControls();
+}
 
-  // Reset feature checkboxes
-  DOM.featureToggles.forEach(toggle => {
-    const featureId = toggle.dataset.feature;
-    const checkbox = toggle.querySelector('input[type="checkbox"]');
-    if (checkbox && !checkbox.disabled) {
-      checkbox.checked = DEFAULT_CONFIG.features.includes(featureId);
+function describeAction(action, state) {
+  const { PRODUCTS, FEATURES, ACCESSORIES, SINK_POSITIONS } = window.MopecConfig;
+  const { ActionTypes } = window.MopecStore;
+  const addOrRemove = (selected, entry) => `${selected ? 'Add' : 'Remove'} ${entry.name}`;
+
+  switch (action.type) {
+    case ActionTypes.SELECT_PRODUCT:
+      return `Select ${PRODUCTS[action.productId].name}`;
+    case ActionTypes.TOGGLE_FEATURE:
+      return addOrRemove(state.features.includes(action.featureId), FEATURES[action.featureId]);
+    case ActionTypes.TOGGLE_ACCESSORY:
+      return addOrRemove(state.accessories.includes(action.accessoryId), ACCESSORIES[action.accessoryId]);
+    case ActionTypes.SET_SINK_POSITION:
+      return `Sink position: ${SINK_POSITIONS[action.position].name}`;
+    case ActionTypes.SET_BASE_STYLE:
+      return `Base: ${action.baseStyle === 'legs' ? 'Legs' : 'Pedestal'}`;
+    case ActionTypes.LOAD_CONFIG:
+      return action.label;
+    case ActionTypes.RESET:
+      return 'Reset';
+    default:
+      return action.type;
+  }
+}
+
+// Switching models or sink, or turning an option off, can strip the options the catalog
+// constraints tie to it; say so rather than doing it silently
+function notifyRemovedOptions(state, previousState, action) {
+  const reason = removalReason(state, action);
+  if (!reason) return;
+
+  const { FEATURES, ACCESSORIES } = window.MopecConfig;
+  const toggled = action.featureId || action.accessoryId;
+  const removed = [
+    ...previousState.features.filter(id => !state.features.includes(id) && id !== toggled).map(id => FEATURES[id].name),
+    ...previousState.accessories.filter(id => !state.accessories.includes(id) && id !== toggled).map(id => ACCESSORIES[id].name)
+  ];
+  if (removed.length === 0) return;
+
+  showToast(`${escapeHtml(removed.join(', '))} removed: ${escapeHtml(reason)}. Press Ctrl+Z to undo.`, 'warning');
+}
+
+function removalReason(state, action) {
+  const { ActionTypes } = window.MopecStore;
+  const { PRODUCTS, FEATURES, ACCESSORIES } = window.MopecConfig;
+  switch (action.type) {
+    case ActionTypes.SELECT_PRODUCT:
+      return `not available on ${PRODUCTS[state.product].name}`;
+    case ActionTypes.SET_SINK_POSITION:
+      return state.sinkPosition === 'none' ? 'needs a sink' : null;
+    case ActionTypes.TOGGLE_FEATURE:
+      if (state.features.includes(action.featureId)) return null;
+      return `requires ${FEATURES[action.featureId]?.name || action.featureId}`;
+    case ActionTypes.TOGGLE_ACCESSORY:
+      if (state.accessories.includes(action.accessoryId)) return null;
+      return `requires ${ACCESSORIES[action.accessoryId]?.name || action.accessoryId}`;
+    default:
+      return null;
+  }
+}
+
+function updateHistoryControls() {
+  const undo = window.MopecUndoHistory.peekUndo();
+  const redo = window.MopecUndoHistory.peekRedo();
+
+  if (DOM.undoBtn) {
+    DOM.undoBtn.disabled = !undo;
+    DOM.undoBtn.title = undo ? `Undo: ${undo.label} (Ctrl+Z)` : 'Nothing to undo';
+  }
+  if (DOM.redoBtn) {
+    DOM.redoBtn.disabled = !redo;
+    DOM.redoBtn.title = redo ? `Redo: ${redo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+}
+
+// Keep native undo in text fields
+function isTextEntry(element) {
+  if (!(element instanceof Element)) return false;
+  return element.isContentEditable ||
+    element.matches('textarea, select, input:not([type="checkbox"]):not([type="radio"]):not([type="button"])');
+}
+
+// ============================================
+// Share Links
+// ============================================
+// A restored link or saved configuration covers every step up to accessories
+const CONFIGURED_STEP = 4;
+
+function getShareLink() {
+  const view = typeof window.getCameraView === 'function' ? window.getCameraView() : null;
+  const hash = window.MopecShareLink.encodeShareLink(getState(), view);
+  return `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`;
+}
+
+function restoreShareLink(hash) {
+  const { isShareLink, decodeShareLink } = window.MopecShareLink;
+  if (!isShareLink(hash)) return false;
+
+  const { state, view, errors, warnings } = decodeShareLink(hash, { rules: window.MopecRules });
+  if (!state) {
+    showToast(`Shared link not applied: ${escapeHtml(errors.join('; '))}`, 'error');
+    return false;
+  }
+
+  dispatch(window.MopecStore.actions.loadConfig(state, { label: 'Open shared link', step: CONFIGURED_STEP }));
+  if (view && typeof window.setCameraView === 'function') {
+    window.setCameraView(view);
+  }
+  showLoadedToast('Shared configuration loaded', warnings);
+  return true;
+}
+
+// What validateConfig warned about is applied anyway (duplicates merged, rules
+// enforced), so say what changed
+function showLoadedToast(message, warnings) {
+  if (warnings.length === 0) {
+    showToast(message, 'success');
+  } else {
+    showToast(`${message}. ${escapeHtml(warnings.join('; '))}`, 'warning');
+  }
+}
+
+// ============================================
+// Saved Configurations
+// ============================================
+function renderSavedConfigurations() {
+  if (!DOM.savedConfigsList) return;
+
+  const { PRODUCTS, PRICE_BOOKS, CATALOG_INFO, formatPrice } = window.MopecConfig;
+  const entries = window.MopecSavedConfigurations ? window.MopecSavedConfigurations.list() : [];
+
+  if (DOM.savedConfigsEmpty) {
+    DOM.savedConfigsEmpty.classList.toggle('hidden', entries.length > 0);
+  }
+
+  DOM.savedConfigsList.innerHTML = entries.map(entry => {
+    const productName = PRODUCTS[entry.state.product]?.name || entry.state.product;
+    // Totals priced with another book than the default say which
+    const priceBook = entry.priceBook && entry.priceBook !== CATALOG_INFO.priceBook ? PRICE_BOOKS[entry.priceBook]?.name : null;
+    const savedAt = new Date(entry.savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    const thumbnail = typeof entry.thumbnail === 'string' && entry.thumbnail.startsWith('data:image/')
+      ? `<img class="w-20 h-14 object-cover rounded bg-base-300 shrink-0" src="${escapeHtml(entry.thumbnail)}" alt="">`
+      : '<div class="w-20 h-14 rounded bg-base-300 shrink-0"></div>';
+
+    return `
+      <li class="flex items-center gap-3 p-2 rounded-lg bg-base-200" data-saved-id="${escapeHtml(entry.id)}">
+        ${thumbnail}
+        <div class="flex-1 min-w-0">
+          <input type="text" class="input input-ghost input-sm w-full font-medium px-1" maxlength="80"
+            value="${escapeHtml(entry.name)}" data-saved-action="rename" aria-label="Rename configuration">
+          <p class="text-xs text-base-content/60 px-1 truncate">
+            ${escapeHtml(productName)} · ${formatPrice(entry.total, entry.currency)}${priceBook ? ` (${escapeHtml(priceBook)})` : ''} · ${escapeHtml(savedAt)}
+          </p>
+        </div>
+        <div class="flex flex-col gap-1 shrink-0">
+          <button type="button" class="btn btn-xs btn-primary" data-saved-action="load">Load</button>
+          <button type="button" class="btn btn-xs btn-ghost" data-saved-action="duplicate">Duplicate</button>
+          <button type="button" class="btn btn-xs btn-ghost text-error" data-saved-action="delete">Delete</button>
+        </div>
+      </li>
+    `;
+  }).join('');
+}
+
+function loadSavedConfiguration(id) {
+  const entry = window.MopecSavedConfigurations.get(id);
+  if (!entry) return;
+
+  const { valid, errors, warnings } = window.MopecCore.validateConfig(entry.state, { rules: window.MopecRules });
+  if (!valid) {
+    const messages = errors.map(error => error.message).join('; ');
+    showToast(`"${escapeHtml(entry.name)}" can't be loaded: ${escapeHtml(messages)}`, 'error');
+    return;
+  }
+
+  dispatch(window.MopecStore.actions.loadConfig(entry.state, { label: `Load "${entry.name}"`, step: CONFIGURED_STEP }));
+  if (DOM.savedConfigsModal) DOM.savedConfigsModal.close();
+  showLoadedToast(`Loaded "${escapeHtml(entry.name)}"`, warnings.map(warning => warning.message));
+}
+
+function handleSavedConfigurationAction(id, action, element) {
+  const store = window.MopecSavedConfigurations;
+  try {
+    if (action === 'load') {
+      loadSavedConfiguration(id);
+      return;
     }
-  });
+    if (action === 'rename') {
+      if (!element.value.trim()) {
+        showToast('A saved configuration needs a name', 'error');
+      } else {
+        store.rename(id, element.value);
+      }
+    } else if (action === 'duplicate') {
+      store.duplicate(id);
+    } else if (action === 'delete') {
+      const entry = store.get(id);
+      if (!entry || !window.confirm(`Delete "${entry.name}"?`)) return;
+      store.remove(id);
+      showToast(`Deleted "${escapeHtml(entry.name)}"`, 'info');
+    }
+  } catch (err) {
+    showToast(err.name === 'QuotaExceededError'
+      ? 'Browser storage is full; delete a saved configuration first'
+      : 'Saved configurations could not be updated', 'error');
+  }
+  renderSavedConfigurations();
+}
 
-  // Reset accessory checkboxes
-  DOM.accessoryToggles.forEach(toggle => {
-    const checkbox = toggle.querySelector('input[type="checkbox"]');
-    if (checkbox) checkbox.checked = false;
-  });
+// ============================================
+// Issued Quotes (numbers, expiry and revisions)
+// ============================================
+// The quote the PDF buttons issue revisions of (js/quote-documents.js); none until
+// the first PDF, and again after "Start a new quote"
+let currentQuoteId = null;
 
-  // Reset sink position
-  DOM.sinkPositionInputs.forEach(input => {
-    input.checked = input.value === DEFAULT_CONFIG.sinkPosition;
-  });
+const formatDate = iso => new Date(iso).toLocaleDateString(undefined, { dateStyle: 'medium' });
+
+function renderQuotes() {
+  if (!DOM.quotesList) return;
+
+  const { compareRevisions, latestRevision, isExpired } = window.MopecQuoteDocuments;
+  const { formatPrice } = window.MopecConfig;
+  const quotes = window.MopecSavedQuotes.list();
+  const current = quotes.find(quote => quote.id === currentQuoteId);
+
+  if (DOM.quotesEmpty) DOM.quotesEmpty.classList.toggle('hidden', quotes.length > 0);
+  if (DOM.quotesCurrent) {
+    DOM.quotesCurrent.textContent = current
+      ? `The next PDF revises quote ${current.number} (once something changed or it expired)`
+      : 'The next PDF starts a new quote';
+  }
+  if (DOM.quotesNewBtn) DOM.quotesNewBtn.disabled = !current;
+
+  const revisionItem = (quote, revision, index) => {
+    const total = formatPrice(revision.quote.grandTotal, revision.quote.currency);
+    let changes = '';
+    if (index > 0) {
+      const previous = quote.revisions[index - 1];
+      const diff = compareRevisions(previous, revision);
+      const difference = diff.total.difference
+        ? ` (${diff.total.difference > 0 ? '+' : '-'}${formatPrice(Math.abs(diff.total.difference), diff.total.currency)})`
+        : '';
+      const items = diff.changes.length > 0
+        ? diff.changes.map(change => `<li>${escapeHtml(change.scope)}: ${escapeHtml(change.message)}</li>`).join('')
+        : `<li>Re-issued unchanged (revision ${previous.label} expired)</li>`;
+      changes = `
+        <p class="text-base-content/60 mt-1">Changes since revision ${previous.label}${difference}:</p>
+        <ul class="list-disc ml-5 text-base-content/70">${items}</ul>
+      `;
+    }
+    return `
+      <li class="p-2 rounded bg-base-100" data-revision="${revision.label}">
+        <div class="flex items-center justify-between gap-2">
+          <span><strong>Revision ${revision.label}</strong> · ${escapeHtml(formatDate(revision.issuedAt))} · ${total}</span>
+          <button type="button" class="btn btn-xs btn-ghost" data-quote-action="pdf">PDF</button>
+        </div>
+        ${changes}
+      </li>
+    `;
+  };
+
+  DOM.quotesList.innerHTML = quotes.map(quote => {
+    const latest = latestRevision(quote);
+    const expired = isExpired(latest);
+    const revisions = quote.revisions.map((revision, index) => revisionItem(quote, revision, index)).reverse().join('');
+    return `
+      <li class="p-2 rounded-lg bg-base-200" data-quote-id="${escapeHtml(quote.id)}">
+        <div class="flex items-center gap-3">
+          <div class="flex-1 min-w-0">
+            <p class="font-medium text-sm flex flex-wrap items-center gap-1">
+              ${escapeHtml(quote.number)}
+              <span class="badge badge-sm">Rev ${latest.label}</span>
+              ${quote.id === currentQuoteId ? '<span class="badge badge-sm badge-primary">Current</span>' : ''}
+              ${expired ? '<span class="badge badge-sm badge-warning">Expired</span>' : ''}
+            </p>
+            <p class="text-xs text-base-content/60 truncate">
+              ${latest.quote.quantity} ${latest.quote.quantity === 1 ? 'unit' : 'units'} · ${formatPrice(latest.quote.grandTotal, latest.quote.currency)} ·
+              ${expired ? 'expired' : 'valid until'} ${escapeHtml(formatDate(latest.expiresAt))}
+            </p>
+          </div>
+          <div class="flex flex-col gap-1 shrink-0">
+            <button type="button" class="btn btn-xs btn-primary" data-quote-action="revise">Revise</button>
+            <button type="button" class="btn btn-xs btn-ghost text-error" data-quote-action="delete">Delete</button>
+          </div>
+        </div>
+        <details class="mt-2 text-xs">
+          <summary class="cursor-pointer">${quote.revisions.length} ${quote.revisions.length === 1 ? 'revision' : 'revisions'}</summary>
+          <ul class="space-y-2 mt-2">${revisions}</ul>
+        </details>
+      </li>
+    `;
+  }).join('');
+}
+
+// Open a quote's latest revision in the configurator; the next PDF issues its next revision
+function reviseQuote(id) {
+  const quote = window.MopecSavedQuotes.get(id);
+  if (!quote) return;
+
+  const latest = window.MopecQuoteDocuments.latestRevision(quote);
+  try {
+    dispatch(window.MopecStore.actions.loadQuote(latest.state));
+  } catch (err) {
+    // e.g. a model or option the catalog no longer offers
+    showToast(`Quote ${escapeHtml(quote.number)} can't be opened: ${escapeHtml(err.message.replace(/^Mopec\w+: /, ''))}`, 'error');
+    return;
+  }
+  dispatch(window.MopecStore.actions.advanceStep(CONFIGURED_STEP));
+  window.MopecUndoHistory.clear();
+  updateHistoryControls();
+  currentQuoteId = quote.id;
+  if (DOM.quotesModal) DOM.quotesModal.close();
+  showToast(`Opened quote ${escapeHtml(quote.number)} revision ${latest.label}; the next PDF issues its changes as a new revision`, 'info');
+}
 
-  // Reset base style preview
-  if (DOM.baseStyleInputs) {
-    DOM.baseStyleInputs.forEach(input => {
-      input.checked = input.value === AppState.baseStyle;
+function handleQuoteAction(id, action, label) {
+  const quotes = window.MopecSavedQuotes;
+  try {
+    if (action === 'pdf') {
+      window.downloadPDF(id, label);
+      return;
+    }
+    if (action === 'revise') {
+      reviseQuote(id);
+      return;
+    }
+    if (action === 'delete') {
+      const quote = quotes.get(id);
+      if (!quote || !window.confirm(`Delete quote ${quote.number} and all its revisions?`)) return;
+      quotes.remove(id);
+      if (currentQuoteId === id) currentQuoteId = null;
+      showToast(`Deleted quote ${escapeHtml(quote.number)}`, 'info');
+    }
+  } catch (err) {
+    showToast(err.name === 'QuotaExceededError'
+      ? 'Browser storage is full; delete an old quote first'
+      : 'Issued quotes could not be updated', 'error');
+  }
+  renderQuotes();
+}
+
+// ============================================
+// Bill of Materials Export
+// ============================================
+const BOM_FORMATS = {
+  csv: { type: 'text/csv;charset=utf-8', write: bom => window.MopecBom.bomToCsv(bom) },
+  json: { type: 'application/json', write: bom => `${JSON.stringify(bom, null, 2)}\n` }
+};
+
+// The issued quote the configuration is, so purchasing can cite it; null once it changed or expired
+function currentQuoteReference() {
+  const { latestRevision, matchesRevision, isExpired } = window.MopecQuoteDocuments;
+  const quote = window.MopecSavedQuotes.get(currentQuoteId);
+  const revision = quote && latestRevision(quote);
+  if (!revision || isExpired(revision) || !matchesRevision(revision, getState())) return null;
+  return `${quote.number} rev ${revision.label}`;
+}
+
+function downloadFile(filename, type, text) {
+  // Excel only reads CSV as UTF-8 with a byte order mark
+  const blob = new Blob([type.startsWith('text/csv') ? '\uFEFF' : '', text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============================================
+// Compare View
+// ============================================
+// Column sources: 'current', 'product:<id>' (current options on another model) or 'saved:<id>'
+const CompareState = {
+  sources: [],
+  previews: []
+};
+
+// The current options moved to another model, minus what that model can't take
+function productVariant(productId) {
+  const core = window.MopecCore;
+  const state = core.snapshotConfig(core.selectProduct(getState(), productId));
+
+  // Evaluate only: apply() would advance the live engine's auto-select bookkeeping
+  const ruleResult = window.MopecRules ? window.MopecRules.evaluate(state) : null;
+  if (ruleResult) {
+    ruleResult.hidden.forEach((reasons, key) => {
+      const [group, id] = key.split(':');
+      if (Array.isArray(state[group])) state[group] = state[group].filter(value => value !== id);
     });
   }
+  return state;
+}
 
-  // Update model name
-  if (DOM.modelName) {
-    DOM.modelName.textContent = PRODUCTS[DEFAULT_CONFIG.product].name;
+function getCompareSources() {
+  const { PRODUCTS } = window.MopecConfig;
+  const current = getState();
+  const sources = [{ value: 'current', label: 'Current configuration', state: () => window.MopecCore.snapshotConfig(current) }];
+
+  Object.values(PRODUCTS)
+    .filter(product => product.id !== current.product)
+    .forEach(product => sources.push({
+      value: `product:${product.id}`,
+      label: `Current options on ${product.name}`,
+      state: () => productVariant(product.id)
+    }));
+
+  const saved = window.MopecSavedConfigurations ? window.MopecSavedConfigurations.list() : [];
+  saved
+    .filter(entry => window.MopecCore.validateConfig(entry.state).valid)
+    .forEach(entry => sources.push({ value: `saved:${entry.id}`, label: `Saved: ${entry.name}`, state: () => entry.state }));
+
+  return sources;
+}
+
+// Baseline is the current configuration; the default partner is the next
+// smaller model (or next larger)
+function defaultCompareSources() {
+  const productIds = Object.values(window.MopecConfig.PRODUCTS)
+    .sort((a, b) => a.modelWidth - b.modelWidth)
+    .map(product => product.id);
+  const index = productIds.indexOf(getState().product);
+  const partner = productIds[index > 0 ? index - 1 : index + 1];
+  return partner ? ['current', `product:${partner}`] : ['current', 'current'];
+}
+
+function disposeComparePreviews() {
+  CompareState.previews.forEach(preview => preview.dispose());
+  CompareState.previews = [];
+}
+
+function renderCompare() {
+  if (!DOM.compareTable) return;
+
+  const { MAX_COMPARED, MIN_COMPARED, compareConfigurations } = window.MopecCompare;
+  const { formatPrice } = window.MopecConfig;
+  const { currency, priceBook } = getState();
+  const available = getCompareSources();
+
+  // Sources can disappear (e.g. a saved configuration deleted meanwhile)
+  CompareState.sources = CompareState.sources.map(value =>
+    available.some(source => source.value === value) ? value : 'current');
+  const states = CompareState.sources.map(value => available.find(source => source.value === value).state());
+  const comparison = compareConfigurations(states, { currency, priceBook });
+  const differencesOnly = Boolean(DOM.compareDifferencesOnly?.checked);
+  const columnCount = comparison.columns.length;
+
+  const rowClass = differs => (differs ? 'compare-differs' : '');
+  const visible = row => !differencesOnly || row.differs;
+  const sectionRow = label => `<tr><th colspan="${columnCount + 1}" class="text-xs uppercase tracking-wide text-base-content/60 pt-4">${label}</th></tr>`;
+
+  const header = CompareState.sources.map((value, index) => `
+    <th class="align-top min-w-48">
+      <div class="flex items-center gap-1">
+        <select class="select select-sm select-bordered w-full font-normal" data-compare-column="${index}" aria-label="Configuration ${index + 1}">
+          ${available.map(source => `<option value="${escapeHtml(source.value)}" ${source.value === value ? 'selected' : ''}>${escapeHtml(source.label)}</option>`).join('')}
+        </select>
+        ${columnCount > MIN_COMPARED ? `<button type="button" class="btn btn-xs btn-ghost btn-square" data-compare-remove="${index}" aria-label="Remove column">x</button>` : ''}
+      </div>
+      <div class="text-sm font-semibold mt-2">${escapeHtml(comparison.columns[index].product.name)}</div>
+    </th>
+  `).join('');
+
+  const totals = comparison.columns.map((column, index) => {
+    let delta = '<span class="badge badge-sm badge-ghost">Baseline</span>';
+    if (index > 0) {
+      const sign = column.delta > 0 ? '+' : column.delta < 0 ? '−' : '±';
+      const tone = column.delta > 0 ? 'badge-error' : column.delta < 0 ? 'badge-success' : 'badge-ghost';
+      delta = `<span class="badge badge-sm ${tone}">${sign}${formatPrice(Math.abs(column.delta), currency)}</span>`;
+    }
+    return `<td><div class="flex items-center gap-2"><span class="font-bold">${formatPrice(column.total, currency)}</span>${delta}</div></td>`;
+  }).join('');
+
+  const specRows = comparison.specs.filter(visible).map(spec => `
+    <tr class="${rowClass(spec.differs)}">
+      <th class="font-normal text-base-content/70">${escapeHtml(spec.label)}</th>
+      ${spec.values.map(value => `<td>${escapeHtml(value)}</td>`).join('')}
+    </tr>
+  `).join('');
+
+  const lineRows = comparison.lines.filter(visible).map(line => `
+    <tr class="${rowClass(line.differs)}">
+      <th class="font-normal text-base-content/70">${escapeHtml(line.name)}</th>
+      ${line.selected.map(selected => `<td>${selected ? (line.included ? 'Included' : `✓ ${formatPrice(line.price, currency)}`) : '<span class="text-base-content/40">—</span>'}</td>`).join('')}
+    </tr>
+  `).join('');
+
+  disposeComparePreviews();
+  DOM.compareTable.innerHTML = `
+    <table class="table table-sm compare-table">
+      <thead><tr><th></th>${header}</tr></thead>
+      <tbody>
+        <tr><th></th>${comparison.columns.map((column, index) => `<td><div class="compare-preview" data-compare-preview="${index}"><canvas></canvas></div></td>`).join('')}</tr>
+        <tr><th>Total</th>${totals}</tr>
+        ${specRows ? sectionRow('Specifications') + specRows : ''}
+        ${lineRows ? sectionRow('Features & Accessories') + lineRows : ''}
+        ${!specRows && !lineRows ? `<tr><td colspan="${columnCount + 1}" class="text-center text-base-content/60">No differences</td></tr>` : ''}
+      </tbody>
+    </table>
+  `;
+
+  if (DOM.compareAddColumn) DOM.compareAddColumn.disabled = columnCount >= MAX_COMPARED;
+
+  if (typeof window.createPreviewViewer === 'function') {
+    DOM.compareTable.querySelectorAll('[data-compare-preview]').forEach(container => {
+      const column = comparison.columns[Number(container.dataset.comparePreview)];
+      const canvas = container.querySelector('canvas');
+      CompareState.previews.push(window.createPreviewViewer(container, canvas, window.MopecCore.toModelConfig(column.state)));
+    });
+  }
+}
+
+// ============================================
+// Global Functions (for inline handlers)
+// ============================================
+window.openCompare = function() {
+  CompareState.sources = defaultCompareSources();
+  if (DOM.compareModal) DOM.compareModal.showModal();
+  // Previews size themselves from their containers, so render once the dialog is open
+  renderCompare();
+};
+
+window.addCompareColumn = function() {
+  if (CompareState.sources.length >= window.MopecCompare.MAX_COMPARED) return;
+  CompareState.sources.push('current');
+  renderCompare();
+};
+
+window.openSavedConfigurations = function() {
+  if (!window.MopecSavedConfigurations) {
+    showToast('Saving needs browser storage, which is unavailable here', 'error');
+    return;
+  }
+
+  renderSavedConfigurations();
+  if (DOM.savedConfigsModal) DOM.savedConfigsModal.showModal();
+};
+
+window.saveCurrentConfiguration = function(event) {
+  event.preventDefault();
+
+  const { selectors } = window.MopecStore;
+  const state = getState();
+  const name = DOM.savedConfigName?.value.trim() || selectors.summary(state);
+  const thumbnail = typeof window.captureViewerThumbnail === 'function' ? window.captureViewerThumbnail() : null;
+
+  try {
+    window.MopecSavedConfigurations.save({ name, state, total: selectors.total(state), thumbnail });
+  } catch (err) {
+    showToast(err.name === 'QuotaExceededError'
+      ? 'Browser storage is full; delete a saved configuration first'
+      : 'This configuration could not be saved', 'error');
+    return;
+  }
+
+  if (DOM.savedConfigName) DOM.savedConfigName.value = '';
+  renderSavedConfigurations();
+  showToast(`Saved "${escapeHtml(name)}"`, 'success');
+};
+
+window.openQuotes = function() {
+  renderQuotes();
+  if (DOM.quotesModal) DOM.quotesModal.showModal();
+};
+
+window.startNewQuote = function() {
+  currentQuoteId = null;
+  renderQuotes();
+  showToast('The next PDF starts a new quote', 'info');
+};
+
+// What js/pdf.js renders for the configurator: the current quote's latest revision while
+// it still matches and hasn't expired, else a new revision (or a new quote)
+window.issueCurrentQuote = function() {
+  const quotes = window.MopecSavedQuotes;
+  try {
+    const { quote, revision, issued } = quotes.issue(getState(), quotes.get(currentQuoteId) ? currentQuoteId : null);
+    currentQuoteId = quote.id;
+    if (issued) {
+      showToast(revision.revision === 1
+        ? `Issued quote ${escapeHtml(quote.number)}, valid until ${escapeHtml(formatDate(revision.expiresAt))}`
+        : `Issued revision ${revision.label} of quote ${escapeHtml(quote.number)}`, 'success');
+    }
+    renderQuotes();
+    return { quote, revision };
+  } catch (err) {
+    showToast(err.name === 'QuotaExceededError'
+      ? 'Browser storage is full; delete an old quote under Quotes first'
+      : escapeHtml(err.message.replace(/^QuoteDocuments: /, '')), 'error');
+    return null;
   }
+};
+
+window.downloadBOM = function(format) {
+  const { write, type } = BOM_FORMATS[format];
+  const reference = currentQuoteReference();
+  const bom = window.MopecBom.buildBom(getState(), { reference });
+  const name = reference ? reference.replace(' rev ', '_rev') : bom.generatedAt.slice(0, 10);
+  downloadFile(`Mopec_BOM_${name}.${format}`, type, write(bom));
+  // Close the header menu it was picked from
+  if (document.activeElement instanceof HTMLElement) document.activeElement.blur();
+  showToast(`Bill of materials downloaded (${bom.lines.length} lines)`, 'success');
+};
 
-  updateUI();
-  updateStepIndicators();
-  sync3DModel();
-  showToast('Configuration reset to default', 'info');
+window.undoChange = function() {
+  const command = window.MopecUndoHistory.undo();
+  if (!command) return;
+  dispatch(window.MopecStore.actions.loadConfig(command.before, { history: false }));
+  updateHistoryControls();
+};
+
+window.redoChange = function() {
+  const command = window.MopecUndoHistory.redo();
+  if (!command) return;
+  dispatch(window.MopecStore.actions.loadConfig(command.after, { history: false }));
+  updateHistoryControls();
+};
+
+window.shareConfiguration = async function() {
+  const link = getShareLink();
+  window.history.replaceState(null, '', link);
+
+  try {
+    await navigator.clipboard.writeText(link);
+    showToast('Link to this configuration copied to the clipboard', 'success');
+  } catch {
+    showToast('Copy the link from the address bar to share this configuration', 'info');
+  }
+};
+
+window.resetConfiguration = function() {
+  // Auto-select rules fire again for the default configuration (js/rules-runtime.js)
+  dispatch(window.MopecStore.actions.reset());
+  showToast('Configuration reset to default (Ctrl+Z to undo)', 'info');
 };
 
 window.requestQuote = function() {
   // Mark step 5 as complete when requesting quote
-  AppState.currentStep = 5;
-  updateStepIndicators();
+  dispatch(window.MopecStore.actions.advanceStep(5));
 
   if (DOM.quoteModal) {
     DOM.quoteModal.showModal();
   }
 };
 
-window.submitQuote = function(event) {
+// The form keeps what was entered until the request is accepted
+window.submitQuote = async function(event) {
   event.preventDefault();
+  const form = DOM.quoteForm;
+  if (!form || form.dataset.sending) return;
+
+  const { validateContact, buildQuoteRequest, submitQuoteRequest } = window.MopecQuoteRequest;
+  const { valid, contact, errors } = validateContact(Object.fromEntries(new FormData(form)));
+  showQuoteFormErrors(errors);
+  if (!valid) return;
+
+  const payload = buildQuoteRequest(getState(), contact);
+  const endpoint = form.getAttribute('action');
+  const done = (message, type) => {
+    form.reset();
+    if (DOM.quoteModal) {
+      DOM.quoteModal.close();
+    }
+    showToast(message, type);
+  };
 
-  if (DOM.quoteModal) {
-    DOM.quoteModal.close();
+  setQuoteFormSending(true);
+  try {
+    const receipt = await submitQuoteRequest(payload, { endpoint });
+    const reference = receipt.id ? ` (reference ${escapeHtml(receipt.id)})` : '';
+    done(`Quote request submitted${reference}! Our team will contact you within 24 hours.`, 'success');
+  } catch (err) {
+    console.error('[Mopec] Quote request not sent.', err);
+    // No connection or the server down: keep the request and send it later
+    if (err.retryable && window.MopecQuoteOutbox) {
+      try {
+        await window.MopecQuoteOutbox.enqueue(payload, { endpoint, error: err });
+        done("Our quote server can't be reached right now. Your request is saved under Pending and will be sent automatically.", 'warning');
+        return;
+      } catch (queueError) {
+        console.error('[Mopec] Quote request not queued.', queueError);
+      }
+    }
+    showQuoteFormErrors(err.errors || [], err.message.replace(/^MopecQuoteRequest: /, ''));
+  } finally {
+    setQuoteFormSending(false);
+  }
+};
+
+// Mark the fields with problems and list them above the form (`message` first, when given)
+function showQuoteFormErrors(errors, message = '') {
+  const form = DOM.quoteForm;
+  form.querySelectorAll('[aria-invalid]').forEach(field => {
+    field.classList.remove('input-error', 'textarea-error');
+    field.removeAttribute('aria-invalid');
+  });
+  errors.forEach(error => {
+    const field = form.elements.namedItem(error.field);
+    if (!field) return;
+    field.classList.add(field.tagName === 'TEXTAREA' ? 'textarea-error' : 'input-error');
+    field.setAttribute('aria-invalid', 'true');
+  });
+  form.querySelector('[aria-invalid]')?.focus();
+
+  if (!DOM.quoteFormError) return;
+  const heading = message || (errors.length > 0 ? 'Please check the highlighted fields:' : '');
+  const list = errors.map(error => `<li>${escapeHtml(error.message)}</li>`).join('');
+  DOM.quoteFormError.innerHTML = `<div>${escapeHtml(heading)}${list ? `<ul class="list-disc ml-5">${list}</ul>` : ''}</div>`;
+  DOM.quoteFormError.classList.toggle('hidden', !heading);
+}
+
+function setQuoteFormSending(sending) {
+  if (sending) DOM.quoteForm.dataset.sending = 'true';
+  else delete DOM.quoteForm.dataset.sending;
+  if (DOM.quoteSubmitBtn) {
+    DOM.quoteSubmitBtn.disabled = sending;
+    DOM.quoteSubmitBtn.innerHTML = sending
+      ? '<span class="loading loading-spinner loading-sm"></span> Sending…'
+      : 'Submit Quote Request';
+  }
+}
+
+// ============================================
+// Quote Outbox (requests waiting to be sent)
+// ============================================
+function initializeOutbox() {
+  const outbox = window.MopecQuoteOutbox;
+  if (!outbox) return;
+
+  outbox.subscribe(change => {
+    renderOutbox();
+    const name = escapeHtml(change.entry.payload.contact.name);
+    if (change.type === 'sent') {
+      const reference = change.receipt?.id ? ` (reference ${escapeHtml(change.receipt.id)})` : '';
+      showToast(`Pending quote request for ${name} sent${reference}`, 'success');
+    } else if (change.type === 'failed') {
+      showToast(`The quote server refused the pending request for ${name}; review it under Pending`, 'error');
+    }
+  });
+
+  if (DOM.outboxList) {
+    DOM.outboxList.addEventListener('click', (e) => {
+      const control = e.target.closest('[data-outbox-action]');
+      const item = e.target.closest('[data-outbox-id]');
+      if (control && item) handleOutboxAction(item.dataset.outboxId, control.dataset.outboxAction);
+    });
+  }
+
+  renderOutbox();
+  outbox.start().catch(err => console.error('[Mopec] Queued quote requests not sent.', err));
+}
+
+// Renders can overlap (the list is read asynchronously); only the latest one is drawn
+let outboxRender = 0;
+
+async function renderOutbox() {
+  const outbox = window.MopecQuoteOutbox;
+  if (!outbox) return;
+
+  const render = ++outboxRender;
+  const entries = await outbox.list();
+  if (render !== outboxRender) return;
+
+  const { formatPrice } = window.MopecConfig;
+  if (DOM.outboxBtn) DOM.outboxBtn.classList.toggle('hidden', entries.length === 0);
+  if (DOM.outboxCount) DOM.outboxCount.textContent = String(entries.length);
+  if (DOM.outboxEmpty) DOM.outboxEmpty.classList.toggle('hidden', entries.length > 0);
+  if (DOM.outboxRetryAll) DOM.outboxRetryAll.disabled = entries.length === 0;
+  if (!DOM.outboxList) return;
+
+  const time = iso => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  const reason = entry => escapeHtml((entry.lastError || '').replace(/^MopecQuoteRequest: /, ''));
+  const status = entry => {
+    if (entry.sending) return '<span class="text-info">Sending…</span>';
+    if (entry.status === 'failed') return `<span class="text-error">Not accepted: ${reason(entry)}</span>`;
+    const next = new Date(entry.nextAttemptAt).toLocaleTimeString(undefined, { timeStyle: 'short' });
+    return `Next try ${escapeHtml(next)} · ${entry.attempts} ${entry.attempts === 1 ? 'try' : 'tries'} so far${entry.lastError ? ` · ${reason(entry)}` : ''}`;
+  };
+
+  DOM.outboxList.innerHTML = entries.map(entry => {
+    const { contact, quote } = entry.payload;
+    return `
+      <li class="flex items-center gap-3 p-2 rounded-lg bg-base-200" data-outbox-id="${escapeHtml(entry.id)}">
+        <div class="flex-1 min-w-0">
+          <p class="font-medium text-sm truncate">${escapeHtml(contact.name)} &lt;${escapeHtml(contact.email)}&gt;</p>
+          <p class="text-xs text-base-content/60 truncate">
+            ${quote.quantity} ${quote.quantity === 1 ? 'unit' : 'units'} · ${formatPrice(quote.grandTotal, quote.currency)} · queued ${escapeHtml(time(entry.createdAt))}
+          </p>
+          <p class="text-xs text-base-content/60">${status(entry)}</p>
+        </div>
+        <div class="flex flex-col gap-1 shrink-0">
+          <button type="button" class="btn btn-xs btn-primary" data-outbox-action="retry" ${entry.sending ? 'disabled' : ''}>Send now</button>
+          <button type="button" class="btn btn-xs btn-ghost text-error" data-outbox-action="cancel" ${entry.sending ? 'disabled' : ''}>Cancel</button>
+        </div>
+      </li>
+    `;
+  }).join('');
+}
+
+async function handleOutboxAction(id, action) {
+  const outbox = window.MopecQuoteOutbox;
+  try {
+    if (action === 'retry') {
+      await outbox.retry(id);
+    } else if (action === 'cancel') {
+      const entry = (await outbox.list()).find(candidate => candidate.id === id);
+      if (!entry || !window.confirm(`Cancel the quote request for ${entry.payload.contact.name}? It won't be sent.`)) return;
+      await outbox.cancel(id);
+      showToast(`Cancelled the quote request for ${escapeHtml(entry.payload.contact.name)}`, 'info');
+    }
+  } catch (err) {
+    showToast(escapeHtml(err.message.replace(/^QuoteOutbox: /, '')), 'error');
   }
+  renderOutbox();
+}
+
+window.openOutbox = function() {
+  renderOutbox();
+  if (DOM.outboxModal) DOM.outboxModal.showModal();
+};
 
-  showToast('Quote request submitted! Our team will contact you within 24 hours.', 'success');
+window.retryOutbox = function() {
+  window.MopecQuoteOutbox?.retry().catch(err => showToast(escapeHtml(err.message.replace(/^QuoteOutbox: /, '')), 'error'));
 };
 
 // ============================================
@@ -580,11 +1934,61 @@ function showToast(message, type = 'info') {
   }, 4000);
 }
 
+// ============================================
+// Catalog Errors
+// ============================================
+// A catalog that didn't load or failed validation would price and render
+// wrongly, so the configurator is replaced by an explanation instead.
+function showCatalogError(err) {
+  console.error('[Mopec] Catalog not loaded; the configurator is unavailable.', err);
+
+  const panel = document.getElementById('catalog-error');
+  const list = document.getElementById('catalog-error-list');
+  if (!panel || !list) return;
+
+  const problems = Array.isArray(err?.errors) && err.errors.length > 0
+    ? err.errors.map(problem => problem.message)
+    : [err?.message || String(err)];
+  list.replaceChildren(...problems.map(message => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    return item;
+  }));
+
+  document.querySelector('.drawer')?.classList.add('hidden');
+  panel.classList.remove('hidden');
+}
+
+// ============================================
+// Offline Support
+// ============================================
+// service-worker.js precaches the app, so reps can configure and export PDFs without a connection
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+  navigator.serviceWorker.register('service-worker.js')
+    .catch(err => console.warn('[Mopec] Offline support unavailable.', err));
+}
+
+// Called when js/viewer-runtime.js or three.js can't be loaded (offline before the app
+// was ever cached); everything but the 3D view still works, so say so instead of spinning
+window.showViewerUnavailable = function() {
+  const indicator = document.getElementById('loading-indicator');
+  if (!indicator) return;
+  indicator.querySelector('.loading')?.remove();
+  const [title, detail] = indicator.querySelectorAll('p');
+  if (title) title.textContent = '3D preview unavailable';
+  if (detail) detail.textContent = "The 3D viewer couldn't be loaded. Configuring, pricing and PDF export still work.";
+};
+
 // ============================================
 // Initialize on DOM Ready
 // ============================================
-document.addEventListener('DOMContentLoaded', initializeApp);
+// The store exists once js/core-runtime.js has loaded catalog.json
+document.addEventListener('DOMContentLoaded', () => {
+  window.MopecReady.then(initializeApp, showCatalogError);
+  registerServiceWorker();
+});
 
 // Export for debugging
-window.AppState = AppState;
 window.showToast = showToast;
+window.getOptionReasons = (key) => OptionReasons.get(key) || [];
@@ -0,0 +1,151 @@
+/**
+ * Mopec Equipment Configurator
+ * Bill of materials
+ *
+ * The quote in `state` (js/quote.js) as purchasing enters it in a requisition:
+ * one line per part with its SKU, description, quantity, unit price and
+ * extended price. Parts are counted over every station, so a feature two
+ * stations share is one line, and features that come with the model are listed
+ * at 0 like any other part. Services follow, then the volume discount, freight
+ * and sales tax as lines without a SKU, so the extended prices add up to the
+ * quote's grand total. Unit prices are net of the price book's discount.
+ * bomToCsv() writes the lines as a spreadsheet; the BOM object itself is the
+ * JSON export. DOM-free.
+ *
+ * BOM (version 1):
+ *   { version, generatedAt, reference, catalog: { version, revision }, currency,
+ *     priceBook, lines: [{ kind, id, sku, description, included, quantity,
+ *     unitPrice, extendedPrice }], total }
+ */
+
+import { PRODUCTS, FEATURES, ACCESSORIES, SERVICES, CATALOG_INFO, getCurrency } from './core.js';
+import { priceQuote } from './quote.js';
+
+export const BOM_VERSION = 1;
+
+/** CSV columns in order: BOM line field and header. */
+export const BOM_COLUMNS = Object.freeze([
+  { field: 'sku', label: 'SKU' },
+  { field: 'description', label: 'Description' },
+  { field: 'quantity', label: 'Quantity' },
+  { field: 'unitPrice', label: 'Unit Price' },
+  { field: 'extendedPrice', label: 'Extended Price' },
+  { field: 'currency', label: 'Currency' }
+]);
+
+const PART_SECTIONS = { product: PRODUCTS, feature: FEATURES, accessory: ACCESSORIES };
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * The bill of materials for every station of the quote in `state`, priced in
+ * its currency and price book.
+ * @param {object} state - Store state
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {string|null} [options.reference] - e.g. the issued quote's number
+ * @returns {{
+ *   version: number, generatedAt: string, reference: string|null, catalog: {version: number, revision: string|null},
+ *   currency: string, priceBook: string,
+ *   lines: {kind: 'product'|'feature'|'accessory'|'service'|'volumeDiscount'|'freight'|'tax', id: string, sku: string|null,
+ *     description: string, included: boolean, quantity: number, unitPrice: number, extendedPrice: number}[],
+ *   total: number
+ * }} `total` is the sum of the extended prices (the quote's grand total)
+ */
+export function buildBom(state, { now = new Date(), reference = null } = {}) {
+  const quote = priceQuote(state);
+  const { charges } = quote;
+  const lines = [];
+
+  // Same part, same unit price: the price book and currency are the quote's
+  const parts = new Map();
+  quote.stations.forEach((station) => {
+    station.pricing.lines.forEach((line) => {
+      const key = `${line.kind}:${line.id}`;
+      const part = parts.get(key);
+      if (part) {
+        part.quantity += station.quantity;
+        part.extendedPrice += line.net * station.quantity;
+        return;
+      }
+      const entry = PART_SECTIONS[line.kind][line.id];
+      const added = {
+        kind: line.kind,
+        id: line.id,
+        sku: entry.sku || null,
+        description: line.included ? `${line.name} (included)` : line.name,
+        included: line.included,
+        quantity: station.quantity,
+        unitPrice: line.net,
+        extendedPrice: line.net * station.quantity
+      };
+      parts.set(key, added);
+      lines.push(added);
+    });
+  });
+
+  charges.services.forEach((service) => {
+    lines.push({
+      kind: 'service',
+      id: service.id,
+      sku: SERVICES[service.id].sku || null,
+      description: service.name,
+      included: false,
+      quantity: service.quantity,
+      unitPrice: service.net / service.quantity,
+      extendedPrice: service.net
+    });
+  });
+
+  const charge = (kind, id, description, amount) => {
+    lines.push({ kind, id, sku: null, description, included: false, quantity: 1, unitPrice: amount, extendedPrice: amount });
+  };
+  if (quote.volumeTier) {
+    charge('volumeDiscount', quote.volumeTier.id, `Volume discount: ${quote.volumeTier.name} (${quote.volumeTier.percent}%)`, -quote.volumeDiscount);
+  }
+  if (charges.freight) charge('freight', charges.freight.zone.id, `Freight: ${charges.freight.zone.name}`, charges.freight.amount);
+  if (charges.tax?.amount > 0) charge('tax', 'salesTax', `Sales tax: ${charges.destination.label} (${charges.tax.rate}%)`, charges.tax.amount);
+
+  return {
+    version: BOM_VERSION,
+    generatedAt: now.toISOString(),
+    reference,
+    catalog: { version: CATALOG_INFO.version, revision: CATALOG_INFO.revision },
+    currency: quote.currency,
+    priceBook: quote.priceBook,
+    lines,
+    total: quote.grandTotal
+  };
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A BOM as CSV (RFC 4180, CRLF line ends): a header row of BOM_COLUMNS, then
+ * one row per line. Amounts are plain numbers with the currency's decimals.
+ * @param {object} bom - buildBom()
+ * @returns {string}
+ */
+export function bomToCsv(bom) {
+  const { fractionDigits = 0 } = getCurrency(bom.currency) || {};
+  const amount = (value) => value.toFixed(fractionDigits);
+  // A description like "=..." would run as a formula when opened
+  const text = (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+  const rows = bom.lines.map((line) => {
+    const cells = {
+      sku: line.sku || '',
+      description: text(line.description),
+      quantity: line.quantity,
+      unitPrice: amount(line.unitPrice),
+      extendedPrice: amount(line.extendedPrice),
+      currency: bom.currency
+    };
+    return BOM_COLUMNS.map((column) => csvCell(cells[column.field])).join(',');
+  });
+  return [BOM_COLUMNS.map((column) => csvCell(column.label)).join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,537 @@
+/**
+ * Mopec Equipment Configurator
+ * Catalog file
+ *
+ * catalog.json holds everything the product team maintains: products (with their
+ * shipping crates), features, accessories, services, sink positions,
+ * specifications, the currencies with their price lists, the price books
+ * (contract discounts), the volume discount tiers for multi-station quotes, the
+ * destinations with their sales tax and freight rates, and the default
+ * configuration.
+ * This module checks a parsed catalog file against the schema below before
+ * js/config.js installs it, so a bad price update fails loudly at startup
+ * instead of producing wrong quotes. DOM-free.
+ */
+
+/** Highest catalog file version this module understands. */
+export const CATALOG_VERSION = 1;
+
+/** Base styles the station is built with (both drawn by js/viewer.js). */
+export const BASE_STYLES = Object.freeze(['pedestal', 'legs']);
+
+/** Sink positions js/viewer.js can place a sink at. */
+const SINK_POSITION_IDS = Object.freeze(['left', 'center', 'right', 'none']);
+
+/** Model widths (inches) the 3D model is proportioned for. */
+const MODEL_WIDTH_RANGE = Object.freeze({ min: 48, max: 96 });
+
+const FLAGS = Object.freeze(['popular', 'isNew', 'premium', 'included', 'requiresSink']);
+
+/** Sections that are priced, with the price field of their entries. */
+const PRICED_SECTIONS = Object.freeze({ PRODUCTS: 'basePrice', FEATURES: 'price', ACCESSORIES: 'price', SERVICES: 'price' });
+
+/** Constraint fields features and accessories may declare (see js/option-constraints.js). */
+const CONSTRAINT_FIELDS = Object.freeze({ availableOn: 'availableOn', requires: 'optionIds', excludes: 'optionIds' });
+
+/**
+ * Fields per catalog section: `required` must be present, every listed field must
+ * have its type when present. Entries may carry extra fields.
+ */
+const ENTRY_SCHEMAS = Object.freeze({
+  PRODUCTS: {
+    required: ['id', 'name', 'sku', 'basePrice', 'modelWidth', 'crate'],
+    fields: {
+      id: 'string', name: 'string', subtitle: 'string', description: 'string', basePrice: 'price',
+      modelWidth: 'modelWidth', dimensions: 'stringMap', crate: 'crate', capacity: 'string', material: 'string',
+      finish: 'string', sku: 'string'
+    }
+  },
+  FEATURES: {
+    required: ['id', 'name', 'sku', 'price'],
+    fields: {
+      id: 'string', name: 'string', description: 'string', price: 'price', icon: 'string', category: 'string', sku: 'string',
+      ...CONSTRAINT_FIELDS
+    }
+  },
+  ACCESSORIES: {
+    required: ['id', 'name', 'sku', 'price'],
+    fields: { id: 'string', name: 'string', sku: 'string', description: 'string', price: 'price', category: 'string', ...CONSTRAINT_FIELDS }
+  },
+  SERVICES: {
+    required: ['id', 'name', 'sku', 'price'],
+    fields: { id: 'string', name: 'string', description: 'string', sku: 'string', price: 'price' }
+  },
+  SINK_POSITIONS: {
+    required: ['id', 'name'],
+    fields: { id: 'string', name: 'string', description: 'string' }
+  },
+  FEATURE_CATEGORIES: {
+    required: ['id', 'name'],
+    fields: { id: 'string', name: 'string' }
+  },
+  ACCESSORY_CATEGORIES: {
+    required: ['id', 'name'],
+    fields: { id: 'string', name: 'string' }
+  },
+  CURRENCIES: {
+    required: ['id', 'name', 'locale'],
+    fields: {
+      id: 'currencyCode', name: 'string', locale: 'string', fractionDigits: 'fractionDigits', roundTo: 'roundTo',
+      prices: 'priceList'
+    }
+  },
+  PRICE_BOOKS: {
+    required: ['id', 'name', 'discounts'],
+    fields: { id: 'string', name: 'string', description: 'string', discounts: 'discounts' }
+  },
+  VOLUME_TIERS: {
+    required: ['id', 'name', 'minQuantity', 'percent'],
+    fields: { id: 'string', name: 'string', minQuantity: 'minQuantity', percent: 'percent' }
+  },
+  US_STATES: {
+    required: ['id', 'name', 'taxRate', 'zone', 'zipPrefixes'],
+    fields: { id: 'string', name: 'string', taxRate: 'taxRate', zone: 'string', zipPrefixes: 'zipPrefixes' }
+  },
+  EXPORT_COUNTRIES: {
+    required: ['id', 'name', 'zone'],
+    fields: { id: 'countryCode', name: 'string', zone: 'string' }
+  },
+  FREIGHT_ZONES: {
+    required: ['id', 'name', 'base', 'perLb', 'dimDivisor'],
+    fields: { id: 'string', name: 'string', base: 'amounts', perLb: 'amounts', dimDivisor: 'positiveNumber' }
+  },
+  FREIGHT_SURCHARGES: {
+    required: ['id', 'name', 'minCrateLength', 'amount'],
+    fields: { id: 'string', name: 'string', minCrateLength: 'positiveNumber', amount: 'amounts' }
+  }
+});
+
+const OPTIONAL_SECTIONS = Object.freeze([
+  'FEATURE_CATEGORIES', 'ACCESSORY_CATEGORIES', 'SERVICES', 'VOLUME_TIERS', 'EXPORT_COUNTRIES', 'FREIGHT_SURCHARGES'
+]);
+
+/** Crate fields: outside dimensions in inches, shipping weight in pounds. */
+const CRATE_FIELDS = Object.freeze(['length', 'width', 'height', 'weight']);
+
+const ZIP_PREFIX_PATTERN = /^(\d{3})(?:-(\d{3}))?$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Problem with a value of `type`, or null when it is fine
+function checkType(type, value) {
+  switch (type) {
+    case 'string':
+      return isNonEmptyString(value) ? null : 'must be a non-empty string';
+    case 'price':
+      return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : 'must be a price (a number, 0 or more)';
+    case 'modelWidth':
+      return Number.isInteger(value) && value >= MODEL_WIDTH_RANGE.min && value <= MODEL_WIDTH_RANGE.max
+        ? null
+        : `must be a whole number of inches from ${MODEL_WIDTH_RANGE.min} to ${MODEL_WIDTH_RANGE.max}`;
+    case 'stringMap':
+      return isPlainObject(value) && Object.values(value).every(isNonEmptyString) ? null : 'must be an object of non-empty strings';
+    case 'availableOn':
+      return Array.isArray(value) && value.length > 0 && value.every((item) => isNonEmptyString(item) || Number.isInteger(item))
+        ? null
+        : 'must be a non-empty array of product ids and model widths';
+    case 'optionIds':
+      return Array.isArray(value) && value.every(isNonEmptyString) ? null : 'must be an array of feature / accessory ids';
+    case 'currencyCode':
+      return typeof value === 'string' && /^[A-Z]{3}$/.test(value) ? null : 'must be an ISO 4217 currency code such as "USD"';
+    case 'fractionDigits':
+      return Number.isInteger(value) && value >= 0 && value <= 3 ? null : 'must be a whole number from 0 to 3';
+    case 'roundTo':
+      return typeof value === 'number' && Number.isFinite(value) && value > 0 ? null : 'must be a number above 0';
+    case 'priceList':
+      return isPlainObject(value) && Object.keys(value).every((section) => section in PRICED_SECTIONS)
+        ? null
+        : `must be an object with ${Object.keys(PRICED_SECTIONS).join(' / ')} prices`;
+    case 'discounts':
+      return Array.isArray(value) && value.every(isPlainObject) ? null : 'must be an array of discounts';
+    case 'percent':
+      return typeof value === 'number' && value > 0 && value <= 100 ? null : 'must be a number above 0, up to 100';
+    case 'minQuantity':
+      return Number.isInteger(value) && value >= 2 ? null : 'must be a whole number of stations, 2 or more';
+    case 'positiveNumber':
+      return typeof value === 'number' && Number.isFinite(value) && value > 0 ? null : 'must be a number above 0';
+    case 'crate':
+      return isPlainObject(value) && CRATE_FIELDS.every((name) => !checkType('positiveNumber', value[name]))
+        ? null
+        : 'must have a length, width and height (inches) and a weight (pounds), all above 0';
+    case 'amounts':
+      return isPlainObject(value) && Object.values(value).every((amount) => !checkType('price', amount))
+        ? null
+        : 'must be an object of amounts per currency';
+    case 'taxRate':
+      return typeof value === 'number' && value >= 0 && value <= 100 ? null : 'must be a percentage from 0 to 100';
+    case 'zipPrefixes':
+      return Array.isArray(value) && value.length > 0 && value.every((prefix) => ZIP_PREFIX_PATTERN.test(prefix))
+        ? null
+        : 'must be a non-empty array of 3-digit ZIP prefixes or ranges such as "900-961"';
+    case 'countryCode':
+      return typeof value === 'string' && /^[A-Z]{2}$/.test(value) ? null : 'must be an ISO 3166 country code such as "CA"';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a parsed catalog file without changing it.
+ * @param {object} data - Parsed catalog.json
+ * @returns {{valid: boolean, errors: {code: string, field: string, message: string}[]}}
+ */
+export function validateCatalog(data) {
+  const errors = [];
+  const error = (code, field, message) => errors.push({ code, field, message });
+
+  if (!isPlainObject(data)) {
+    error('invalid-catalog', '', 'Catalog must be an object');
+    return { valid: false, errors };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > CATALOG_VERSION) {
+    error('unsupported-version', 'version', `Unsupported catalog version ${data.version} (supported: ${CATALOG_VERSION})`);
+    return { valid: false, errors };
+  }
+  if ('revision' in data && !isNonEmptyString(data.revision)) {
+    error('invalid-field', 'revision', '"revision" must be a non-empty string');
+  }
+
+  Object.entries(ENTRY_SCHEMAS).forEach(([section, schema]) => {
+    const entries = data[section];
+    if (entries === undefined && OPTIONAL_SECTIONS.includes(section)) return;
+    if (!isPlainObject(entries) || Object.keys(entries).length === 0) {
+      error('missing-section', section, `"${section}" must be an object with at least one entry`);
+      return;
+    }
+
+    Object.entries(entries).forEach(([key, entry]) => {
+      const field = `${section}.${key}`;
+      if (!isPlainObject(entry)) {
+        error('invalid-entry', field, `${field} must be an object`);
+        return;
+      }
+      schema.required.filter((name) => entry[name] === undefined)
+        .forEach((name) => error('missing-field', `${field}.${name}`, `${field} is missing "${name}"`));
+      Object.entries(schema.fields).forEach(([name, type]) => {
+        if (entry[name] === undefined) return;
+        const problem = checkType(type, entry[name]);
+        if (problem) error('invalid-field', `${field}.${name}`, `${field}.${name} ${problem}`);
+      });
+      FLAGS.filter((flag) => flag in entry && typeof entry[flag] !== 'boolean')
+        .forEach((flag) => error('invalid-field', `${field}.${flag}`, `${field}.${flag} must be true or false`));
+      if (isNonEmptyString(entry.id) && entry.id !== key) {
+        error('id-mismatch', `${field}.id`, `${field}.id is "${entry.id}"; it must match its key`);
+      }
+    });
+  });
+
+  // SKUs identify parts on quotes and orders, so no two entries may share one
+  const skuOwners = new Map();
+  ['PRODUCTS', 'FEATURES', 'ACCESSORIES', 'SERVICES'].forEach((section) => {
+    Object.entries(isPlainObject(data[section]) ? data[section] : {}).forEach(([key, entry]) => {
+      if (!isNonEmptyString(entry?.sku)) return;
+      const field = `${section}.${key}.sku`;
+      const owner = skuOwners.get(entry.sku);
+      if (owner) error('duplicate-sku', field, `SKU "${entry.sku}" is used by both ${owner} and ${section}.${key}`);
+      else skuOwners.set(entry.sku, `${section}.${key}`);
+    });
+  });
+
+  validateOptionConstraints(data, error);
+  validateCurrencies(data, error);
+  validatePriceBooks(data, error);
+  validateVolumeTiers(data, error);
+  validateDestinations(data, error);
+
+  if (isPlainObject(data.SINK_POSITIONS)) {
+    Object.keys(data.SINK_POSITIONS).filter((id) => !SINK_POSITION_IDS.includes(id)).forEach((id) => {
+      error('unknown-sink-position', `SINK_POSITIONS.${id}`, `Sink position "${id}" is not one of ${SINK_POSITION_IDS.join(', ')}`);
+    });
+  }
+
+  if (isPlainObject(data.SPECIFICATIONS)) {
+    Object.entries(data.SPECIFICATIONS).forEach(([key, group]) => {
+      const field = `SPECIFICATIONS.${key}`;
+      const validItems = Array.isArray(group?.items) &&
+        group.items.every((item) => isNonEmptyString(item?.label) && isNonEmptyString(item?.value));
+      if (!isNonEmptyString(group?.title) || !validItems) {
+        error('invalid-entry', field, `${field} needs a "title" and "items" of { label, value } strings`);
+      }
+    });
+  } else {
+    error('missing-section', 'SPECIFICATIONS', '"SPECIFICATIONS" must be an object');
+  }
+
+  validateDefaultConfig(data, error);
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Constraints may only name options and products the catalog has; option ids are
+// looked up in FEATURES and ACCESSORIES alike, so they must not collide
+function validateOptionConstraints(data, error) {
+  const features = isPlainObject(data.FEATURES) ? data.FEATURES : {};
+  const accessories = isPlainObject(data.ACCESSORIES) ? data.ACCESSORIES : {};
+  const products = isPlainObject(data.PRODUCTS) ? Object.values(data.PRODUCTS) : [];
+
+  Object.keys(accessories).filter((id) => Object.prototype.hasOwnProperty.call(features, id)).forEach((id) => {
+    error('duplicate-id', `ACCESSORIES.${id}`, `"${id}" is both a feature and an accessory`);
+  });
+
+  const isOption = (id) => Object.prototype.hasOwnProperty.call(features, id) || Object.prototype.hasOwnProperty.call(accessories, id);
+  [['FEATURES', features], ['ACCESSORIES', accessories]].forEach(([section, entries]) => {
+    Object.entries(entries).filter(([, entry]) => isPlainObject(entry)).forEach(([key, entry]) => {
+      ['requires', 'excludes'].filter((name) => Array.isArray(entry[name])).forEach((name) => {
+        const field = `${section}.${key}.${name}`;
+        entry[name].filter((id) => isNonEmptyString(id) && (id === key || !isOption(id))).forEach((id) => {
+          error('unknown-option', field, id === key ? `${field} lists the option itself` : `${field} lists "${id}", which is not a feature or accessory`);
+        });
+      });
+      if (Array.isArray(entry.availableOn)) {
+        const field = `${section}.${key}.availableOn`;
+        entry.availableOn.forEach((item) => {
+          const known = typeof item === 'number'
+            ? products.some((product) => product?.modelWidth === item)
+            : products.some((product) => product?.id === item);
+          if (!known) error('unknown-product', field, `${field} lists ${typeof item === 'number' ? `${item}", which no product has` : `"${item}", which is not in PRODUCTS`}`);
+        });
+      }
+    });
+  });
+}
+
+// Entries are priced in the catalog `currency`; every other currency needs a
+// complete price list of its own (included features are never charged, so they
+// need no price), and each has to be one Intl can format
+function validateCurrencies(data, error) {
+  const currencies = isPlainObject(data.CURRENCIES) ? data.CURRENCIES : {};
+  if (!Object.prototype.hasOwnProperty.call(currencies, data.currency)) {
+    error('unknown-currency', 'currency', `Catalog currency "${data.currency}" is not in CURRENCIES`);
+  }
+
+  Object.entries(currencies).filter(([, currency]) => isPlainObject(currency)).forEach(([key, currency]) => {
+    const field = `CURRENCIES.${key}`;
+    if (isNonEmptyString(currency.locale) && !checkType('currencyCode', currency.id)) {
+      try {
+        new Intl.NumberFormat(currency.locale, { style: 'currency', currency: currency.id });
+      } catch {
+        error('invalid-field', `${field}.locale`, `${field}.locale "${currency.locale}" can't format ${currency.id} prices`);
+      }
+    }
+
+    if (key === data.currency) {
+      if ('prices' in currency) error('invalid-field', `${field}.prices`, `${field} is the catalog currency; its prices come from the entries`);
+      return;
+    }
+    if (!isPlainObject(currency.prices)) {
+      if (!('prices' in currency)) error('missing-field', `${field}.prices`, `${field} is missing "prices"`);
+      return;
+    }
+
+    Object.keys(PRICED_SECTIONS).forEach((section) => {
+      const entries = isPlainObject(data[section]) ? data[section] : {};
+      const prices = isPlainObject(currency.prices[section]) ? currency.prices[section] : {};
+      const listField = `${field}.prices.${section}`;
+      Object.entries(entries).filter(([id, entry]) => !entry?.included && !(id in prices)).forEach(([id]) => {
+        error('missing-price', listField, `${listField} has no price for "${id}"`);
+      });
+      Object.entries(prices).forEach(([id, price]) => {
+        if (!Object.prototype.hasOwnProperty.call(entries, id)) {
+          error('unknown-entry', `${listField}.${id}`, `${listField} prices "${id}", which is not in ${section}`);
+          return;
+        }
+        const problem = checkType('price', price);
+        if (problem) error('invalid-field', `${listField}.${id}`, `${listField}.${id} ${problem}`);
+      });
+    });
+  });
+}
+
+// A discount covers one priced section, optionally narrowed to `ids` or a `category`,
+// and takes off either a `percent` or a fixed `amount` per currency
+function validatePriceBooks(data, error) {
+  const books = isPlainObject(data.PRICE_BOOKS) ? data.PRICE_BOOKS : {};
+  if (!Object.prototype.hasOwnProperty.call(books, data.priceBook)) {
+    error('unknown-price-book', 'priceBook', `Default price book "${data.priceBook}" is not in PRICE_BOOKS`);
+  }
+
+  const categories = { FEATURES: data.FEATURE_CATEGORIES, ACCESSORIES: data.ACCESSORY_CATEGORIES };
+  Object.entries(books).filter(([, book]) => Array.isArray(book?.discounts)).forEach(([key, book]) => {
+    book.discounts.filter(isPlainObject).forEach((discount, index) => {
+      const field = `PRICE_BOOKS.${key}.discounts.${index}`;
+      const entries = data[discount.section];
+      if (!(discount.section in PRICED_SECTIONS) || !isPlainObject(entries)) {
+        error('invalid-field', `${field}.section`, `${field}.section must be one of ${Object.keys(PRICED_SECTIONS).join(', ')}`);
+        return;
+      }
+
+      if ('ids' in discount) {
+        if (!Array.isArray(discount.ids) || discount.ids.length === 0) {
+          error('invalid-field', `${field}.ids`, `${field}.ids must be a non-empty array of ${discount.section} ids`);
+        } else {
+          discount.ids.filter((id) => !Object.prototype.hasOwnProperty.call(entries, id))
+            .forEach((id) => error('unknown-entry', `${field}.ids`, `${field}.ids lists "${id}", which is not in ${discount.section}`));
+        }
+      }
+      if ('category' in discount) {
+        const known = categories[discount.section];
+        if (!isPlainObject(known) || !Object.prototype.hasOwnProperty.call(known, discount.category)) {
+          error('unknown-category', `${field}.category`, `${field}.category "${discount.category}" is not a ${discount.section} category`);
+        }
+      }
+
+      if (('percent' in discount) === ('amount' in discount)) {
+        error('invalid-entry', field, `${field} needs either a "percent" or an "amount"`);
+      } else if ('percent' in discount) {
+        const problem = checkType('percent', discount.percent);
+        if (problem) error('invalid-field', `${field}.percent`, `${field}.percent ${problem}`);
+      } else if (!isPlainObject(discount.amount)) {
+        error('invalid-field', `${field}.amount`, `${field}.amount must be an object of amounts per currency`);
+      } else {
+        checkCurrencyAmounts(data, `${field}.amount`, discount.amount, error);
+      }
+    });
+  });
+}
+
+// Fixed amounts (discounts, freight rates) can't be converted between currencies,
+// so like prices each one is set for every currency
+function checkCurrencyAmounts(data, field, amounts, error) {
+  Object.keys(isPlainObject(data.CURRENCIES) ? data.CURRENCIES : {}).filter((currencyId) => checkType('price', amounts[currencyId]))
+    .forEach((currencyId) => error('missing-price', field, `${field} has no ${currencyId} amount`));
+}
+
+// Every destination ships through a known freight zone, and a ZIP code must lead to
+// exactly one state
+function validateDestinations(data, error) {
+  const zones = isPlainObject(data.FREIGHT_ZONES) ? data.FREIGHT_ZONES : {};
+  const isZone = (id) => Object.prototype.hasOwnProperty.call(zones, id);
+
+  Object.entries(zones).filter(([, zone]) => isPlainObject(zone)).forEach(([key, zone]) => {
+    ['base', 'perLb'].filter((name) => isPlainObject(zone[name]))
+      .forEach((name) => checkCurrencyAmounts(data, `FREIGHT_ZONES.${key}.${name}`, zone[name], error));
+  });
+  Object.entries(isPlainObject(data.FREIGHT_SURCHARGES) ? data.FREIGHT_SURCHARGES : {})
+    .filter(([, surcharge]) => isPlainObject(surcharge?.amount))
+    .forEach(([key, surcharge]) => checkCurrencyAmounts(data, `FREIGHT_SURCHARGES.${key}.amount`, surcharge.amount, error));
+
+  const zipOwners = new Map();
+  Object.entries(isPlainObject(data.US_STATES) ? data.US_STATES : {}).filter(([, state]) => isPlainObject(state)).forEach(([key, state]) => {
+    const field = `US_STATES.${key}`;
+    if (isNonEmptyString(state.zone) && !isZone(state.zone)) {
+      error('unknown-zone', `${field}.zone`, `${field}.zone "${state.zone}" is not in FREIGHT_ZONES`);
+    }
+    if (checkType('zipPrefixes', state.zipPrefixes)) return;
+    state.zipPrefixes.forEach((prefix) => {
+      const [, first, last = first] = prefix.match(ZIP_PREFIX_PATTERN);
+      if (Number(last) < Number(first)) {
+        error('invalid-field', `${field}.zipPrefixes`, `${field}.zipPrefixes has the backwards range "${prefix}"`);
+        return;
+      }
+      for (let zip = Number(first); zip <= Number(last); zip++) {
+        const owner = zipOwners.get(zip);
+        if (owner) {
+          error('duplicate-zip-prefix', `${field}.zipPrefixes`, `ZIP prefix ${String(zip).padStart(3, '0')} is in both US_STATES.${owner} and ${field}`);
+          return;
+        }
+        zipOwners.set(zip, key);
+      }
+    });
+  });
+
+  Object.entries(isPlainObject(data.EXPORT_COUNTRIES) ? data.EXPORT_COUNTRIES : {}).filter(([, country]) => isPlainObject(country))
+    .forEach(([key, country]) => {
+      const field = `EXPORT_COUNTRIES.${key}`;
+      if (key === 'US') error('invalid-entry', field, `${field}: the United States is not an export destination`);
+      if (isNonEmptyString(country.zone) && !isZone(country.zone)) {
+        error('unknown-zone', `${field}.zone`, `${field}.zone "${country.zone}" is not in FREIGHT_ZONES`);
+      }
+    });
+}
+
+// A quote gets the tier with the highest minQuantity it reaches, so two tiers can't
+// start at the same quantity, and a bigger order must never get a smaller discount
+function validateVolumeTiers(data, error) {
+  const tiers = Object.entries(isPlainObject(data.VOLUME_TIERS) ? data.VOLUME_TIERS : {})
+    .filter(([, tier]) => !checkType('minQuantity', tier?.minQuantity) && !checkType('percent', tier.percent))
+    .sort(([, a], [, b]) => a.minQuantity - b.minQuantity);
+
+  tiers.forEach(([key, tier], index) => {
+    if (index === 0) return;
+    const [previousKey, previous] = tiers[index - 1];
+    const field = `VOLUME_TIERS.${key}`;
+    if (tier.minQuantity === previous.minQuantity) {
+      error('duplicate-tier', `${field}.minQuantity`, `${field} and VOLUME_TIERS.${previousKey} both start at ${tier.minQuantity} stations`);
+    } else if (tier.percent < previous.percent) {
+      error('invalid-field', `${field}.percent`, `${field}.percent is below the ${previous.percent}% of the smaller VOLUME_TIERS.${previousKey}`);
+    }
+  });
+}
+
+// DEFAULT_CONFIG may only refer to entries the catalog defines
+function validateDefaultConfig(data, error) {
+  const config = data.DEFAULT_CONFIG;
+  if (!isPlainObject(config)) {
+    error('missing-section', 'DEFAULT_CONFIG', '"DEFAULT_CONFIG" must be an object');
+    return;
+  }
+
+  const has = (section, id) => isPlainObject(data[section]) && Object.prototype.hasOwnProperty.call(data[section], id);
+  if (!has('PRODUCTS', config.product)) {
+    error('unknown-product', 'DEFAULT_CONFIG.product', `Default product "${config.product}" is not in PRODUCTS`);
+  }
+  if (!has('SINK_POSITIONS', config.sinkPosition)) {
+    error('unknown-sink-position', 'DEFAULT_CONFIG.sinkPosition', `Default sink position "${config.sinkPosition}" is not in SINK_POSITIONS`);
+  }
+  if ('baseStyle' in config && !BASE_STYLES.includes(config.baseStyle)) {
+    error('unknown-base-style', 'DEFAULT_CONFIG.baseStyle', `Default base style "${config.baseStyle}" is not one of ${BASE_STYLES.join(', ')}`);
+  }
+  [['features', 'FEATURES'], ['accessories', 'ACCESSORIES']].forEach(([list, section]) => {
+    const field = `DEFAULT_CONFIG.${list}`;
+    if (!Array.isArray(config[list])) {
+      error('invalid-list', field, `${field} must be an array`);
+      return;
+    }
+    config[list].filter((id) => !has(section, id))
+      .forEach((id) => error('unknown-option', field, `${field} lists "${id}", which is not in ${section}`));
+  });
+}
+
+/**
+ * @param {object} data - Parsed catalog.json
+ * @returns {object} `data`, once it passes validateCatalog
+ * @throws {Error} Listing the problems; `error.errors` has validateCatalog's errors
+ */
+export function parseCatalog(data) {
+  const { valid, errors } = validateCatalog(data);
+  if (!valid) {
+    const details = errors.slice(0, 5).map((problem) => problem.message).join('; ');
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    throw Object.assign(new Error(`Catalog: ${details}${more}`), { errors });
+  }
+  return data;
+}
+
+/**
+ * Fetch, parse and validate a catalog file.
+ * @param {string} url
+ * @returns {Promise<object>}
+ * @throws {Error} Failed request, malformed JSON or a catalog that fails validateCatalog
+ */
+export async function loadCatalog(url = 'catalog.json') {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load catalog: ${response.status} ${url}`);
+  let data;
+  try {
+    data = await response.json();
+  } catch (err) {
+    throw new Error(`Catalog: ${url} is not valid JSON (${err.message})`);
+  }
+  return parseCatalog(data);
+}
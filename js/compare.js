@@ -0,0 +1,93 @@
+/**
+ * Mopec Equipment Configurator
+ * Configuration comparison
+ *
+ * Builds the side-by-side view of two or three configurations: totals with
+ * deltas against the first (baseline) configuration, product spec rows and a
+ * line-item diff of features and accessories. DOM-free; app.js renders it.
+ */
+
+import {
+  PRODUCTS,
+  FEATURES,
+  ACCESSORIES,
+  SINK_POSITIONS,
+  calculateTotal,
+  getLinePrice
+} from './core.js';
+
+export const MIN_COMPARED = 2;
+export const MAX_COMPARED = 3;
+
+/** Rows compared per product, in display order. */
+export const COMPARED_SPECS = Object.freeze([
+  { key: 'dimensions', label: 'Dimensions (L x W)', value: (product) => `${product.dimensions.length} x ${product.dimensions.width}` },
+  { key: 'heightRange', label: 'Height range', value: (product) => product.dimensions.heightRange },
+  { key: 'sinkSize', label: 'Sink size', value: (product) => product.dimensions.sinkSize },
+  { key: 'capacity', label: 'Capacity', value: (product) => product.capacity }
+]);
+
+const BASE_STYLE_NAMES = { pedestal: 'Pedestal', legs: 'Legs' };
+
+function allSame(values) {
+  return values.every((value) => value === values[0]);
+}
+
+/**
+ * @param {object[]} states - 2 to 3 configuration states; the first is the baseline
+ * @param {object} [options]
+ * @param {string} [options.currency] - Prices every column in this currency (default:
+ *   the catalog currency), whatever the states carry
+ * @param {string} [options.priceBook] - Likewise the price book; totals and line
+ *   prices are net of its discounts
+ * @returns {{
+ *   columns: {state: object, product: object, total: number, delta: number}[],
+ *   specs: {key: string, label: string, values: string[], differs: boolean}[],
+ *   lines: {kind: 'feature'|'accessory', id: string, name: string, price: number, included: boolean, selected: boolean[], differs: boolean}[]
+ * }}
+ * @throws {Error} Wrong number of states or an unknown product
+ */
+export function compareConfigurations(states, { currency, priceBook } = {}) {
+  if (!Array.isArray(states) || states.length < MIN_COMPARED || states.length > MAX_COMPARED) {
+    throw new Error(`Compare: expected ${MIN_COMPARED} to ${MAX_COMPARED} configurations`);
+  }
+
+  const columns = states.map((state) => {
+    const product = PRODUCTS[state.product];
+    if (!product) throw new Error(`Compare: unknown product "${state.product}"`);
+    return { state, product, total: calculateTotal({ ...state, currency, priceBook }).net, delta: 0 };
+  });
+  columns.forEach((column) => {
+    column.delta = column.total - columns[0].total;
+  });
+
+  const specRow = (key, label, values) => ({ key, label, values, differs: !allSame(values) });
+  const specs = [
+    ...COMPARED_SPECS.map((spec) => specRow(spec.key, spec.label, columns.map((column) => spec.value(column.product)))),
+    specRow('sinkPosition', 'Sink position', states.map((state) => SINK_POSITIONS[state.sinkPosition]?.name || state.sinkPosition)),
+    specRow('baseStyle', 'Base', states.map((state) => BASE_STYLE_NAMES[state.baseStyle] || state.baseStyle))
+  ];
+
+  // Catalog order, limited to items at least one configuration has
+  const lineItems = (kind, section, entries, field) => Object.values(entries)
+    .map((entry) => {
+      const selected = states.map((state) => state[field].includes(entry.id));
+      return {
+        kind,
+        id: entry.id,
+        name: entry.name,
+        price: getLinePrice(section, entry.id, { currency, priceBook }).net,
+        included: Boolean(entry.included),
+        selected,
+        differs: !allSame(selected)
+      };
+    })
+    .filter((line) => line.selected.some(Boolean));
+
+  const lines = [
+    ...lineItems('feature', 'FEATURES', FEATURES, 'features'),
+    ...lineItems('accessory', 'ACCESSORIES', ACCESSORIES, 'accessories')
+  ];
+
+  return { columns, specs, lines };
+}
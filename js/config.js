@@ -2,363 +2,237 @@
  * Mopec Equipment Configurator
  * Configuration Data & Pricing
  *
- * This file contains all product data, pricing, and configuration options
- * for the Mopec Maestro Grossing Station configurator.
+ * The product catalog (loaded from catalog.json, see installCatalog) and the
+ * pricing helpers for the Mopec Maestro Grossing Station configurator. Prices
+ * come from the price list of the currency asked for (CURRENCIES); without one,
+ * the catalog currency's. A price book (PRICE_BOOKS) then discounts them, so
+ * every price has a list, discount and net amount.
+ *
+ * ES module with no DOM access; the browser gets it through js/core-runtime.js
+ * (window.MopecConfig), Node imports it directly and installs catalog.json itself.
  */
 
-// ============================================
-// Product Catalog
-// ============================================
-const PRODUCTS = {
-  maestro48: {
-    id: 'maestro48',
-    name: 'Mopec Maestro 48"',
-    subtitle: 'Compact Grossing Station',
-    basePrice: 12500,
-    dimensions: {
-      length: '48"',
-      width: '32"',
-      heightRange: '34.5" - 46.5"',
-      sinkSize: '18" x 10" x 6"'
-    },
-    capacity: '500 lbs',
-    material: '304 Stainless Steel',
-    finish: 'No. 4 Satin Finish',
-    description: 'Compact Maestro ideal for smaller spaces and laboratories.',
-    popular: false,
-    modelWidth: 48
-  },
-  maestro60: {
-    id: 'maestro60',
-    name: 'Mopec Maestro 60"',
-    subtitle: 'Standard Grossing Station',
-    basePrice: 14500,
-    dimensions: {
-      length: '60"',
-      width: '32"',
-      heightRange: '34.5" - 46.5"',
-      sinkSize: '20" x 12" x 8"'
-    },
-    capacity: '750 lbs',
-    material: '304 Stainless Steel',
-    finish: 'No. 4 Satin Finish',
-    description: 'Entry-level Maestro with full ventilation system and ergonomic design.',
-    popular: false,
-    modelWidth: 60
-  },
-  maestro72: {
-    id: 'maestro72',
-    name: 'Mopec Maestro 72"',
-    subtitle: 'Enhanced Grossing Station',
-    basePrice: 17500,
-    dimensions: {
-      length: '72"',
-      width: '32"',
-      heightRange: '34.5" - 46.5"',
-      sinkSize: '20" x 12" x 8"'
-    },
-    capacity: '750 lbs',
-    material: '304 Stainless Steel',
-    finish: 'No. 4 Satin Finish',
-    description: 'Extended work surface for larger specimens with premium ventilation.',
-    popular: true,
-    modelWidth: 72
-  },
-  maestro96: {
-    id: 'maestro96',
-    name: 'Mopec Maestro 96"',
-    subtitle: 'Dual-User Grossing Station',
-    basePrice: 24500,
-    dimensions: {
-      length: '96"',
-      width: '32"',
-      heightRange: '34.5" - 46.5"',
-      sinkSize: '24" x 14" x 10"'
-    },
-    capacity: '1200 lbs',
-    material: '304 Stainless Steel',
-    finish: 'No. 4 Satin Finish',
-    description: 'Maximum workspace with enhanced sink and dual user capability.',
-    popular: false,
-    isNew: true,
-    modelWidth: 96
-  }
-};
+import { parseCatalog } from './catalog.js';
+import { resolveOptions } from './option-constraints.js';
 
 // ============================================
-// Feature Options
+// Catalog Data
 // ============================================
-const FEATURES = {
-  heightAdjust: {
-    id: 'heightAdjust',
-    name: 'Hydraulic Elevation',
-    description: 'ADA compliant, adjusts 34.5" to 46.5" via touchscreen',
-    price: 2400,
-    icon: 'height'
-  },
-  frontAirSystem: {
-    id: 'frontAirSystem',
-    name: 'Front Air System (FAS)',
-    description: 'Patent pending on-demand laminar flow protection',
-    price: 3200,
-    icon: 'air'
-  },
-  formalinDetection: {
-    id: 'formalinDetection',
-    name: 'Formalin Fume Detection',
-    description: 'Real-time monitoring with adjustable threshold alerts',
-    price: 1800,
-    icon: 'sensor'
-  },
-  downdraftVent: {
-    id: 'downdraftVent',
-    name: 'Downdraft Ventilation',
-    description: '275-400 CFM exhaust with dual 8" duct stubs',
-    price: 2800,
-    icon: 'vent'
-  },
-  touchscreen: {
-    id: 'touchscreen',
-    name: 'Touchscreen Control Panel',
-    description: 'Easy-to-use interface with user profile storage',
-    price: 1200,
-    icon: 'display',
-    included: true
-  },
-  disposal: {
-    id: 'disposal',
-    name: 'Waste Disposal Unit',
-    description: 'Heavy duty 1/2 HP garbage disposal',
-    price: 950,
-    icon: 'disposal'
-  },
-  secondSink: {
-    id: 'secondSink',
-    name: 'Second Sink',
-    description: 'Additional sink for 96" models',
-    price: 1200,
-    icon: 'sink'
-  }
-};
+// Filled from catalog.json by installCatalog(); empty until then. The objects are
+// updated in place, so modules that imported them see the installed catalog.
+export const PRODUCTS = {};
+export const FEATURES = {};
+export const ACCESSORIES = {};
+// Installation and the like, ordered per station and priced like options
+export const SERVICES = {};
+export const SINK_POSITIONS = {};
+export const SPECIFICATIONS = {};
+export const DEFAULT_CONFIG = {};
 
-// ============================================
-// Accessory Options
-// ============================================
-const ACCESSORIES = {
-  pathCam: {
-    id: 'pathCam',
-    name: 'PathCam Imaging System',
-    sku: 'PC-100',
-    description: 'High-resolution specimen imaging with stereoscopic viewing',
-    price: 8500,
-    category: 'imaging',
-    premium: true
-  },
-  monitorArm: {
-    id: 'monitorArm',
-    name: 'Monitor Arm',
-    sku: 'MAS-MM01',
-    description: 'Ergonomic center-mounted adjustable monitor arm',
-    price: 340,
-    category: 'technology'
-  },
-  magnetBar: {
-    id: 'magnetBar',
-    name: 'Magnetic Instrument Bar',
-    sku: 'MAS-MB01',
-    description: 'Tool organization magnetic strip',
-    price: 185,
-    category: 'organization'
-  },
-  drawerSystem: {
-    id: 'drawerSystem',
-    name: 'Under-Counter Drawers',
-    sku: 'MAS-SD01',
-    description: 'Stainless steel storage drawers',
-    price: 550,
-    category: 'storage'
-  },
-  ledLightStrip: {
-    id: 'ledLightStrip',
-    name: 'LED Light Strip',
-    sku: 'MAS-LS01',
-    description: 'Bright 5000K illumination for photography and examination',
-    price: 425,
-    category: 'lighting'
-  },
-  pegboardWing: {
-    id: 'pegboardWing',
-    name: 'Pegboard Wing Extension',
-    sku: 'MAS-PW01',
-    description: 'Additional pegboard for expanded accessory mounting',
-    price: 485,
-    category: 'organization'
-  },
-  formalinDispenser: {
-    id: 'formalinDispenser',
-    name: 'Formalin Dispenser',
-    sku: 'MAS-FD01',
-    description: 'Spatter-free controlled formalin dispensing system',
-    price: 620,
-    category: 'dispensing'
-  },
-  cassetteShelf: {
-    id: 'cassetteShelf',
-    name: 'Cassette Labeling Shelf',
-    sku: 'MAS-CS01',
-    description: 'Dedicated shelf for cassette labeling work',
-    price: 195,
-    category: 'organization'
-  },
-  ventilatedTrash: {
-    id: 'ventilatedTrash',
-    name: 'Ventilated Trash System',
-    sku: 'MAS-VT01',
-    description: 'Integrated ventilated waste receptacle',
-    price: 385,
-    category: 'waste'
-  },
-  keyboardTray: {
-    id: 'keyboardTray',
-    name: 'Keyboard Tray Insert',
-    sku: 'MAS-KT01',
-    description: 'Pull-out keyboard and mouse tray',
-    price: 275,
-    category: 'technology'
-  },
-  splashShield: {
-    id: 'splashShield',
-    name: 'Safety Splash Shield',
-    sku: 'MAS-SS01',
-    description: 'Clear protective shield for enhanced safety',
-    price: 285,
-    category: 'safety'
-  }
-};
+// Sections of the options panel, in display order. Features pick a section
+// (`category`) of the accordion; accessories are grouped under these headings.
+export const FEATURE_CATEGORIES = {};
+export const ACCESSORY_CATEGORIES = {};
 
-// ============================================
-// Sink Position Options
-// ============================================
-const SINK_POSITIONS = {
-  left: {
-    id: 'left',
-    name: 'Left',
-    description: 'Sink positioned on the left side of the station'
-  },
-  center: {
-    id: 'center',
-    name: 'Center',
-    description: 'Sink positioned in the center of the station'
-  },
-  right: {
-    id: 'right',
-    name: 'Right',
-    description: 'Sink positioned on the right side of the station'
-  },
-  none: {
-    id: 'none',
-    name: 'No Sink',
-    description: 'Station without sink (work surface only)'
-  }
-};
+// Currencies quotes can be priced in: { id, name, locale, fractionDigits, roundTo,
+// prices? }. Entries carry catalog-currency prices; the others have price lists.
+export const CURRENCIES = {};
 
-// ============================================
-// Technical Specifications
-// ============================================
-const SPECIFICATIONS = {
-  construction: {
-    title: 'Construction',
-    color: 'blue',
-    items: [
-      { label: 'Material', value: '304 Stainless Steel' },
-      { label: 'Finish', value: 'No. 4 Satin' },
-      { label: 'Welds', value: 'Heliarc (TIG)' },
-      { label: 'Sink', value: '16 Gauge SS' }
-    ]
-  },
-  electrical: {
-    title: 'Electrical',
-    color: 'orange',
-    items: [
-      { label: 'Power', value: '115V/60Hz/1Ph' },
-      { label: 'Circuits', value: '2 x 20A Dedicated' },
-      { label: 'Outlets', value: '4 GFCI w/ USB' },
-      { label: 'Lighting', value: 'LED, 5000K' }
-    ]
-  },
-  ventilation: {
-    title: 'Ventilation',
-    color: 'green',
-    items: [
-      { label: 'Exhaust', value: '275-400 CFM' },
-      { label: 'Ducts', value: 'Dual 8" Stubs' },
-      { label: 'FAS', value: 'On-Demand' },
-      { label: 'Monitoring', value: 'Real-time' }
-    ]
-  }
-};
+// Named pricing (List, GPO contract, ...): { id, name, description, discounts }.
+// Each discount: { section, ids?, category?, percent | amount: { [currency]: number } }.
+export const PRICE_BOOKS = {};
 
-// ============================================
-// Default Configuration
-// ============================================
-const DEFAULT_CONFIG = {
-  product: 'maestro72',
-  features: ['touchscreen', 'heightAdjust', 'frontAirSystem'],
-  accessories: [],
-  sinkPosition: 'left',
-  baseStyle: 'pedestal'
+// Volume discounts for multi-station quotes: { id, name, minQuantity, percent }
+// (see js/quote.js). Optional; without tiers there is no volume discount.
+export const VOLUME_TIERS = {};
+
+// Delivery estimate (see js/estimate.js): US states with their sales tax rate and
+// ZIP prefixes, export countries, and the freight zones they ship through
+// ({ base, perLb } per currency) with the surcharges crates may add.
+export const US_STATES = {};
+export const EXPORT_COUNTRIES = {};
+export const FREIGHT_ZONES = {};
+export const FREIGHT_SURCHARGES = {};
+
+/** Which catalog file is installed: { version, revision, currency, priceBook }. */
+export const CATALOG_INFO = {};
+
+const SECTIONS = {
+  PRODUCTS,
+  FEATURES,
+  ACCESSORIES,
+  SERVICES,
+  SINK_POSITIONS,
+  SPECIFICATIONS,
+  DEFAULT_CONFIG,
+  FEATURE_CATEGORIES,
+  ACCESSORY_CATEGORIES,
+  CURRENCIES,
+  PRICE_BOOKS,
+  VOLUME_TIERS,
+  US_STATES,
+  EXPORT_COUNTRIES,
+  FREIGHT_ZONES,
+  FREIGHT_SURCHARGES
 };
 
+/** Where each priced section keeps its catalog-currency price. */
+const PRICE_FIELDS = { PRODUCTS: 'basePrice', FEATURES: 'price', ACCESSORIES: 'price', SERVICES: 'price' };
+
+// Currency id -> Intl.NumberFormat (building one is slow; installCatalog clears them)
+const priceFormats = new Map();
+
+/**
+ * Validate a parsed catalog.json (see js/catalog.js) and make it the catalog.
+ * Call once at startup, before creating any state; the browser does this in
+ * js/core-runtime.js.
+ * @param {object} data - Parsed catalog.json
+ * @throws {Error} The catalog fails validation (nothing is installed then)
+ */
+export function installCatalog(data) {
+  parseCatalog(data);
+
+  Object.entries(SECTIONS).forEach(([section, target]) => {
+    Object.keys(target).forEach((key) => delete target[key]);
+    Object.assign(target, structuredClone(data[section] || {}));
+  });
+  priceFormats.clear();
+  Object.keys(CATALOG_INFO).forEach((key) => delete CATALOG_INFO[key]);
+  Object.assign(CATALOG_INFO, {
+    version: data.version,
+    revision: data.revision || null,
+    currency: data.currency,
+    priceBook: data.priceBook
+  });
+}
+
 // ============================================
 // Utility Functions
 // ============================================
 
 /**
- * Format price as USD currency string
- * @param {number} price - Price in dollars
- * @returns {string} Formatted price string
+ * A currency from CURRENCIES; unknown or missing ids give the catalog currency.
+ * @param {string} [currencyId]
+ * @returns {{id: string, name: string, locale: string, fractionDigits?: number, roundTo?: number}|undefined}
+ *   undefined only before installCatalog()
  */
-function formatPrice(price) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(price);
+export function getCurrency(currencyId) {
+  return CURRENCIES[currencyId] || CURRENCIES[CATALOG_INFO.currency];
 }
 
 /**
- * Calculate total configuration price
- * @param {Object} config - Current configuration state
- * @returns {number} Total price
+ * Price of a catalog entry in a currency. Included features and unknown ids cost 0.
+ * @param {'PRODUCTS'|'FEATURES'|'ACCESSORIES'|'SERVICES'} section
+ * @param {string} id
+ * @param {string} [currencyId] - Defaults to the catalog currency
+ * @returns {number}
  */
-function calculateTotal(config) {
-  let total = 0;
+export function getPrice(section, id, currencyId) {
+  const entry = SECTIONS[section]?.[id];
+  if (!entry || entry.included) return 0;
+  const currency = getCurrency(currencyId);
+  const price = currency?.prices ? currency.prices[section]?.[id] : entry[PRICE_FIELDS[section]];
+  return price || 0;
+}
 
-  // Add base product price
-  if (config.product && PRODUCTS[config.product]) {
-    total += PRODUCTS[config.product].basePrice;
-  }
+/**
+ * A price book from PRICE_BOOKS; unknown or missing ids give the catalog's default one.
+ * @param {string} [priceBookId]
+ * @returns {{id: string, name: string, description?: string, discounts: object[]}|undefined}
+ *   undefined only before installCatalog()
+ */
+export function getPriceBook(priceBookId) {
+  return PRICE_BOOKS[priceBookId] || PRICE_BOOKS[CATALOG_INFO.priceBook];
+}
 
-  // Add feature prices
-  if (config.features && Array.isArray(config.features)) {
-    config.features.forEach(featureId => {
-      if (FEATURES[featureId] && !FEATURES[featureId].included) {
-        total += FEATURES[featureId].price;
-      }
-    });
+// The book's first discount covering the entry (its section, and the `ids` / `category` it names)
+function findDiscount(priceBook, section, entry) {
+  return (priceBook?.discounts || []).find(discount => discount.section === section &&
+    (!discount.ids || discount.ids.includes(entry.id)) &&
+    (!discount.category || discount.category === entry.category));
+}
+
+/**
+ * List price, discount and net price of a catalog entry. Percentages are rounded
+ * with roundPrice(); no discount takes more than the list price.
+ * @param {'PRODUCTS'|'FEATURES'|'ACCESSORIES'|'SERVICES'} section
+ * @param {string} id
+ * @param {object} [options]
+ * @param {string} [options.currency] - Defaults to the catalog currency
+ * @param {string} [options.priceBook] - Defaults to the catalog price book
+ * @returns {{list: number, discount: number, net: number}}
+ */
+export function getLinePrice(section, id, { currency, priceBook } = {}) {
+  const list = getPrice(section, id, currency);
+  const rule = list > 0 ? findDiscount(getPriceBook(priceBook), section, SECTIONS[section][id]) : null;
+  let discount = 0;
+  if (rule) {
+    const amount = rule.percent !== undefined ? list * rule.percent / 100 : rule.amount[getCurrency(currency).id];
+    discount = Math.min(roundPrice(amount, currency), list);
   }
+  return { list, discount, net: list - discount };
+}
+
+/**
+ * Round an amount the way the currency's price lists are (`roundTo`, e.g. 5 for
+ * list prices ending in 0 or 5), to at most its `fractionDigits`.
+ * @param {number} amount
+ * @param {string} [currencyId]
+ * @returns {number}
+ */
+export function roundPrice(amount, currencyId) {
+  const { fractionDigits = 0, roundTo = 1 } = getCurrency(currencyId) || {};
+  const rounded = Math.round(amount / roundTo) * roundTo;
+  return Number(rounded.toFixed(fractionDigits));
+}
 
-  // Add accessory prices
-  if (config.accessories && Array.isArray(config.accessories)) {
-    config.accessories.forEach(accessoryId => {
-      if (ACCESSORIES[accessoryId]) {
-        total += ACCESSORIES[accessoryId].price;
-      }
-    });
+/**
+ * Format a price for display, with the currency's locale (e.g. "17.000 €" for EUR)
+ * @param {number} price - Amount in that currency
+ * @param {string} [currencyId] - Defaults to the catalog currency
+ * @returns {string} Formatted price string
+ */
+export function formatPrice(price, currencyId) {
+  const { id = 'USD', locale = 'en-US', fractionDigits = 0 } = getCurrency(currencyId) || {};
+  if (!priceFormats.has(id)) {
+    priceFormats.set(id, new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: id,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }));
   }
+  return priceFormats.get(id).format(price);
+}
 
-  return total;
+/**
+ * Price a configuration in its `currency` and `priceBook` (the catalog's when it
+ * has none). Lines come in configuration order: product, features (included ones
+ * at 0), accessories. Unknown ids add nothing, and neither do options the
+ * catalog constraints rule out (js/option-constraints.js); check imported
+ * configurations with validateConfig (js/core.js) first.
+ * @param {Object} config - Current configuration state
+ * @returns {{
+ *   currency: string, priceBook: string,
+ *   lines: {section: 'PRODUCTS'|'FEATURES'|'ACCESSORIES', id: string, list: number, discount: number, net: number}[],
+ *   list: number, discount: number, net: number
+ * }} What the customer pays is `net`
+ */
+export function calculateTotal(config) {
+  const priced = resolveOptions(SECTIONS, config);
+  const options = { currency: getCurrency(config.currency)?.id, priceBook: getPriceBook(config.priceBook)?.id };
+  const lines = [];
+  const addLine = (section, id) => {
+    if (SECTIONS[section][id]) lines.push({ section, id, ...getLinePrice(section, id, options) });
+  };
+
+  // Base product, then feature and accessory prices
+  if (priced.product) addLine('PRODUCTS', priced.product);
+  if (Array.isArray(priced.features)) priced.features.forEach(featureId => addLine('FEATURES', featureId));
+  if (Array.isArray(priced.accessories)) priced.accessories.forEach(accessoryId => addLine('ACCESSORIES', accessoryId));
+
+  const sum = field => lines.reduce((total, line) => total + line[field], 0);
+  return { ...options, lines, list: sum('list'), discount: sum('discount'), net: sum('net') };
 }
 
 /**
@@ -366,14 +240,14 @@ function calculateTotal(config) {
  * @param {Object} config - Current configuration state
  * @returns {string} Summary text
  */
-function getConfigSummary(config) {
+export function getConfigSummary(config) {
   const parts = [];
 
   if (config.product && PRODUCTS[config.product]) {
     parts.push(PRODUCTS[config.product].name);
   }
 
-  const featureNames = config.features
+  const featureNames = (config.features || [])
     .filter(id => FEATURES[id] && !FEATURES[id].included)
     .map(id => FEATURES[id].name);
 
@@ -381,7 +255,7 @@ function getConfigSummary(config) {
     parts.push('with ' + featureNames.join(', '));
   }
 
-  const accessoryCount = config.accessories.length;
+  const accessoryCount = (config.accessories || []).filter(id => ACCESSORIES[id]).length;
   if (accessoryCount > 0) {
     parts.push(`+ ${accessoryCount} accessor${accessoryCount === 1 ? 'y' : 'ies'}`);
   }
@@ -394,25 +268,9 @@ function getConfigSummary(config) {
  * @param {string} productId - Product ID
  * @returns {number} Model width in inches
  */
-function getModelWidth(productId) {
+export function getModelWidth(productId) {
   if (PRODUCTS[productId]) {
     return PRODUCTS[productId].modelWidth || 72;
   }
   return 72;
 }
-
-// Export for use in other modules
-if (typeof window !== 'undefined') {
-  window.MopecConfig = {
-    PRODUCTS,
-    FEATURES,
-    ACCESSORIES,
-    SINK_POSITIONS,
-    SPECIFICATIONS,
-    DEFAULT_CONFIG,
-    formatPrice,
-    calculateTotal,
-    getConfigSummary,
-    getModelWidth
-  };
-}
@@ -0,0 +1,149 @@
+/**
+ * Mopec Equipment Configurator
+ * Core Runtime Bridge
+ *
+ * Publishes the headless core to the classic scripts: `window.MopecConfig` (the
+ * catalog and pricing helpers app.js and pdf.js read), `window.MopecCore`
+ * (state transitions, validation, pricing), `window.MopecShareLink`
+ * (share-link encoding), `window.MopecCompare` (comparison builder),
+ * `window.MopecQuote` (multi-station quotes and their pricing),
+ * `window.MopecEstimate` (destinations, freight, tax and services),
+ * `window.MopecQuoteRequest` (checking and sending the quote form),
+ * `window.MopecBom` (the quote's bill of materials and its CSV),
+ * `window.MopecQuoteOutbox` (quote requests waiting to be sent again, kept in
+ * IndexedDB; null when IndexedDB is unavailable or doesn't open within
+ * OUTBOX_OPEN_TIMEOUT, and app.js starts it once it listens),
+ * `window.MopecQuoteDocuments` (quote numbering, revisions and their
+ * differences), `window.MopecSavedQuotes` (the quotes issued in this browser, in
+ * localStorage; kept in memory for the visit when storage is unavailable),
+ * `window.MopecOptionList` (the option cards and toggles the panel offers),
+ * `window.MopecUndoHistory` (the undo / redo stacks),
+ * `window.MopecSavedConfigurations` (named configurations in localStorage;
+ * null when storage is unavailable) and `window.MopecStore` (the configuration
+ * store, with its `actions`, `ActionTypes` and `selectors` attached). The
+ * currency picked last is kept in localStorage and restored on the next visit.
+ *
+ * The catalog comes from catalog.json, so the store only exists once
+ * `window.MopecReady` has resolved. It rejects when the catalog can't be
+ * loaded or fails validation (`error.errors` lists the problems then).
+ *
+ * Integrations that only need to follow changes can listen for the
+ * `mopec:configuration-change` window event instead of subscribing:
+ *   event.detail = { state, previousState, action }
+ */
+
+import * as MopecCore from './core.js';
+import * as MopecShareLink from './share-link.js';
+import * as MopecCompare from './compare.js';
+import * as MopecQuote from './quote.js';
+import * as MopecEstimate from './estimate.js';
+import * as MopecQuoteRequest from './quote-request.js';
+import * as MopecBom from './bom.js';
+import { createIndexedDbStore, createQuoteOutbox } from './quote-outbox.js';
+import * as MopecQuoteDocuments from './quote-documents.js';
+import * as MopecOptionList from './option-list.js';
+import { createSavedConfigurations } from './saved-configurations.js';
+import { createUndoHistory } from './undo-history.js';
+import { loadCatalog } from './catalog.js';
+import { ActionTypes, actions, selectors, createStore } from './store.js';
+
+const CATALOG_URL = 'catalog.json';
+const CURRENCY_KEY = 'mopec.currency';
+/** Milliseconds IndexedDB gets to open the outbox before the configurator starts without it. */
+const OUTBOX_OPEN_TIMEOUT = 3000;
+
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    // e.g. blocked by the browser's privacy settings
+    return null;
+  }
+}
+
+const storage = getLocalStorage();
+
+// Quotes handed to a customer must keep their numbers and prices at least for the visit
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    }
+  };
+}
+
+window.MopecConfig = MopecCore.catalog;
+window.MopecCore = MopecCore;
+window.MopecShareLink = MopecShareLink;
+window.MopecCompare = MopecCompare;
+window.MopecQuote = MopecQuote;
+window.MopecEstimate = MopecEstimate;
+window.MopecQuoteRequest = MopecQuoteRequest;
+window.MopecBom = MopecBom;
+window.MopecQuoteDocuments = MopecQuoteDocuments;
+window.MopecSavedQuotes = MopecQuoteDocuments.createQuoteDocuments(storage || createMemoryStorage());
+window.MopecOptionList = MopecOptionList;
+window.MopecUndoHistory = createUndoHistory();
+window.MopecSavedConfigurations = storage ? createSavedConfigurations(storage) : null;
+
+// The currency isn't part of a configuration, but a distributor shouldn't have
+// to pick it every visit
+function rememberCurrency(store) {
+  if (!storage) return;
+
+  const saved = storage.getItem(CURRENCY_KEY);
+  if (saved && MopecCore.CURRENCIES[saved]) store.dispatch(actions.setCurrency(saved));
+  store.select(selectors.currency, (currency) => {
+    try {
+      storage.setItem(CURRENCY_KEY, currency);
+    } catch {
+      // Storage full: the choice just isn't remembered
+    }
+  });
+}
+
+// Requests queued offline go out again as soon as the browser is back online
+async function openQuoteOutbox() {
+  let store;
+  let timer;
+  // An open that never settles (a blocked upgrade) mustn't keep the configurator from starting
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, OUTBOX_OPEN_TIMEOUT, null);
+  });
+  try {
+    store = await Promise.race([createIndexedDbStore(window.indexedDB), timeout]);
+  } catch {
+    // No IndexedDB (e.g. some private windows): failed requests can't be kept
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!store) return null;
+
+  const outbox = createQuoteOutbox(store, {
+    send: (entry) => MopecQuoteRequest.submitQuoteRequest(entry.payload, { endpoint: entry.endpoint }),
+    isOnline: () => window.navigator.onLine !== false
+  });
+  window.addEventListener('online', () => {
+    outbox.flush().catch((err) => console.error('[Mopec] Queued quote requests not sent.', err));
+  });
+  return outbox;
+}
+
+async function start() {
+  MopecCore.installCatalog(await loadCatalog(CATALOG_URL));
+  window.MopecQuoteOutbox = await openQuoteOutbox();
+
+  const store = createStore();
+  rememberCurrency(store);
+  store.subscribe((state, previousState, action) => {
+    window.dispatchEvent(new CustomEvent('mopec:configuration-change', { detail: { state, previousState, action } }));
+  });
+  window.MopecStore = Object.freeze({ ...store, ActionTypes, actions, selectors });
+}
+
+window.MopecReady = start();
+// A failed load is reported by app.js (it shows the problems instead of the configurator)
+window.MopecReady.catch(() => {});
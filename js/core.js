@@ -0,0 +1,456 @@
+/**
+ * Mopec Equipment Configurator
+ * Headless configurator core
+ *
+ * DOM-free catalog access, state transitions, validation and pricing. The same
+ * module runs in the browser (through js/core-runtime.js) and in Node, so a
+ * configuration prices identically in both. Either way catalog.json has to be
+ * installed (installCatalog) before any state is created.
+ *
+ * A configuration state is a plain object:
+ *   { product, features: string[], accessories: string[], sinkPosition, baseStyle }
+ * optionally with the `currency` and `priceBook` it is priced in (setCurrency,
+ * setPriceBook; the catalog's defaults when absent). Transitions never mutate
+ * their input; they return a new state and keep any extra keys the caller
+ * stores alongside (e.g. app.js `currentStep`).
+ */
+
+import {
+  PRODUCTS,
+  FEATURES,
+  ACCESSORIES,
+  SERVICES,
+  SINK_POSITIONS,
+  FEATURE_CATEGORIES,
+  ACCESSORY_CATEGORIES,
+  SPECIFICATIONS,
+  DEFAULT_CONFIG,
+  CURRENCIES,
+  PRICE_BOOKS,
+  VOLUME_TIERS,
+  US_STATES,
+  EXPORT_COUNTRIES,
+  FREIGHT_ZONES,
+  FREIGHT_SURCHARGES,
+  CATALOG_INFO,
+  installCatalog,
+  getCurrency,
+  getPrice,
+  getPriceBook,
+  getLinePrice,
+  roundPrice,
+  formatPrice,
+  calculateTotal,
+  getConfigSummary,
+  getModelWidth
+} from './config.js';
+import { BASE_STYLES, validateCatalog } from './catalog.js';
+import { optionProblems, resolveOptions } from './option-constraints.js';
+
+export {
+  PRODUCTS,
+  FEATURES,
+  ACCESSORIES,
+  SERVICES,
+  SINK_POSITIONS,
+  FEATURE_CATEGORIES,
+  ACCESSORY_CATEGORIES,
+  SPECIFICATIONS,
+  DEFAULT_CONFIG,
+  CURRENCIES,
+  PRICE_BOOKS,
+  VOLUME_TIERS,
+  US_STATES,
+  EXPORT_COUNTRIES,
+  FREIGHT_ZONES,
+  FREIGHT_SURCHARGES,
+  CATALOG_INFO,
+  BASE_STYLES,
+  installCatalog,
+  validateCatalog,
+  getCurrency,
+  getPrice,
+  getPriceBook,
+  getLinePrice,
+  roundPrice,
+  formatPrice,
+  calculateTotal,
+  getConfigSummary,
+  getModelWidth
+};
+
+/**
+ * The catalog in the shape of window.MopecConfig (what createCatalogBinding and
+ * the classic scripts expect). Empty until installCatalog() has run.
+ */
+export const catalog = Object.freeze({
+  PRODUCTS,
+  FEATURES,
+  ACCESSORIES,
+  SERVICES,
+  SINK_POSITIONS,
+  FEATURE_CATEGORIES,
+  ACCESSORY_CATEGORIES,
+  SPECIFICATIONS,
+  DEFAULT_CONFIG,
+  CURRENCIES,
+  PRICE_BOOKS,
+  VOLUME_TIERS,
+  US_STATES,
+  EXPORT_COUNTRIES,
+  FREIGHT_ZONES,
+  FREIGHT_SURCHARGES,
+  CATALOG_INFO,
+  getCurrency,
+  getPrice,
+  getPriceBook,
+  getLinePrice,
+  roundPrice,
+  formatPrice,
+  calculateTotal,
+  getConfigSummary,
+  getModelWidth
+});
+
+// ============================================
+// Catalog Access
+// ============================================
+
+/** @returns {object|null} */
+export function getProduct(productId) {
+  return PRODUCTS[productId] || null;
+}
+
+/** @returns {object|null} */
+export function getFeature(featureId) {
+  return FEATURES[featureId] || null;
+}
+
+/** @returns {object|null} */
+export function getAccessory(accessoryId) {
+  return ACCESSORIES[accessoryId] || null;
+}
+
+/**
+ * Why a feature or accessory can't be selected in `state` (its catalog
+ * `availableOn` / `requiresSink` / `requires` / `excludes`); empty when it can.
+ * @param {'features'|'accessories'} group
+ * @returns {ReturnType<typeof optionProblems>}
+ */
+export function getOptionProblems(state, group, id) {
+  return optionProblems(catalog, state, group, id);
+}
+
+// ============================================
+// State Transitions
+// ============================================
+
+/**
+ * A fresh state from DEFAULT_CONFIG.
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+export function createState(overrides = {}) {
+  return applyConstraints({
+    product: DEFAULT_CONFIG.product,
+    features: [...DEFAULT_CONFIG.features],
+    accessories: [...DEFAULT_CONFIG.accessories],
+    sinkPosition: DEFAULT_CONFIG.sinkPosition,
+    baseStyle: DEFAULT_CONFIG.baseStyle || 'pedestal',
+    ...overrides
+  });
+}
+
+/**
+ * Just the configuration fields of a state, with copied arrays (for storing or
+ * comparing snapshots without UI keys such as `currentStep`).
+ * @returns {{product: string, features: string[], accessories: string[], sinkPosition: string, baseStyle: string}}
+ */
+export function snapshotConfig(state) {
+  return {
+    product: state.product,
+    features: [...state.features],
+    accessories: [...state.accessories],
+    sinkPosition: state.sinkPosition,
+    baseStyle: state.baseStyle
+  };
+}
+
+/**
+ * Drop the options the catalog constraints rule out (e.g. the second sink off a
+ * 72" model, the disposal once "No Sink" is chosen); see js/option-constraints.js.
+ * @returns {object} The same state if nothing had to change
+ */
+export function applyConstraints(state) {
+  return resolveOptions(catalog, state);
+}
+
+function withOption(state, group, id, enabled) {
+  const has = state[group].includes(id);
+  if (enabled === has) return state;
+  return { ...state, [group]: enabled ? [...state[group], id] : state[group].filter((value) => value !== id) };
+}
+
+/**
+ * @throws {Error} Unknown product id
+ */
+export function selectProduct(state, productId) {
+  if (!PRODUCTS[productId]) throw new Error(`MopecCore: unknown product "${productId}"`);
+  return applyConstraints({ ...state, product: productId });
+}
+
+/**
+ * Turn a feature on or off (flips it when `enabled` is omitted). Included
+ * features, and features getOptionProblems() rules out, are left as they are;
+ * turning one off also drops the options that require it.
+ * @throws {Error} Unknown feature id
+ */
+export function toggleFeature(state, featureId, enabled = !state.features.includes(featureId)) {
+  if (!FEATURES[featureId]) throw new Error(`MopecCore: unknown feature "${featureId}"`);
+  if (FEATURES[featureId].included) return state;
+  if (enabled && !state.features.includes(featureId) && getOptionProblems(state, 'features', featureId).length > 0) return state;
+
+  return applyConstraints(withOption(state, 'features', featureId, enabled));
+}
+
+/**
+ * Turn an accessory on or off (flips it when `enabled` is omitted), with the
+ * same constraint handling as toggleFeature().
+ * @throws {Error} Unknown accessory id
+ */
+export function toggleAccessory(state, accessoryId, enabled = !state.accessories.includes(accessoryId)) {
+  if (!ACCESSORIES[accessoryId]) throw new Error(`MopecCore: unknown accessory "${accessoryId}"`);
+  if (enabled && !state.accessories.includes(accessoryId) && getOptionProblems(state, 'accessories', accessoryId).length > 0) {
+    return state;
+  }
+
+  return applyConstraints(withOption(state, 'accessories', accessoryId, enabled));
+}
+
+/**
+ * Options that need a sink are dropped when "No Sink" is chosen.
+ * @throws {Error} Unknown sink position
+ */
+export function setSinkPosition(state, position) {
+  if (!SINK_POSITIONS[position]) throw new Error(`MopecCore: unknown sink position "${position}"`);
+  return state.sinkPosition === position ? state : applyConstraints({ ...state, sinkPosition: position });
+}
+
+/**
+ * @throws {Error} Unknown base style
+ */
+export function setBaseStyle(state, baseStyle) {
+  if (!BASE_STYLES.includes(baseStyle)) throw new Error(`MopecCore: unknown base style "${baseStyle}"`);
+  return state.baseStyle === baseStyle ? state : { ...state, baseStyle };
+}
+
+/**
+ * Price the configuration in another currency (its CURRENCIES price list; the
+ * selection itself is unchanged).
+ * @throws {Error} Unknown currency
+ */
+export function setCurrency(state, currency) {
+  if (!CURRENCIES[currency]) throw new Error(`MopecCore: unknown currency "${currency}"`);
+  return state.currency === currency ? state : { ...state, currency };
+}
+
+/**
+ * Price the configuration with another price book's discounts (PRICE_BOOKS).
+ * @throws {Error} Unknown price book
+ */
+export function setPriceBook(state, priceBook) {
+  if (!PRICE_BOOKS[priceBook]) throw new Error(`MopecCore: unknown price book "${priceBook}"`);
+  return state.priceBook === priceBook ? state : { ...state, priceBook };
+}
+
+/**
+ * Replace the configuration with `config`, going through the same transitions
+ * as individual changes (so the catalog constraints still apply). Duplicate ids
+ * are merged; anything validateConfig() reports as an error throws.
+ * @throws {Error} `config` fails validateConfig (`error.errors` lists why)
+ */
+export function loadConfig(state, config) {
+  const { valid, errors } = validateConfig(config);
+  if (!valid) {
+    throw Object.assign(new Error(`MopecCore: invalid configuration: ${errors.map((error) => error.message).join('; ')}`), { errors });
+  }
+
+  let next = setBaseStyle(setSinkPosition(selectProduct(state, config.product), config.sinkPosition), config.baseStyle);
+  // Set every option first and resolve the constraints once, so an option listed
+  // before one it requires is kept
+  Object.keys(FEATURES).filter((featureId) => !FEATURES[featureId].included).forEach((featureId) => {
+    next = withOption(next, 'features', featureId, config.features.includes(featureId));
+  });
+  Object.keys(ACCESSORIES).forEach((accessoryId) => {
+    next = withOption(next, 'accessories', accessoryId, config.accessories.includes(accessoryId));
+  });
+  return applyConstraints(next);
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/** validateConfig() code for each option constraint (see js/option-constraints.js) that loading would resolve. */
+const CONSTRAINT_WARNINGS = Object.freeze({
+  requiresSink: 'needs-sink',
+  requires: 'missing-requirement',
+  excludes: 'excluded-option'
+});
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+const OPTION_GROUPS = Object.freeze({
+  product: PRODUCTS,
+  sinkPosition: SINK_POSITIONS,
+  features: FEATURES,
+  accessories: ACCESSORIES
+});
+
+function optionName(group, id) {
+  return OPTION_GROUPS[group]?.[id]?.name || id;
+}
+
+function isOptionSelected(state, group, id) {
+  const value = state[group];
+  return Array.isArray(value) ? value.includes(id) : value === id;
+}
+
+/**
+ * Check a state against the catalog (and optionally the configuration rules)
+ * without changing it. Errors make a state unusable (unknown ids, options the
+ * product doesn't have); warnings describe what loading it would change, e.g.
+ * options listed twice, a disposal without a sink, or options the rules remove.
+ *
+ * Import paths (share links, saved configurations, loadConfig) check this first.
+ *
+ * @param {object} state
+ * @param {object} [options]
+ * @param {{evaluate: (state: object) => object}} [options.rules] - A RulesEngine (or
+ *   window.MopecRules) to report rule violations as warnings
+ * @returns {{valid: boolean, errors: {code: string, field: string, message: string}[], warnings: {code: string, field: string, message: string}[]}}
+ */
+export function validateConfig(state, { rules } = {}) {
+  const errors = [];
+  const warnings = [];
+  const error = (code, field, message) => errors.push({ code, field, message });
+  const warning = (code, field, message) => warnings.push({ code, field, message });
+
+  if (!state || typeof state !== 'object') {
+    error('invalid-state', '', 'Configuration must be an object');
+    return { valid: false, errors, warnings };
+  }
+
+  if (!PRODUCTS[state.product]) error('unknown-product', 'product', `Unknown product "${state.product}"`);
+  if (!SINK_POSITIONS[state.sinkPosition]) error('unknown-sink-position', 'sinkPosition', `Unknown sink position "${state.sinkPosition}"`);
+  if (!BASE_STYLES.includes(state.baseStyle)) error('unknown-base-style', 'baseStyle', `Unknown base style "${state.baseStyle}"`);
+
+  [['features', FEATURES, 'feature'], ['accessories', ACCESSORIES, 'accessory']].forEach(([field, entries, label]) => {
+    if (!Array.isArray(state[field])) {
+      error('invalid-list', field, `"${field}" must be an array`);
+      return;
+    }
+    state[field].filter((id) => !entries[id]).forEach((id) => error(`unknown-${label}`, field, `Unknown ${label} "${id}"`));
+    const repeated = new Set(state[field].filter((id, index) => entries[id] && state[field].indexOf(id) !== index));
+    repeated.forEach((id) => warning(`duplicate-${label}`, field, `${entries[id].name} is listed more than once`));
+  });
+
+  // An option the product doesn't have is an error; the other constraints are resolved on load
+  // (of two exclusive options the one listed first stays)
+  if (PRODUCTS[state.product] && Array.isArray(state.features) && Array.isArray(state.accessories)) {
+    const seen = [];
+    [['features', 'feature'], ['accessories', 'accessory']].forEach(([field, label]) => {
+      state[field].filter((id, index) => state[field].indexOf(id) === index).forEach((id) => {
+        optionProblems(catalog, state, field, id, { against: [...seen] }).forEach((problem) => {
+          const name = optionName(field, id);
+          if (problem.code === 'availableOn') {
+            error(`unavailable-${label}`, field, `${name} is ${lowerFirst(problem.message)}`);
+          } else if (!FEATURES[id]?.included) {
+            warning(CONSTRAINT_WARNINGS[problem.code], field, `${name} is removed: ${lowerFirst(problem.message)}`);
+          }
+        });
+        seen.push(id);
+      });
+    });
+  }
+
+  // Rules only make sense for a state made of catalog ids
+  if (rules && errors.length === 0) {
+    const result = rules.evaluate(state);
+    const ruleNames = (reasons) => [...new Set(reasons.map((reason) => `"${reason.ruleName}"`))].join(', ');
+    result.hidden.forEach((reasons, key) => {
+      const [group, id] = key.split(':');
+      if (!isOptionSelected(state, group, id)) return;
+      warning('rule-hidden', group, `${optionName(group, id)} is removed by rule ${ruleNames(reasons)}`);
+    });
+    result.required.forEach((reasons, key) => {
+      const [group, id] = key.split(':');
+      if (result.hidden.has(key) || isOptionSelected(state, group, id)) return;
+      warning('rule-required', group, `${optionName(group, id)} is added by rule ${ruleNames(reasons)}`);
+    });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// ============================================
+// Pricing
+// ============================================
+
+const LINE_KINDS = Object.freeze({ PRODUCTS: 'product', FEATURES: 'feature', ACCESSORIES: 'accessory' });
+
+/**
+ * Itemized price of a configuration in its currency and price book: calculateTotal()
+ * with names on the lines. Included features are listed at 0.
+ * @returns {{
+ *   lines: {kind: 'product'|'feature'|'accessory', id: string, name: string, included: boolean, list: number, discount: number, net: number}[],
+ *   currency: string, priceBook: string, list: number, discount: number, net: number, total: number, formattedTotal: string
+ * }} `total` is the net amount
+ */
+export function priceConfiguration(config) {
+  // Only what the catalog constraints allow is priced
+  const pricing = calculateTotal(config);
+  const lines = pricing.lines.map(({ section, id, list, discount, net }) => {
+    const entry = catalog[section][id];
+    return { kind: LINE_KINDS[section], id, name: entry.name, included: Boolean(entry.included), list, discount, net };
+  });
+
+  return { ...pricing, lines, total: pricing.net, formattedTotal: formatPrice(pricing.net, pricing.currency) };
+}
+
+// ============================================
+// 3D Model
+// ============================================
+
+/**
+ * MopecViewer model config (DEFAULT_MODEL_CONFIG shape) for a state.
+ * @returns {object}
+ */
+export function toModelConfig(config) {
+  // The viewer draws only what the catalog constraints allow
+  const state = applyConstraints(config);
+  return {
+    width: getModelWidth(state.product),
+    baseStyle: state.baseStyle,
+    sinkPosition: state.sinkPosition,
+    hasHeightAdjust: state.features.includes('heightAdjust'),
+    hasFrontAirSystem: state.features.includes('frontAirSystem'),
+    hasFormalinDetection: state.features.includes('formalinDetection'),
+    hasDowndraftVent: state.features.includes('downdraftVent'),
+    hasDisposal: state.features.includes('disposal'),
+    hasSecondSink: state.features.includes('secondSink'),
+    hasPathCam: state.accessories.includes('pathCam'),
+    hasMonitorArm: state.accessories.includes('monitorArm'),
+    hasMagnetBar: state.accessories.includes('magnetBar'),
+    hasDrawers: state.accessories.includes('drawerSystem'),
+    hasLedStrip: state.accessories.includes('ledLightStrip'),
+    hasPegboardWing: state.accessories.includes('pegboardWing'),
+    hasFormalinDispenser: state.accessories.includes('formalinDispenser'),
+    hasCassetteShelf: state.accessories.includes('cassetteShelf'),
+    hasVentilatedTrash: state.accessories.includes('ventilatedTrash'),
+    hasKeyboardTray: state.accessories.includes('keyboardTray'),
+    hasSplashShield: state.accessories.includes('splashShield')
+  };
+}
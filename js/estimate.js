@@ -0,0 +1,188 @@
+/**
+ * Mopec Equipment Configurator
+ * Tax, freight and installation estimate
+ *
+ * What a quote costs delivered, on top of the equipment: the services ordered
+ * with every station (SERVICES, e.g. installation), freight to the destination
+ * and the sales tax there.
+ *
+ * Freight is charged per crate: the destination's FREIGHT_ZONES base rate plus its
+ * rate per billable pound, where a crate bills its weight or, when more, its
+ * volume / dimDivisor (carriers charge a long, light crate for the truck space it
+ * takes), plus any FREIGHT_SURCHARGES it qualifies for. Sales tax is the US
+ * state's base rate on equipment and services; freight and local taxes are left
+ * out, and exports are untaxed. DOM-free; js/quote.js adds it to the quote.
+ *
+ * The store keeps the quote's `destination` ({ country, location? } or null) and
+ * `services` (SERVICES ids).
+ */
+
+import {
+  PRODUCTS,
+  SERVICES,
+  US_STATES,
+  EXPORT_COUNTRIES,
+  FREIGHT_ZONES,
+  FREIGHT_SURCHARGES,
+  getCurrency,
+  getLinePrice,
+  roundPrice
+} from './core.js';
+
+export const HOME_COUNTRY = 'US';
+
+const ZIP_PATTERN = /^(\d{5})(?:-\d{4})?$/;
+
+function zipPrefixRange(prefix) {
+  const [first, last = first] = prefix.split('-').map(Number);
+  return { first, last };
+}
+
+// A US state from its code or name ("CA", "california") or a ZIP code ("94110", "94110-1234")
+function findState(location) {
+  const zip = location.match(ZIP_PATTERN);
+  if (zip) {
+    const prefix = Number(zip[1].slice(0, 3));
+    const state = Object.values(US_STATES).find((candidate) => candidate.zipPrefixes.some((range) => {
+      const { first, last } = zipPrefixRange(range);
+      return prefix >= first && prefix <= last;
+    }));
+    return state ? { state, zip: zip[1] } : null;
+  }
+
+  const wanted = location.toLowerCase();
+  const state = Object.values(US_STATES).find((candidate) => candidate.id.toLowerCase() === wanted || candidate.name.toLowerCase() === wanted);
+  return state ? { state, zip: null } : null;
+}
+
+/**
+ * Where a quote ships, with its freight zone and sales tax rate.
+ * @param {{country: string, location?: string}} destination - `location` is a US
+ *   state (code or name) or ZIP code; exports need only the country
+ * @returns {{country: string, state: object|null, zip: string|null, zone: object, taxRate: number, label: string}}
+ * @throws {Error} Unknown country, or a US location that isn't a state or known ZIP code
+ */
+export function resolveDestination(destination) {
+  const country = destination?.country;
+  if (country !== HOME_COUNTRY) {
+    const entry = EXPORT_COUNTRIES[country];
+    if (!entry) throw new Error(`MopecEstimate: no freight rates to "${country}"`);
+    return { country, state: null, zip: null, zone: FREIGHT_ZONES[entry.zone], taxRate: 0, label: entry.name };
+  }
+
+  const location = typeof destination.location === 'string' ? destination.location.trim() : '';
+  if (!location) throw new Error('MopecEstimate: enter a US state or ZIP code');
+  const found = findState(location);
+  if (!found) throw new Error(`MopecEstimate: "${location}" is not a US state or ZIP code we ship to`);
+
+  const { state, zip } = found;
+  return {
+    country,
+    state,
+    zip,
+    zone: FREIGHT_ZONES[state.zone],
+    taxRate: state.taxRate,
+    label: zip ? `${zip}, ${state.id}` : state.name
+  };
+}
+
+/**
+ * Ship the quote to `destination`, or clear it with null.
+ * @throws {Error} See resolveDestination
+ */
+export function setDestination(state, destination) {
+  if (destination === null) return state.destination === null ? state : { ...state, destination: null };
+  resolveDestination(destination);
+  const next = destination.country === HOME_COUNTRY
+    ? { country: HOME_COUNTRY, location: destination.location.trim() }
+    : { country: destination.country };
+  return { ...state, destination: next };
+}
+
+/**
+ * Order a service with every station, or stop (flips it when `enabled` is omitted).
+ * @throws {Error} Unknown service id
+ */
+export function toggleService(state, serviceId, enabled = !state.services.includes(serviceId)) {
+  if (!SERVICES[serviceId]) throw new Error(`MopecEstimate: unknown service "${serviceId}"`);
+  if (enabled === state.services.includes(serviceId)) return state;
+  return { ...state, services: enabled ? [...state.services, serviceId] : state.services.filter((id) => id !== serviceId) };
+}
+
+/**
+ * Freight for one crate of a product through a zone, in a currency.
+ * @returns {{billableWeight: number, surcharges: {id: string, name: string, amount: number}[], amount: number}}
+ */
+export function crateFreight(productId, zone, currencyId) {
+  const { crate } = PRODUCTS[productId];
+  const currency = getCurrency(currencyId).id;
+  const billableWeight = Math.ceil(Math.max(crate.weight, crate.length * crate.width * crate.height / zone.dimDivisor));
+  const surcharges = Object.values(FREIGHT_SURCHARGES)
+    .filter((surcharge) => crate.length >= surcharge.minCrateLength)
+    .map(({ id, name, amount }) => ({ id, name, amount: amount[currency] }));
+  const amount = roundPrice(zone.base[currency] + zone.perLb[currency] * billableWeight, currency) +
+    surcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0);
+  return { billableWeight, surcharges, amount };
+}
+
+/**
+ * Services, freight and sales tax for a priced quote (see priceQuote in js/quote.js).
+ * Services are ordered for every unit and discounted by the price book like
+ * options. Without a destination there is no freight or tax yet.
+ * @param {{currency: string, priceBook: string, quantity: number, total: number, stations: {config: object, quantity: number}[]}} quote
+ * @param {object} options
+ * @param {object|null} options.destination
+ * @param {string[]} options.services
+ * @returns {{
+ *   destination: object|null,
+ *   services: {id: string, name: string, quantity: number, list: number, discount: number, net: number}[],
+ *   freight: {zone: object, crates: {product: string, quantity: number, billableWeight: number, surcharges: object[], amount: number}[], amount: number}|null,
+ *   tax: {rate: number, taxable: number, amount: number}|null,
+ *   list: number, discount: number, total: number
+ * }} `total` is everything on top of the equipment (list - discount for the
+ *   services, plus freight and tax)
+ */
+export function estimateCharges(quote, { destination, services }) {
+  const { currency, priceBook } = quote;
+  const serviceLines = services.filter((id) => SERVICES[id]).map((id) => {
+    const unit = getLinePrice('SERVICES', id, { currency, priceBook });
+    return {
+      id,
+      name: SERVICES[id].name,
+      quantity: quote.quantity,
+      list: unit.list * quote.quantity,
+      discount: unit.discount * quote.quantity,
+      net: unit.net * quote.quantity
+    };
+  });
+  const sum = (lines, field) => lines.reduce((total, line) => total + line[field], 0);
+  const servicesNet = sum(serviceLines, 'net');
+
+  const resolved = destination ? resolveDestination(destination) : null;
+  let freight = null;
+  let tax = null;
+  if (resolved) {
+    // One crate per unit; stations of the same product ship alike
+    const crates = quote.stations.map((station) => {
+      const { billableWeight, surcharges, amount } = crateFreight(station.config.product, resolved.zone, currency);
+      return { product: station.config.product, quantity: station.quantity, billableWeight, surcharges, amount: amount * station.quantity };
+    });
+    freight = { zone: resolved.zone, crates, amount: sum(crates, 'amount') };
+
+    // To the cent (or the currency's smallest unit); `roundTo` only rounds list prices
+    const taxable = quote.total + servicesNet;
+    const { fractionDigits = 0 } = getCurrency(currency);
+    tax = { rate: resolved.taxRate, taxable, amount: Number((taxable * resolved.taxRate / 100).toFixed(fractionDigits)) };
+  }
+
+  const extra = (freight?.amount || 0) + (tax?.amount || 0);
+  return {
+    destination: resolved,
+    services: serviceLines,
+    freight,
+    tax,
+    list: sum(serviceLines, 'list') + extra,
+    discount: sum(serviceLines, 'discount'),
+    total: servicesNet + extra
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Mopec Equipment Configurator
+ * Option constraints
+ *
+ * Features and accessories can declare in catalog.json when they can be chosen:
+ *
+ *   availableOn   product ids and/or model widths (inches) the option exists on
+ *   requiresSink  true if it needs a sink (any sinkPosition but 'none')
+ *   requires      option ids that have to be selected as well
+ *   excludes      option ids it can't be combined with (either way round)
+ *
+ * This is the one place those declarations are interpreted: js/core.js enforces
+ * them on every state change, pricing only counts what they allow, and app.js
+ * shows why an option is unavailable. DOM-free; every function takes the
+ * catalog (window.MopecConfig shape) it works against.
+ */
+
+import { createCatalogBinding } from './rules.js';
+
+/** State lists holding option ids, in the order they are resolved. */
+const OPTION_GROUPS = Object.freeze({ features: 'FEATURES', accessories: 'ACCESSORIES' });
+
+/**
+ * The feature or accessory `id` refers to.
+ * @returns {{group: 'features'|'accessories', id: string, entry: object}|null}
+ */
+export function findOption(catalog, id) {
+  for (const [group, section] of Object.entries(OPTION_GROUPS)) {
+    const entry = catalog[section]?.[id];
+    if (entry) return { group, id, entry };
+  }
+  return null;
+}
+
+// Selected catalog options in resolution order: features, then accessories, each in list order
+// (every state change and price goes through here, so no intermediate arrays)
+function selectedOptions(catalog, state) {
+  const selected = [];
+  Object.entries(OPTION_GROUPS).forEach(([group, section]) => {
+    if (!Array.isArray(state[group])) return;
+    state[group].forEach((id) => {
+      const entry = catalog[section]?.[id];
+      if (entry) selected.push({ group, id, entry });
+    });
+  });
+  return selected;
+}
+
+function optionNames(catalog, ids) {
+  return ids.map((id) => findOption(catalog, id)?.entry.name || id);
+}
+
+function describeAvailableOn(catalog, availableOn) {
+  const widths = availableOn.filter((value) => typeof value === 'number').map((width) => `${width}"`);
+  const products = availableOn.filter((value) => typeof value === 'string').map((id) => catalog.PRODUCTS?.[id]?.name || id);
+  const parts = [...(widths.length > 0 ? [`${widths.join(' or ')} models`] : []), ...products];
+  return parts.join(' or ');
+}
+
+/**
+ * Why the option can't be part of `state` (empty when it can).
+ *
+ * @param {object} catalog
+ * @param {object} state - Configuration state (see js/core.js)
+ * @param {'features'|'accessories'} group
+ * @param {string} id
+ * @param {object} [options]
+ * @param {string[]} [options.against] - Selected option ids `excludes` is checked
+ *   against (default: every other selected option)
+ * @returns {{code: 'availableOn'|'requiresSink'|'requires'|'excludes', message: string, options: string[], triggers: {componentId: string, optionId: string, label: string}[]}[]}
+ *   `options` are the option ids involved (required or conflicting ones); `triggers`
+ *   the selections behind the problem, shaped like rule reasons.
+ */
+export function optionProblems(catalog, state, group, id, { against } = {}) {
+  const entry = catalog[OPTION_GROUPS[group]]?.[id];
+  if (!entry) return [];
+  const selected = selectedOptions(catalog, state);
+  const candidates = against ? against.map((otherId) => findOption(catalog, otherId)).filter(Boolean) : selected;
+  return entryProblems(catalog, state, id, entry, selected.map((option) => option.id), candidates);
+}
+
+// optionProblems() for a known entry; `candidates` are the selected options
+// ({ group, id, entry }) `excludes` is checked against
+function entryProblems(catalog, state, id, entry, selectedIds, candidates) {
+  const problems = [];
+  let binding = null;
+  const trigger = (componentId, optionId) => {
+    binding = binding || createCatalogBinding(catalog);
+    return { componentId, optionId, label: binding.describe(componentId, optionId) };
+  };
+
+  if (Array.isArray(entry.availableOn) && entry.availableOn.length > 0) {
+    const product = catalog.PRODUCTS?.[state.product];
+    const available = Boolean(product) &&
+      (entry.availableOn.includes(product.id) || entry.availableOn.includes(product.modelWidth));
+    if (!available) {
+      problems.push({
+        code: 'availableOn',
+        message: `Available on ${describeAvailableOn(catalog, entry.availableOn)} only`,
+        options: [],
+        triggers: product ? [trigger('product', product.id)] : []
+      });
+    }
+  }
+
+  if (entry.requiresSink && state.sinkPosition === 'none') {
+    problems.push({ code: 'requiresSink', message: 'Needs a sink', options: [], triggers: [trigger('sinkPosition', 'none')] });
+  }
+
+  const missing = (entry.requires || []).filter((requiredId) => !selectedIds.includes(requiredId));
+  if (missing.length > 0) {
+    problems.push({ code: 'requires', message: `Requires ${optionNames(catalog, missing).join(' and ')}`, options: missing, triggers: [] });
+  }
+
+  const conflicts = candidates.filter((other) => other.id !== id &&
+    ((entry.excludes || []).includes(other.id) || (other.entry.excludes || []).includes(id)));
+  if (conflicts.length > 0) {
+    const conflictIds = conflicts.map((other) => other.id);
+    problems.push({
+      code: 'excludes',
+      message: `Can't be combined with ${optionNames(catalog, conflictIds).join(' or ')}`,
+      options: conflictIds,
+      triggers: conflicts.map((other) => trigger(other.group, other.id))
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * `state` without the selected options it can't have, removed one at a time in
+ * resolution order (of two exclusive options the one listed first stays).
+ * Included features are never removed.
+ * @returns {object} The same state if nothing had to change
+ */
+export function resolveOptions(catalog, state) {
+  let next = state;
+  for (;;) {
+    const selected = selectedOptions(catalog, next);
+    const selectedIds = selected.map((option) => option.id);
+    const blocked = selected.find((option, index) => !option.entry.included &&
+      entryProblems(catalog, next, option.id, option.entry, selectedIds, selected.slice(0, index)).length > 0);
+    if (!blocked) return next;
+    next = { ...next, [blocked.group]: next[blocked.group].filter((id) => id !== blocked.id) };
+  }
+}
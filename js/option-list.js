@@ -0,0 +1,89 @@
+/**
+ * Mopec Equipment Configurator
+ * Option lists
+ *
+ * What the options panel offers, built from the catalog: product cards, feature
+ * toggles per section (FEATURE_CATEGORIES), accessory toggles grouped by
+ * ACCESSORY_CATEGORIES and the sink positions, each with the badges its catalog
+ * flags call for. Adding a catalog entry is enough to put it in the panel.
+ * DOM-free; app.js renders it and test/enumerate-configurations.js enumerates it.
+ */
+
+/**
+ * Catalog flag -> badge, in display order. `included` is not a badge: included
+ * options show "Included" in place of their price.
+ */
+export const OPTION_BADGES = Object.freeze([
+  { flag: 'popular', label: 'Popular', tone: 'primary' },
+  { flag: 'isNew', label: 'New', tone: 'secondary' },
+  { flag: 'premium', label: 'Premium', tone: 'secondary' }
+]);
+
+/** @returns {{flag: string, label: string, tone: string}[]} */
+export function optionBadges(entry) {
+  return OPTION_BADGES.filter((badge) => Boolean(entry[badge.flag]));
+}
+
+function titleCase(id) {
+  return id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+function toOption(entry, price) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    description: entry.description || '',
+    price,
+    included: Boolean(entry.included),
+    badges: optionBadges(entry)
+  };
+}
+
+// Entries grouped by `category`: known categories in their declared order, then
+// unknown ones (named after their id) in catalog order
+function groupByCategory(entries, categories, fallback) {
+  const groups = new Map(Object.values(categories).map((category) => [category.id, { ...category, options: [] }]));
+  entries.forEach((entry) => {
+    const id = entry.category || fallback;
+    if (!groups.has(id)) groups.set(id, { id, name: titleCase(id), options: [] });
+    groups.get(id).options.push(entry);
+  });
+  return [...groups.values()].filter((group) => group.options.length > 0);
+}
+
+/**
+ * @param {object} catalog - window.MopecConfig shape (see js/core.js `catalog`)
+ * @param {object} [options]
+ * @param {string} [options.currency] - Currency of the prices (default: the catalog
+ *   currency)
+ * @returns {{
+ *   products: {id: string, name: string, description: string, subtitle: string, price: number, included: boolean, badges: object[]}[],
+ *   features: {id: string, name: string, options: object[]}[],
+ *   accessories: {id: string, name: string, options: object[]}[],
+ *   sinkPositions: {id: string, name: string, description: string}[]
+ * }}
+ */
+export function buildOptionLists(catalog, { currency } = {}) {
+  const { PRODUCTS, FEATURES, ACCESSORIES, SINK_POSITIONS, FEATURE_CATEGORIES = {}, ACCESSORY_CATEGORIES = {}, getPrice } = catalog;
+
+  const products = Object.values(PRODUCTS).map((product) => ({
+    ...toOption(product, getPrice('PRODUCTS', product.id, currency)),
+    subtitle: product.subtitle || ''
+  }));
+
+  // Included features lead their section; they are part of every configuration
+  const features = Object.values(FEATURES)
+    .map((feature) => ({ ...toOption(feature, getPrice('FEATURES', feature.id, currency)), category: feature.category }))
+    .sort((a, b) => Number(b.included) - Number(a.included));
+  const firstFeatureCategory = Object.keys(FEATURE_CATEGORIES)[0] || 'core';
+
+  const accessories = Object.values(ACCESSORIES)
+    .map((accessory) => ({ ...toOption(accessory, getPrice('ACCESSORIES', accessory.id, currency)), category: accessory.category }));
+
+  return {
+    products,
+    features: groupByCategory(features, FEATURE_CATEGORIES, firstFeatureCategory),
+    accessories: groupByCategory(accessories, ACCESSORY_CATEGORIES, 'other'),
+    sinkPositions: Object.values(SINK_POSITIONS).map(({ id, name, description = '' }) => ({ id, name, description }))
+  };
+}
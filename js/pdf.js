@@ -2,7 +2,14 @@
  * Mopec Equipment Configurator
  * PDF generation (jsPDF + AutoTable)
  *
- * Exposes `window.downloadPDF()` for UI buttons.
+ * Exposes `window.downloadPDF()` for UI buttons. A PDF is always an issued quote
+ * revision (js/quote-documents.js): without arguments the configurator's current
+ * quote is issued first (window.issueCurrentQuote in app.js), so the document
+ * carries its quote number, revision, issue and expiry dates and the prices,
+ * SKUs, descriptions and dimensions frozen in it. The quote table has one
+ * section per station (js/quote.js), then the services, freight and sales tax
+ * of the quote's destination (js/estimate.js); the cards above it describe the
+ * station that was being edited.
  */
 
 function loadImageAsPngDataUrl(src) {
@@ -35,11 +42,18 @@ function titleCase(value) {
   return value.charAt(0).toUpperCase() + value.slice(1);
 }
 
-function formatDateStamp(date = new Date()) {
-  const yyyy = date.getFullYear();
-  const mm = String(date.getMonth() + 1).padStart(2, '0');
-  const dd = String(date.getDate()).padStart(2, '0');
-  return `${yyyy}-${mm}-${dd}`;
+// jsPDF's built-in fonts only cover WinAnsi; some locales group digits with thin
+// or narrow no-break spaces (e.g. fr-FR "17 000 €"), which they can't draw
+function pdfText(value) {
+  return value.replace(/[\u2009\u202F]/g, ' ');
+}
+
+function countLabel(count, singular, plural) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString();
 }
 
 function tryGetViewerSnapshotPng() {
@@ -63,15 +77,42 @@ function drawKeyValue(doc, x, y, key, value, { keyColor, valueColor, keyWidth =
   doc.text(String(value), x + keyWidth, y);
 }
 
-window.downloadPDF = async function downloadPDF() {
+/**
+ * @param {string} [quoteId] - An issued quote (window.MopecSavedQuotes); the
+ *   configurator's when omitted
+ * @param {string} [label] - Its revision, e.g. "B"
+ */
+window.downloadPDF = async function downloadPDF(quoteId, label) {
   const { jsPDF } = window.jspdf || {};
-  if (!jsPDF || !window.MopecConfig || !window.AppState) return;
+  if (!jsPDF) {
+    window.showToast?.("PDF export is unavailable: the PDF library didn't load. Reload the page once you're online.", 'error');
+    return;
+  }
+  if (!window.MopecConfig || !window.MopecStore) return;
+
+  const issued = quoteId === undefined
+    ? window.issueCurrentQuote()
+    : window.MopecSavedQuotes.getRevision(quoteId, label);
+  if (!issued) return;
 
   const doc = new jsPDF({ unit: 'mm', format: 'a4' });
-  const { PRODUCTS, FEATURES, ACCESSORIES, formatPrice, calculateTotal } = window.MopecConfig;
-  const state = window.AppState;
-  const product = PRODUCTS[state.product];
-  if (!product) return;
+  const { formatPrice, getCurrency, getPriceBook } = window.MopecConfig;
+  const { compareRevisions } = window.MopecQuoteDocuments;
+  const { quote: saved, revision } = issued;
+
+  // Amounts and catalog text come from the revision (as it was issued), never from the live catalog
+  const { quote } = revision;
+  const activeStation = quote.stations.find((station) => station.active) || quote.stations[0];
+  const { config } = activeStation;
+  // Named as issued; a later catalog may have renamed or dropped the model
+  const product = activeStation.pricing.lines.find((line) => line.kind === 'product');
+  const productName = product.name;
+
+  const currency = getCurrency(quote.currency);
+  const priceBook = getPriceBook(quote.priceBook);
+  const money = (amount) => pdfText(formatPrice(amount, currency.id));
+  const { charges } = quote;
+  const singleUnit = quote.stations.length === 1 && quote.quantity === 1;
 
   // Brand colors (RGB) from css/styles.css
   const mopecBlue = [64, 126, 201];
@@ -109,29 +150,29 @@ window.downloadPDF = async function downloadPDF() {
   doc.setTextColor(255, 255, 255);
   doc.setFont('helvetica', 'bold');
   doc.setFontSize(14);
-  doc.text('Configuration Quote', pageW - margin, 16, { align: 'right' });
+  doc.text(`Quote ${saved.number}`, pageW - margin, 16, { align: 'right' });
   doc.setFont('helvetica', 'normal');
   doc.setFontSize(10);
-  doc.text(new Date().toLocaleDateString(), pageW - margin, 23, { align: 'right' });
+  doc.text(`Revision ${revision.label} • ${formatDate(revision.issuedAt)}`, pageW - margin, 23, { align: 'right' });
 
   // Title + meta
   doc.setTextColor(...mopecGray);
   doc.setFont('helvetica', 'bold');
   doc.setFontSize(16);
-  doc.text(product.name, margin, 45);
+  doc.text(singleUnit ? productName : `${quote.stations.length} station types • ${quote.quantity} units`, margin, 45);
 
   doc.setFont('helvetica', 'normal');
   doc.setFontSize(11);
-  const baseStyleLabel = state.baseStyle === 'legs' ? '4-leg frame' : 'Center pedestal';
-  const sinkLabel = titleCase(safeString(state.sinkPosition));
-  const configId = `${safeString(product.id || 'maestro').toUpperCase()} • ${formatDateStamp()}`;
+  const baseStyleLabel = config.baseStyle === 'legs' ? '4-leg frame' : 'Center pedestal';
+  const sinkLabel = titleCase(safeString(config.sinkPosition));
 
   doc.setFontSize(10);
   doc.setTextColor(...mopecGray);
-  doc.text(configId, margin, 51);
+  doc.text(`${priceBook.name} pricing in ${currency.name} (${currency.id}) • Valid until ${formatDate(revision.expiresAt)}`, margin, 51);
 
   // Summary cards area
-  const snapshot = tryGetViewerSnapshotPng();
+  // The 3D view shows the configurator, which is only what an older revision holds by chance
+  const snapshot = quoteId === undefined ? tryGetViewerSnapshotPng() : null;
   const cardY = 56;
   const cardH = 40;
   const leftW = snapshot ? 108 : pageW - margin * 2;
@@ -145,7 +186,7 @@ window.downloadPDF = async function downloadPDF() {
   doc.setFont('helvetica', 'bold');
   doc.setFontSize(11);
   doc.setTextColor(...mopecGray);
-  doc.text('Configuration', margin + 4, cardY + 8);
+  doc.text(singleUnit ? 'Configuration' : `${activeStation.name}: ${productName}`, margin + 4, cardY + 8);
 
   drawKeyValue(doc, margin + 4, cardY + 16, 'Base', baseStyleLabel, {
     keyColor: mopecGray,
@@ -155,23 +196,19 @@ window.downloadPDF = async function downloadPDF() {
     keyColor: mopecGray,
     valueColor: mopecGray
   });
-  drawKeyValue(doc, margin + 4, cardY + 28, 'Dimensions', `${product.dimensions.length} × ${product.dimensions.width}`, {
-    keyColor: mopecGray,
-    valueColor: mopecGray
-  });
-  drawKeyValue(doc, margin + 4, cardY + 34, 'Height', product.dimensions.heightRange, {
-    keyColor: mopecGray,
-    valueColor: mopecGray
-  });
-
-  // Right card: pricing summary
-  const total = calculateTotal(state);
-  const includedCount = (state.features || []).filter((id) => FEATURES[id]?.included).length;
-  const paidFeatures = (state.features || []).filter((id) => FEATURES[id] && !FEATURES[id].included);
-  const accessories = state.accessories || [];
-  const paidFeaturesTotal = paidFeatures.reduce((sum, id) => sum + (FEATURES[id]?.price || 0), 0);
-  const accessoriesTotal = accessories.reduce((sum, id) => sum + (ACCESSORIES[id]?.price || 0), 0);
+  // Revisions issued before dimensions were frozen into them have none
+  if (product.dimensions) {
+    drawKeyValue(doc, margin + 4, cardY + 28, 'Dimensions', `${product.dimensions.length} × ${product.dimensions.width}`, {
+      keyColor: mopecGray,
+      valueColor: mopecGray
+    });
+    drawKeyValue(doc, margin + 4, cardY + 34, 'Height', product.dimensions.heightRange, {
+      keyColor: mopecGray,
+      valueColor: mopecGray
+    });
+  }
 
+  // Right card: pricing summary for the whole quote (subtotal - volume + delivery = total)
   if (snapshot) {
     doc.setFillColor(...mopecLight);
     doc.roundedRect(margin + leftW + 6, cardY, rightW, cardH, 3, 3, 'F');
@@ -183,17 +220,17 @@ window.downloadPDF = async function downloadPDF() {
 
     doc.setFont('helvetica', 'normal');
     doc.setFontSize(9.5);
-    drawKeyValue(doc, margin + leftW + 10, cardY + 16, 'Base', formatPrice(product.basePrice), {
+    drawKeyValue(doc, margin + leftW + 10, cardY + 16, 'Subtotal', money(quote.subtotal), {
       keyColor: mopecGray,
       valueColor: mopecGray,
       keyWidth: 22
     });
-    drawKeyValue(doc, margin + leftW + 10, cardY + 22, 'Options', formatPrice(paidFeaturesTotal), {
+    drawKeyValue(doc, margin + leftW + 10, cardY + 22, 'Volume', quote.volumeTier ? `-${money(quote.volumeDiscount)}` : '—', {
       keyColor: mopecGray,
       valueColor: mopecGray,
       keyWidth: 22
     });
-    drawKeyValue(doc, margin + leftW + 10, cardY + 28, 'Accessories', formatPrice(accessoriesTotal), {
+    drawKeyValue(doc, margin + leftW + 10, cardY + 28, 'Delivery', charges.total > 0 ? money(charges.total) : '—', {
       keyColor: mopecGray,
       valueColor: mopecGray,
       keyWidth: 22
@@ -202,7 +239,7 @@ window.downloadPDF = async function downloadPDF() {
     doc.setFont('helvetica', 'bold');
     doc.setFontSize(12);
     doc.setTextColor(...mopecGreen);
-    doc.text(formatPrice(total), margin + leftW + 10, cardY + 38);
+    doc.text(money(quote.grandTotal), margin + leftW + 10, cardY + 38);
   }
 
   // Snapshot (top-right)
@@ -222,54 +259,126 @@ window.downloadPDF = async function downloadPDF() {
     afterCardsY = shotY + shotH + 8;
   }
 
-  // Build table rows with sections for readability.
-  const rows = [];
-  rows.push({ isSection: true, item: 'Base Unit', details: '', price: '' });
-  rows.push({
-    item: product.name,
-    details: safeString(product.subtitle),
-    price: formatPrice(product.basePrice)
+  // Build table rows: a section per station with its unit prices (list, discount and
+  // net per line), then the station's subtotal for all its units
+  const priceCells = (line) => ({
+    list: money(line.list),
+    discount: line.discount > 0 ? `-${money(line.discount)}` : '—',
+    net: money(line.net)
   });
 
-  rows.push({ isSection: true, item: 'Options', details: `${paidFeatures.length} selected • ${includedCount} included`, price: '' });
-  (state.features || []).forEach((id) => {
-    const feature = FEATURES[id];
-    if (!feature) return;
-    if (feature.included) {
-      rows.push({ item: feature.name, details: 'Included', price: 'Included' });
-      return;
-    }
+  const rows = [];
+  quote.stations.forEach((station) => {
+    const productLine = station.pricing.lines.find((line) => line.kind === 'product');
+    const paidCount = station.pricing.lines.filter((line) => line.kind === 'feature' && !line.included).length;
+    const accessoryCount = station.config.accessories.length;
     rows.push({
-      item: feature.name,
-      details: safeString(feature.description),
-      price: formatPrice(feature.price)
+      isSection: true,
+      item: `${station.name}: ${productLine.name}`,
+      details: `Qty ${station.quantity} • ${countLabel(paidCount, 'option', 'options')} • ${countLabel(accessoryCount, 'accessory', 'accessories')}`,
+      list: '',
+      discount: '',
+      net: ''
     });
+
+    station.pricing.lines.forEach((line) => {
+      if (line.kind === 'product') {
+        rows.push({ item: line.name, details: safeString(line.subtitle), ...priceCells(line) });
+      } else if (line.included) {
+        rows.push({ item: line.name, details: 'Included', list: 'Included', discount: '', net: 'Included' });
+      } else if (line.kind === 'feature') {
+        rows.push({ item: line.name, details: safeString(line.description), ...priceCells(line) });
+      } else {
+        rows.push({ item: line.name, details: line.sku ? `SKU: ${line.sku}` : safeString(line.description), ...priceCells(line) });
+      }
+    });
+
+    if (!singleUnit) {
+      rows.push({
+        isSubtotal: true,
+        item: `${station.name} subtotal`,
+        details: `${station.quantity} × ${money(station.pricing.net)}`,
+        ...priceCells(station)
+      });
+    }
   });
 
-  rows.push({ isSection: true, item: 'Accessories', details: `${accessories.length} selected`, price: '' });
-  accessories.forEach((id) => {
-    const accessory = ACCESSORIES[id];
-    if (!accessory) return;
+  if (quote.volumeTier) {
+    rows.push({
+      isSubtotal: true,
+      item: 'Volume discount',
+      details: `${quote.volumeTier.name}: ${quote.volumeTier.percent}% off ${money(quote.subtotal)}`,
+      list: '',
+      discount: `-${money(quote.volumeDiscount)}`,
+      net: `-${money(quote.volumeDiscount)}`
+    });
+  }
+
+  // Services, freight and tax, each its own row
+  const { destination } = charges;
+  if (charges.services.length > 0 || destination) {
     rows.push({
-      item: accessory.name,
-      details: accessory.sku ? `SKU: ${accessory.sku}` : safeString(accessory.description),
-      price: formatPrice(accessory.price)
+      isSection: true,
+      item: 'Services & delivery',
+      details: destination ? `Ship to ${destination.label}` : 'Ship-to not set',
+      list: '',
+      discount: '',
+      net: ''
     });
+  }
+  charges.services.forEach((service) => {
+    rows.push({ item: service.name, details: `${service.sku ? `SKU: ${service.sku} • ` : ''}Qty ${service.quantity}`, ...priceCells(service) });
   });
+  if (charges.freight) {
+    const crateCount = charges.freight.crates.reduce((count, crate) => count + crate.quantity, 0);
+    rows.push({
+      item: 'Freight',
+      details: `${charges.freight.zone.name} • ${countLabel(crateCount, 'crate', 'crates')}`,
+      list: money(charges.freight.amount),
+      discount: '—',
+      net: money(charges.freight.amount)
+    });
+  }
+  if (charges.tax) {
+    rows.push({
+      item: 'Sales tax',
+      details: destination.state
+        ? `${destination.state.name} ${charges.tax.rate}% of ${money(charges.tax.taxable)}`
+        : 'Export: no US sales tax',
+      list: money(charges.tax.amount),
+      discount: '—',
+      net: money(charges.tax.amount)
+    });
+  }
 
-  rows.push({ isTotal: true, item: 'TOTAL ESTIMATE', details: 'Excludes shipping & tax', price: formatPrice(total) });
+  rows.push({
+    isTotal: true,
+    item: 'TOTAL ESTIMATE',
+    details: destination ? 'Delivered, with freight & tax' : 'Excludes shipping & tax',
+    ...priceCells({
+      list: quote.list + charges.list,
+      discount: quote.discount + quote.volumeDiscount + charges.discount,
+      net: quote.grandTotal
+    })
+  });
 
   doc.autoTable({
     startY: afterCardsY,
     columns: [
       { header: 'Item', dataKey: 'item' },
       { header: 'Details', dataKey: 'details' },
-      { header: 'Price', dataKey: 'price' }
+      { header: 'List', dataKey: 'list' },
+      { header: 'Discount', dataKey: 'discount' },
+      { header: 'Net', dataKey: 'net' }
     ],
     body: rows,
     theme: 'striped',
     headStyles: { fillColor: mopecBlue, textColor: 255, fontStyle: 'bold' },
-    columnStyles: { price: { halign: 'right', fontStyle: 'bold' } },
+    columnStyles: {
+      list: { halign: 'right' },
+      discount: { halign: 'right' },
+      net: { halign: 'right', fontStyle: 'bold' }
+    },
     styles: { font: 'helvetica', fontSize: 10, cellPadding: 2.2, textColor: mopecGray },
     didParseCell(data) {
       const raw = data.row.raw || {};
@@ -277,16 +386,19 @@ window.downloadPDF = async function downloadPDF() {
         data.cell.styles.fillColor = mopecLight;
         data.cell.styles.textColor = mopecGray;
         data.cell.styles.fontStyle = 'bold';
-        if (data.column.dataKey === 'price') {
+        if (['list', 'discount', 'net'].includes(data.column.dataKey)) {
           data.cell.text = [''];
         }
       }
+      if (raw.isSubtotal) {
+        data.cell.styles.fontStyle = 'bold';
+      }
       if (raw.isTotal) {
         data.cell.styles.fillColor = mopecBlue;
         data.cell.styles.textColor = 255;
         data.cell.styles.fontStyle = 'bold';
       }
-      if (data.column.dataKey === 'price' && data.cell.raw === 'Included') {
+      if (data.cell.raw === 'Included') {
         data.cell.styles.textColor = mopecGray;
         data.cell.styles.fontStyle = 'normal';
       }
@@ -307,10 +419,39 @@ window.downloadPDF = async function downloadPDF() {
   doc.setFontSize(8.8);
   doc.setTextColor(...mopecGray);
   doc.text('• This is an estimated quote generated by the online configurator.', margin, finalY + 5);
-  doc.text('• Shipping and taxes are not included.', margin, finalY + 10);
+  doc.text(destination
+    ? '• Freight and state sales tax are estimates; local taxes and site access charges are not included.'
+    : '• Shipping and taxes are not included.', margin, finalY + 10);
   doc.text('• Contact sales@mopec.com for a formal quote and lead time confirmation.', margin, finalY + 15);
+  doc.text(`• Prices are from the ${currency.id} price list and hold until ${formatDate(revision.expiresAt)}; please quote ${saved.number} when ordering.`, margin, finalY + 20);
+
+  // What this revision changed from the one before it
+  const index = saved.revisions.findIndex((candidate) => candidate.label === revision.label);
+  if (index > 0) {
+    const previous = saved.revisions[index - 1];
+    const { changes } = compareRevisions(previous, revision);
+    // The built-in fonts have no arrow either
+    const lines = changes.length > 0
+      ? changes.map((change) => pdfText(`• ${change.scope}: ${change.message}`).replace(/→/g, '->'))
+      : [`• Re-issued unchanged after revision ${previous.label} expired`];
+
+    let y = finalY + 30;
+    const nextLine = (height) => {
+      if (y + height > pageH - 14) {
+        doc.addPage();
+        y = 20;
+      }
+      const top = y;
+      y += height;
+      return top;
+    };
+    doc.setFontSize(9);
+    doc.text(`Changes since revision ${previous.label} (${formatDate(previous.issuedAt)})`, margin, nextLine(5));
+    doc.setFontSize(8.8);
+    lines.forEach((line) => {
+      doc.splitTextToSize(line, pageW - margin * 2).forEach((part) => doc.text(part, margin, nextLine(5)));
+    });
+  }
 
-  const safeModel = safeString(product.id || 'maestro');
-  const stamp = formatDateStamp();
-  doc.save(`Mopec_${safeModel}_${stamp}.pdf`);
+  doc.save(`Mopec_${saved.number}_rev${revision.label}.pdf`);
 };
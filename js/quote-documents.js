@@ -0,0 +1,434 @@
+/**
+ * Mopec Equipment Configurator
+ * Quote documents
+ *
+ * What a customer is handed is a quote document, not the live configurator: it
+ * has a quote number (MQ-YYMMDD-DDDD-XXXX), an issue date, an expiry date
+ * (QUOTE_VALIDITY_DAYS later) and its prices frozen as they were when it was
+ * issued, whatever the catalog or price lists do afterwards. Re-issuing a
+ * changed or expired quote adds a revision (A, B, C ...) instead of replacing
+ * it; compareRevisions() lists what changed from one to another. js/pdf.js
+ * renders a stored revision, never the live state.
+ *
+ * DOM-free: quotes are kept in a Web Storage object (localStorage in the
+ * browser), with the browser's device code (the DDDD of its numbers) under
+ * DEVICE_KEY and the quotes under STORAGE_KEY as:
+ *   { version: 1, quotes: [{ id, number, createdAt, revisions: [revision, ...] }] }
+ * Each revision is
+ *   { revision, label, issuedAt, expiresAt, catalog: { version, revision }, state, quote }
+ * with `revision` counting from 1 (`label` "A"), `state` the quoteSnapshot() it
+ * was issued from and `quote` its priceQuote() (js/quote.js) frozen as JSON.
+ * The frozen lines also carry the catalog text printed next to them: `sku` and
+ * `description` on every station line, `subtitle` and `dimensions` on the
+ * model's, and `sku` on every service.
+ */
+
+import {
+  PRODUCTS,
+  FEATURES,
+  ACCESSORIES,
+  SERVICES,
+  CURRENCIES,
+  PRICE_BOOKS,
+  SINK_POSITIONS,
+  CATALOG_INFO,
+  formatPrice
+} from './core.js';
+import { getStations, priceQuote } from './quote.js';
+
+export const STORAGE_KEY = 'mopec.quotes';
+export const STORAGE_VERSION = 1;
+export const DEVICE_KEY = 'mopec.quoteDevice';
+
+/** Days a quote's prices hold from the day it is issued. */
+export const QUOTE_VALIDITY_DAYS = 30;
+
+// No 0/O or 1/I, so a number read out over the phone can't be mistaken
+const NUMBER_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 4;
+const DEVICE_CODE = new RegExp(`^[${NUMBER_ALPHABET}]{${CODE_LENGTH}}$`);
+const NUMBER_ATTEMPTS = 20;
+
+const DAY = 24 * 60 * 60 * 1000;
+const BASE_STYLE_NAMES = { pedestal: 'Pedestal', legs: 'Legs' };
+const PART_SECTIONS = { product: PRODUCTS, feature: FEATURES, accessory: ACCESSORIES };
+
+function defaultCreateId() {
+  return `quote-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Random NUMBER_ALPHABET characters; its 32 letters divide a byte evenly
+function randomCode() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(CODE_LENGTH)), (byte) => NUMBER_ALPHABET[byte % NUMBER_ALPHABET.length]).join('');
+}
+
+/**
+ * "MQ-261019-H4KT-7KQ3": the issue date, the issuing browser's device code, then
+ * four random characters.
+ */
+function defaultCreateNumber(date, device) {
+  const stamp = date.toISOString().slice(2, 10).replace(/-/g, '');
+  return `MQ-${stamp}-${device}-${randomCode()}`;
+}
+
+function isQuote(quote) {
+  return Boolean(quote) && typeof quote.id === 'string' && typeof quote.number === 'string' &&
+    Array.isArray(quote.revisions) && quote.revisions.length > 0;
+}
+
+/**
+ * Revision 1 is "A", 26 "Z", 27 "AA".
+ * @param {number} revision
+ */
+export function revisionLabel(revision) {
+  let label = '';
+  for (let rest = revision; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    label = String.fromCharCode(65 + ((rest - 1) % 26)) + label;
+  }
+  return label;
+}
+
+/**
+ * What a quote is made of: every station with its configuration, the currency
+ * and price book, the destination and the services.
+ */
+export function quoteSnapshot(state) {
+  return {
+    stations: getStations(state).map(({ id, name, quantity, config }) => ({ id, name, quantity, config })),
+    activeStation: state.activeStation,
+    currency: state.currency,
+    priceBook: state.priceBook,
+    destination: state.destination ?? null,
+    services: [...(state.services ?? [])]
+  };
+}
+
+// A station line with the catalog text a document prints next to it
+function describeLine(line) {
+  const entry = PART_SECTIONS[line.kind][line.id];
+  const described = { ...line, sku: entry.sku || null, description: entry.description || '' };
+  if (line.kind === 'product') {
+    Object.assign(described, { subtitle: entry.subtitle || '', dimensions: entry.dimensions || null });
+  }
+  return described;
+}
+
+// The priced quote as stored: plain JSON, so the catalog can't change it later
+function freezeQuote(state) {
+  const quote = priceQuote(state);
+  return JSON.parse(JSON.stringify({
+    ...quote,
+    stations: quote.stations.map((station) => ({
+      ...station,
+      pricing: { ...station.pricing, lines: station.pricing.lines.map(describeLine) }
+    })),
+    charges: {
+      ...quote.charges,
+      services: quote.charges.services.map((service) => ({ ...service, sku: SERVICES[service.id].sku || null }))
+    }
+  }));
+}
+
+// Everything a customer would see change; which station was being edited doesn't count
+function contentKey(quote) {
+  const sorted = (ids) => [...ids].sort();
+  return JSON.stringify({
+    ...quote,
+    stations: quote.stations.map(({ active, config, ...station }) => ({
+      ...station,
+      config: { ...config, features: sorted(config.features), accessories: sorted(config.accessories) }
+    })),
+    charges: { ...quote.charges, services: [...quote.charges.services].sort((a, b) => a.id.localeCompare(b.id)) }
+  });
+}
+
+/**
+ * A revision of the quote in `state`, issued now.
+ * @param {object} state - Store state
+ * @param {object} [options]
+ * @param {number} [options.revision] - Defaults to 1
+ * @param {Date} [options.now]
+ * @param {number} [options.validityDays]
+ * @returns {object} See the revision shape above
+ */
+export function freezeRevision(state, { revision = 1, now = new Date(), validityDays = QUOTE_VALIDITY_DAYS } = {}) {
+  return {
+    revision,
+    label: revisionLabel(revision),
+    issuedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + validityDays * DAY).toISOString(),
+    catalog: { version: CATALOG_INFO.version, revision: CATALOG_INFO.revision },
+    state: quoteSnapshot(state),
+    quote: freezeQuote(state)
+  };
+}
+
+/** Whether a revision's prices no longer hold on `date`. */
+export function isExpired(revision, date = new Date()) {
+  return date.getTime() >= Date.parse(revision.expiresAt);
+}
+
+/** Whether `state` would price and describe exactly as `revision` does. */
+export function matchesRevision(revision, state) {
+  return contentKey(revision.quote) === contentKey(freezeQuote(state));
+}
+
+/** The quote's newest revision. */
+export function latestRevision(quote) {
+  return quote.revisions[quote.revisions.length - 1];
+}
+
+// Selected option names of a frozen station, by id (included features come with the model)
+function optionNames(station, kind) {
+  return new Map(station.pricing.lines
+    .filter((line) => line.kind === kind && !line.included)
+    .map((line) => [line.id, line.name]));
+}
+
+function productName(station) {
+  return station.pricing.lines.find((line) => line.kind === 'product')?.name || station.config.product;
+}
+
+function compareStations(before, after, { currency, sameCurrency }) {
+  const changes = [];
+  const change = (message) => changes.push({ scope: after.name, message });
+
+  if (before.name !== after.name) change(`Renamed from "${before.name}"`);
+  if (before.config.product !== after.config.product) change(`Model: ${productName(before)} → ${productName(after)}`);
+  if (before.quantity !== after.quantity) change(`Quantity: ${before.quantity} → ${after.quantity}`);
+
+  ['feature', 'accessory'].forEach((kind) => {
+    const was = optionNames(before, kind);
+    const is = optionNames(after, kind);
+    is.forEach((name, id) => {
+      if (!was.has(id)) change(`Added ${name}`);
+    });
+    was.forEach((name, id) => {
+      if (!is.has(id)) change(`Removed ${name}`);
+    });
+  });
+
+  if (before.config.sinkPosition !== after.config.sinkPosition) {
+    const name = (id) => SINK_POSITIONS[id]?.name || id;
+    change(`Sink position: ${name(before.config.sinkPosition)} → ${name(after.config.sinkPosition)}`);
+  }
+  if (before.config.baseStyle !== after.config.baseStyle) {
+    const name = (id) => BASE_STYLE_NAMES[id] || id;
+    change(`Base: ${name(before.config.baseStyle)} → ${name(after.config.baseStyle)}`);
+  }
+  if (sameCurrency && before.pricing.net !== after.pricing.net) {
+    change(`Unit price: ${formatPrice(before.pricing.net, currency)} → ${formatPrice(after.pricing.net, currency)}`);
+  }
+  return changes;
+}
+
+/**
+ * What changed from one revision to another: stations added, removed or edited
+ * (model, quantity, options, sink, base, unit price), then the quote's currency,
+ * price book, services and destination. Names come from the revisions themselves.
+ * @param {object} from - The earlier revision
+ * @param {object} to - The later one
+ * @returns {{
+ *   changes: {scope: string, message: string}[],
+ *   total: {from: number, to: number, difference: number|null, currency: string}
+ * }} `scope` is a station name or "Quote"; `difference` is null when the currencies differ
+ */
+export function compareRevisions(from, to) {
+  const before = from.quote;
+  const after = to.quote;
+  const currency = after.currency;
+  const sameCurrency = before.currency === after.currency;
+  const changes = [];
+  const change = (message) => changes.push({ scope: 'Quote', message });
+
+  after.stations.forEach((station) => {
+    const previous = before.stations.find((candidate) => candidate.id === station.id);
+    if (!previous) {
+      changes.push({ scope: station.name, message: `Added: ${station.quantity} × ${productName(station)}` });
+    } else {
+      changes.push(...compareStations(previous, station, { currency, sameCurrency }));
+    }
+  });
+  before.stations.forEach((station) => {
+    if (!after.stations.some((candidate) => candidate.id === station.id)) {
+      changes.push({ scope: station.name, message: `Removed: ${station.quantity} × ${productName(station)}` });
+    }
+  });
+
+  if (!sameCurrency) {
+    const name = (id) => CURRENCIES[id]?.name || id;
+    change(`Currency: ${name(before.currency)} → ${name(after.currency)}`);
+  }
+  if (before.priceBook !== after.priceBook) {
+    const name = (id) => PRICE_BOOKS[id]?.name || id;
+    change(`Price book: ${name(before.priceBook)} → ${name(after.priceBook)}`);
+  }
+
+  const services = (quote) => new Map(quote.charges.services.map((service) => [service.id, service.name]));
+  const servicesBefore = services(before);
+  const servicesAfter = services(after);
+  servicesAfter.forEach((name, id) => {
+    if (!servicesBefore.has(id)) change(`Added ${name}`);
+  });
+  servicesBefore.forEach((name, id) => {
+    if (!servicesAfter.has(id)) change(`Removed ${name}`);
+  });
+
+  const destination = (quote) => quote.charges.destination?.label || 'not set';
+  if (destination(before) !== destination(after)) change(`Ship to: ${destination(before)} → ${destination(after)}`);
+
+  return {
+    changes,
+    total: {
+      from: before.grandTotal,
+      to: after.grandTotal,
+      difference: sameCurrency ? after.grandTotal - before.grandTotal : null,
+      currency
+    }
+  };
+}
+
+/**
+ * @param {Storage} storage - e.g. window.localStorage
+ * @param {object} [options]
+ * @param {() => Date} [options.now]
+ * @param {() => string} [options.createId]
+ * @param {(date: Date, device: string) => string} [options.createNumber] - A new
+ *   quote number for a quote issued on `date` by the browser with code `device`
+ * @param {number} [options.validityDays]
+ */
+export function createQuoteDocuments(storage, {
+  now = () => new Date(),
+  createId = defaultCreateId,
+  createNumber = defaultCreateNumber,
+  validityDays = QUOTE_VALIDITY_DAYS
+} = {}) {
+  if (!storage) throw new Error('QuoteDocuments: storage is required');
+
+  function read() {
+    const raw = storage.getItem(STORAGE_KEY);
+    if (!raw) return [];
+    try {
+      const data = JSON.parse(raw);
+      if (data?.version !== STORAGE_VERSION || !Array.isArray(data.quotes)) return [];
+      return data.quotes.filter(isQuote);
+    } catch {
+      return [];
+    }
+  }
+
+  // Storage quota errors propagate; the caller decides how to tell the user.
+  function write(quotes) {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, quotes }));
+  }
+
+  function find(quotes, id) {
+    const quote = quotes.find((candidate) => candidate.id === id);
+    if (!quote) throw new Error(`QuoteDocuments: no quote "${id}"`);
+    return quote;
+  }
+
+  // Drawn once per browser and kept: numbers from two browsers can only clash if
+  // their codes match (about one pair in a million) and they draw the same
+  // suffix on the same day
+  function deviceCode() {
+    const stored = storage.getItem(DEVICE_KEY);
+    if (DEVICE_CODE.test(stored ?? '')) return stored;
+    const code = randomCode();
+    storage.setItem(DEVICE_KEY, code);
+    return code;
+  }
+
+  // This browser's numbers all carry its device code; make sure the random part
+  // hasn't been handed out already
+  function unusedNumber(quotes, date) {
+    const taken = new Set(quotes.map((quote) => quote.number));
+    const device = deviceCode();
+    for (let attempt = 0; attempt < NUMBER_ATTEMPTS; attempt++) {
+      const number = createNumber(date, device);
+      if (!taken.has(number)) return number;
+    }
+    throw new Error('QuoteDocuments: could not find an unused quote number');
+  }
+
+  const documents = {
+    /** Most recently issued first. */
+    list() {
+      return read().sort((a, b) => latestRevision(b).issuedAt.localeCompare(latestRevision(a).issuedAt));
+    },
+
+    get(id) {
+      return read().find((quote) => quote.id === id) || null;
+    },
+
+    /**
+     * Issue a new quote, revision A, for `state`.
+     * @returns {object} The stored quote
+     */
+    create(state) {
+      const quotes = read();
+      const date = now();
+      const quote = {
+        id: createId(),
+        number: unusedNumber(quotes, date),
+        createdAt: date.toISOString(),
+        revisions: [freezeRevision(state, { revision: 1, now: date, validityDays })]
+      };
+      write([...quotes, quote]);
+      return quote;
+    },
+
+    /**
+     * Issue the next revision of a quote for `state`; the earlier ones are kept.
+     * @returns {object} The stored quote
+     * @throws {Error} Unknown id
+     */
+    revise(id, state) {
+      const quotes = read();
+      const quote = find(quotes, id);
+      quote.revisions.push(freezeRevision(state, { revision: latestRevision(quote).revision + 1, now: now(), validityDays }));
+      write(quotes);
+      return quote;
+    },
+
+    /**
+     * The revision to hand out for `state`: a new quote without `id`, the quote's
+     * latest revision while it still matches `state` and hasn't expired, else a
+     * new revision.
+     * @param {object} state
+     * @param {string|null} [id]
+     * @returns {{quote: object, revision: object, issued: boolean}} `issued` is false when an existing revision was reused
+     * @throws {Error} Unknown id
+     */
+    issue(state, id = null) {
+      if (id === null) {
+        const quote = documents.create(state);
+        return { quote, revision: latestRevision(quote), issued: true };
+      }
+      const existing = find(read(), id);
+      const latest = latestRevision(existing);
+      if (matchesRevision(latest, state) && !isExpired(latest, now())) return { quote: existing, revision: latest, issued: false };
+      const quote = documents.revise(id, state);
+      return { quote, revision: latestRevision(quote), issued: true };
+    },
+
+    /**
+     * @param {string} id
+     * @param {string} label - e.g. "B"
+     * @throws {Error} Unknown quote or revision
+     */
+    getRevision(id, label) {
+      const quote = find(read(), id);
+      const revision = quote.revisions.find((candidate) => candidate.label === label);
+      if (!revision) throw new Error(`QuoteDocuments: quote ${quote.number} has no revision ${label}`);
+      return { quote, revision };
+    },
+
+    remove(id) {
+      const quotes = read();
+      find(quotes, id);
+      write(quotes.filter((quote) => quote.id !== id));
+    }
+  };
+  return documents;
+}
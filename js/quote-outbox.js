@@ -0,0 +1,270 @@
+/**
+ * Mopec Equipment Configurator
+ * Quote request outbox
+ *
+ * Quote requests that couldn't be sent (no connection, the server down) wait
+ * here and are sent again on their own: after RETRY_DELAYS (the last one
+ * repeats), and straight away when flush() is called because the connection
+ * came back. A request the server refuses as it is (submitQuoteRequest()'s
+ * error.retryable is false) stops retrying and stays 'failed' until it is
+ * retried or cancelled by hand.
+ *
+ * DOM-free: entries are kept in any async key-value store with getAll, put and
+ * delete, so the outbox also runs in Node. createIndexedDbStore() makes one on
+ * IndexedDB for the browser (js/core-runtime.js). Entries:
+ *   { id, endpoint, payload, status: 'pending'|'failed', attempts, lastError, createdAt, nextAttemptAt }
+ * with the buildQuoteRequest() `payload`, `lastError` the last failure's message and
+ * the dates ISO timestamps (`nextAttemptAt` is null once failed).
+ */
+
+export const DB_NAME = 'mopec';
+export const DB_VERSION = 1;
+export const OUTBOX_STORE = 'quoteOutbox';
+
+/** Milliseconds before each retry; the last one repeats. */
+export const RETRY_DELAYS = Object.freeze([15000, 30000, 60000, 120000, 300000, 600000]);
+
+function defaultCreateId() {
+  return `qr-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function isEntry(entry) {
+  return Boolean(entry) && typeof entry.id === 'string' && typeof entry.endpoint === 'string' &&
+    Boolean(entry.payload) && typeof entry.createdAt === 'string';
+}
+
+/** @param {number} attempts - Attempts made so far (the failed submission is the first) */
+export function retryDelay(attempts) {
+  return RETRY_DELAYS[Math.min(Math.max(attempts, 1), RETRY_DELAYS.length) - 1];
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * A key-value store on one IndexedDB object store (keyed by `id`).
+ * @param {IDBFactory} indexedDB - e.g. window.indexedDB
+ * @returns {Promise<{getAll(): Promise<object[]>, put(entry: object): Promise<void>, delete(id: string): Promise<void>}>}
+ * @throws {Error} The database can't be opened (e.g. private browsing)
+ */
+export async function createIndexedDbStore(indexedDB, { name = DB_NAME, version = DB_VERSION, storeName = OUTBOX_STORE } = {}) {
+  const open = indexedDB.open(name, version);
+  open.onupgradeneeded = () => {
+    if (!open.result.objectStoreNames.contains(storeName)) open.result.createObjectStore(storeName, { keyPath: 'id' });
+  };
+  const db = await promisify(open);
+
+  const run = (mode, operation) => {
+    const transaction = db.transaction(storeName, mode);
+    const result = promisify(operation(transaction.objectStore(storeName)));
+    // A failed request fails its transaction, which rejects below
+    result.catch(() => {});
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    getAll: () => run('readonly', (store) => store.getAll()),
+    put: async (entry) => {
+      await run('readwrite', (store) => store.put(entry));
+    },
+    delete: async (id) => {
+      await run('readwrite', (store) => store.delete(id));
+    }
+  };
+}
+
+/**
+ * @param {{getAll: Function, put: Function, delete: Function}} store - See createIndexedDbStore
+ * @param {object} options
+ * @param {(entry: object) => Promise<object>} options.send - Sends an entry's payload to its
+ *   endpoint and resolves with the receipt (see submitQuoteRequest)
+ * @param {() => boolean} [options.isOnline] - While false, due retries wait for flush()
+ * @param {() => Date} [options.now]
+ * @param {() => string} [options.createId]
+ * @param {Function} [options.setTimer] - setTimeout
+ * @param {Function} [options.clearTimer] - clearTimeout
+ */
+export function createQuoteOutbox(store, {
+  send,
+  isOnline = () => true,
+  now = () => new Date(),
+  createId = defaultCreateId,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout
+}) {
+  if (!store) throw new Error('QuoteOutbox: store is required');
+  if (typeof send !== 'function') throw new Error('QuoteOutbox: send is required');
+
+  const listeners = new Set();
+  const sending = new Set();
+  let timer = null;
+  let flushing = null;
+
+  function notify(change) {
+    listeners.forEach((listener) => {
+      try {
+        listener(change);
+      } catch (err) {
+        console.error('QuoteOutbox: listener failed', err);
+      }
+    });
+  }
+
+  async function read() {
+    const entries = (await store.getAll()).filter(isEntry);
+    return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async function find(id) {
+    const entry = (await read()).find((candidate) => candidate.id === id);
+    if (!entry) throw new Error(`QuoteOutbox: no queued request "${id}"`);
+    return entry;
+  }
+
+  const later = (attempts) => new Date(now().getTime() + retryDelay(attempts)).toISOString();
+
+  // One timer, for the pending entry due first
+  async function schedule() {
+    if (timer !== null) clearTimer(timer);
+    timer = null;
+    const due = (await read())
+      .filter((entry) => entry.status === 'pending')
+      .map((entry) => Date.parse(entry.nextAttemptAt))
+      .sort((a, b) => a - b)[0];
+    if (due === undefined) return;
+    timer = setTimer(() => {
+      timer = null;
+      flushDue().catch((err) => console.error('QuoteOutbox: retry failed', err));
+    }, Math.max(0, due - now().getTime()));
+  }
+
+  async function attempt(entry) {
+    sending.add(entry.id);
+    notify({ type: 'sending', entry });
+    try {
+      const receipt = await send(entry);
+      await store.delete(entry.id);
+      notify({ type: 'sent', entry, receipt });
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      const retry = Boolean(error?.retryable);
+      const updated = {
+        ...entry,
+        attempts,
+        status: retry ? 'pending' : 'failed',
+        lastError: error?.message || String(error),
+        nextAttemptAt: retry ? later(attempts) : null
+      };
+      await store.put(updated);
+      notify({ type: retry ? 'retrying' : 'failed', entry: updated, error });
+    } finally {
+      sending.delete(entry.id);
+    }
+  }
+
+  // Send the pending entries that are due (every pending one when `all`), one at a time
+  async function sendDue(all) {
+    // Offline, the retries due wait for flush() instead of the timer
+    if (!isOnline()) return;
+    const time = now().getTime();
+    const due = (await read()).filter((entry) => entry.status === 'pending' && (all || Date.parse(entry.nextAttemptAt) <= time));
+    for (const entry of due) await attempt(entry);
+    await schedule();
+  }
+
+  function flushDue({ all = false } = {}) {
+    if (!flushing) {
+      flushing = sendDue(all).finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  return {
+    /**
+     * Queued requests, oldest first; `sending` is true while one is on its way.
+     * @returns {Promise<object[]>}
+     */
+    async list() {
+      return (await read()).map((entry) => ({ ...entry, sending: sending.has(entry.id) }));
+    },
+
+    /**
+     * Queue a request whose submission just failed with `error`.
+     * @param {object} payload - buildQuoteRequest()
+     * @param {object} options
+     * @param {string} options.endpoint
+     * @param {Error} [options.error]
+     * @returns {Promise<object>} The entry
+     */
+    async enqueue(payload, { endpoint, error = null }) {
+      const entry = {
+        id: createId(),
+        endpoint,
+        payload,
+        status: 'pending',
+        attempts: 1,
+        lastError: error?.message || null,
+        createdAt: now().toISOString(),
+        nextAttemptAt: later(1)
+      };
+      await store.put(entry);
+      notify({ type: 'queued', entry });
+      await schedule();
+      return entry;
+    },
+
+    /**
+     * Send one entry now (a failed one too), or every pending and failed one without `id`.
+     * @throws {Error} Unknown id
+     */
+    async retry(id) {
+      const entries = id === undefined ? await read() : [await find(id)];
+      const time = now().toISOString();
+      for (const entry of entries) {
+        if (!sending.has(entry.id)) await store.put({ ...entry, status: 'pending', nextAttemptAt: time });
+      }
+      await flushDue();
+    },
+
+    /**
+     * Drop a queued request without sending it.
+     * @throws {Error} Unknown id, or the request is being sent right now
+     */
+    async cancel(id) {
+      const entry = await find(id);
+      if (sending.has(id)) throw new Error('QuoteOutbox: the request is being sent right now');
+      await store.delete(id);
+      notify({ type: 'cancelled', entry });
+      await schedule();
+    },
+
+    /** Send every pending request now, e.g. when the connection comes back. */
+    flush() {
+      return flushDue({ all: true });
+    },
+
+    /** Pick up the requests queued in an earlier visit: retry the overdue ones, schedule the rest. */
+    start() {
+      return flushDue();
+    },
+
+    /**
+     * @param {(change: {type: 'queued'|'sending'|'sent'|'retrying'|'failed'|'cancelled', entry: object, receipt?: object, error?: Error}) => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * Mopec Equipment Configurator
+ * Quote requests
+ *
+ * What "Request a Quote" sends to sales: the contact details from the quote
+ * form, checked with validateContact(), and the whole quote priced as the
+ * customer saw it (every station's configuration and line items, volume
+ * discount, services, freight, tax and the total), tagged with the catalog it
+ * was priced from. submitQuoteRequest() POSTs it as JSON; the endpoint is the
+ * quote form's `action` in configurator.html, and `npm run mock` serves the
+ * configurator with a local endpoint that accepts it
+ * (scripts/mock-quote-server.js). DOM-free.
+ *
+ * Payload (version 1):
+ *   { version, submittedAt, contact: { name, email, organization, phone, notes },
+ *     catalog: { version, revision }, quote: { currency, priceBook, quantity, stations,
+ *     subtotal, volumeDiscount, total, services, destination, freight, tax, grandTotal } }
+ */
+
+import {
+  PRODUCTS,
+  FEATURES,
+  ACCESSORIES,
+  SERVICES,
+  CATALOG_INFO,
+  getConfigSummary
+} from './core.js';
+import { priceQuote } from './quote.js';
+
+export const QUOTE_REQUEST_VERSION = 1;
+
+/** Contact fields in form order, with the longest value each takes. */
+export const CONTACT_FIELDS = Object.freeze([
+  { id: 'name', label: 'Full name', required: true, maxLength: 100 },
+  { id: 'email', label: 'Email', required: true, maxLength: 254 },
+  { id: 'organization', label: 'Organization', required: false, maxLength: 200 },
+  { id: 'phone', label: 'Phone', required: false, maxLength: 30 },
+  { id: 'notes', label: 'Notes', required: false, maxLength: 2000 }
+]);
+
+/** Milliseconds to wait for the endpoint before giving up. */
+export const SUBMIT_TIMEOUT = 15000;
+
+// Answers that may go differently later (the server busy or down, not the request wrong)
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@.]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+(?:\s*(?:x|ext\.?)\s*\d+)?$/i;
+
+const LINE_SECTIONS = { product: PRODUCTS, feature: FEATURES, accessory: ACCESSORIES };
+
+/**
+ * Trim the contact details and check them.
+ * @param {object} fields - Values by CONTACT_FIELDS id (missing ones count as empty)
+ * @returns {{valid: boolean, contact: object, errors: {field: string, message: string}[]}}
+ */
+export function validateContact(fields = {}) {
+  const contact = {};
+  const errors = [];
+  const error = (field, message) => errors.push({ field, message });
+
+  CONTACT_FIELDS.forEach(({ id, label, required, maxLength }) => {
+    const value = typeof fields[id] === 'string' ? fields[id].trim() : '';
+    contact[id] = value;
+    if (!value) {
+      if (required) error(id, `${label} is required`);
+    } else if (value.length > maxLength) {
+      error(id, `${label} is too long (at most ${maxLength} characters)`);
+    }
+  });
+
+  if (contact.email && !EMAIL_PATTERN.test(contact.email)) error('email', 'Enter a valid email address');
+  if (contact.phone) {
+    const digits = contact.phone.replace(/\D/g, '').length;
+    if (!PHONE_PATTERN.test(contact.phone) || digits < 7 || digits > 20) error('phone', 'Enter a valid phone number');
+  }
+  return { valid: errors.length === 0, contact, errors };
+}
+
+/**
+ * The payload for a quote request: the contact and every station of the quote
+ * in `state` (see js/quote.js) priced in its currency and price book. Amounts
+ * are numbers in `quote.currency`; station lines are per unit.
+ * @param {object} state - Store state
+ * @param {object} contact - Checked contact details (validateContact().contact)
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {object}
+ */
+export function buildQuoteRequest(state, contact, { now = new Date() } = {}) {
+  const quote = priceQuote(state);
+  const { charges } = quote;
+  const amounts = ({ list, discount, net }) => ({ list, discount, net });
+
+  const stations = quote.stations.map((station) => ({
+    id: station.id,
+    name: station.name,
+    quantity: station.quantity,
+    configuration: station.config,
+    summary: getConfigSummary(station.config),
+    lines: station.pricing.lines.map((line) => ({
+      kind: line.kind,
+      id: line.id,
+      name: line.name,
+      sku: LINE_SECTIONS[line.kind][line.id].sku || null,
+      included: line.included,
+      ...amounts(line)
+    })),
+    unit: amounts(station.pricing),
+    ...amounts(station)
+  }));
+
+  const destination = charges.destination && {
+    country: charges.destination.country,
+    state: charges.destination.state?.id || null,
+    zip: charges.destination.zip,
+    label: charges.destination.label
+  };
+
+  return {
+    version: QUOTE_REQUEST_VERSION,
+    submittedAt: now.toISOString(),
+    contact: { ...contact },
+    catalog: { version: CATALOG_INFO.version, revision: CATALOG_INFO.revision },
+    quote: {
+      currency: quote.currency,
+      priceBook: quote.priceBook,
+      quantity: quote.quantity,
+      stations,
+      list: quote.list,
+      discount: quote.discount,
+      subtotal: quote.subtotal,
+      volumeTier: quote.volumeTier?.id || null,
+      volumeDiscount: quote.volumeDiscount,
+      total: quote.total,
+      services: charges.services.map((service) => ({ ...service, sku: SERVICES[service.id].sku })),
+      destination,
+      freight: charges.freight && { zone: charges.freight.zone.id, amount: charges.freight.amount },
+      tax: charges.tax,
+      grandTotal: quote.grandTotal
+    }
+  };
+}
+
+// The endpoint's own explanation when it sent one ({ error, errors: [{ field, message }] })
+async function readError(response) {
+  try {
+    const body = await response.json();
+    return {
+      message: typeof body?.error === 'string' ? body.error : null,
+      errors: Array.isArray(body?.errors) ? body.errors : []
+    };
+  } catch {
+    return { message: null, errors: [] };
+  }
+}
+
+/**
+ * POST a quote request as JSON.
+ * @param {object} payload - buildQuoteRequest()
+ * @param {object} options
+ * @param {string} options.endpoint
+ * @param {typeof fetch} [options.fetch]
+ * @param {number} [options.timeout] - Milliseconds (default SUBMIT_TIMEOUT)
+ * @returns {Promise<{id: string, receivedAt: string}>} The endpoint's receipt
+ * @throws {Error} The endpoint couldn't be reached, timed out or refused the request;
+ *   `error.status` is the HTTP status and `error.errors` any field problems it reported.
+ *   `error.retryable` is true when sending the same request again later may work
+ *   (no connection, a timeout, a server error), false when it was refused as is.
+ */
+export async function submitQuoteRequest(payload, { endpoint, fetch = globalThis.fetch, timeout = SUBMIT_TIMEOUT }) {
+  if (!endpoint) throw new Error('MopecQuoteRequest: no endpoint to send quote requests to');
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+  } catch (cause) {
+    const message = controller.signal.aborted
+      ? 'the quote server took too long to answer; please try again'
+      : "couldn't reach the quote server; check your connection and try again";
+    const error = new Error(`MopecQuoteRequest: ${message}`, { cause });
+    error.retryable = true;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    const { message, errors } = await readError(response);
+    const error = new Error(`MopecQuoteRequest: ${message || `the quote server refused the request (HTTP ${response.status})`}`);
+    error.status = response.status;
+    error.errors = errors;
+    error.retryable = response.status >= 500 || RETRYABLE_STATUSES.includes(response.status);
+    throw error;
+  }
+
+  try {
+    return await response.json();
+  } catch {
+    // Accepted, just without a receipt
+    return { id: null, receivedAt: null };
+  }
+}
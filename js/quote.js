@@ -0,0 +1,236 @@
+/**
+ * Mopec Equipment Configurator
+ * Multi-station quotes
+ *
+ * A lab outfitting a grossing room orders several stations, often configured
+ * differently. A quote holds one or more stations, each a full configuration
+ * with a quantity. The store keeps them next to the configuration being edited
+ * (see js/store.js):
+ *   state.stations = [{ id, name, quantity, config }], state.activeStation = id
+ * The active station's configuration is the state itself, so its `config` is
+ * null; the others keep a snapshotConfig(). Every station is priced in the
+ * quote's currency and price book, then VOLUME_TIERS takes a percentage off the
+ * net total by the number of units ordered. Services, freight and sales tax
+ * (js/estimate.js) come on top of that. DOM-free.
+ */
+
+import {
+  VOLUME_TIERS,
+  createState,
+  snapshotConfig,
+  loadConfig,
+  setCurrency,
+  setPriceBook,
+  priceConfiguration,
+  roundPrice,
+  formatPrice
+} from './core.js';
+import { estimateCharges, setDestination, toggleService } from './estimate.js';
+
+/** Most units of one station a quote takes. */
+export const MAX_QUANTITY = 99;
+
+function stationAt(state, stationId) {
+  const station = state.stations.find((candidate) => candidate.id === stationId);
+  if (!station) throw new Error(`MopecQuote: unknown station "${stationId}"`);
+  return station;
+}
+
+function normalizeName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) throw new Error('MopecQuote: station name is required');
+  return trimmed;
+}
+
+function checkQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+    throw new Error(`MopecQuote: quantity must be a whole number from 1 to ${MAX_QUANTITY}`);
+  }
+}
+
+// "station-3" -> 3; ids and default names keep counting up after removals
+function nextNumber(stations) {
+  return Math.max(0, ...stations.map((station) => Number(station.id.split('-').pop()) || 0)) + 1;
+}
+
+// Park the configuration being edited in its station and edit `stationId` instead
+function activate(state, stations, stationId) {
+  const target = stations.find((station) => station.id === stationId);
+  const parked = stations.map((station) => {
+    if (station.id === state.activeStation) return { ...station, config: snapshotConfig(state) };
+    if (station.id === stationId) return { ...station, config: null };
+    return station;
+  });
+  return { ...loadConfig(state, target.config), stations: parked, activeStation: stationId };
+}
+
+/**
+ * The stations of a new quote: one unit of the configuration being edited.
+ * @returns {{stations: object[], activeStation: string}}
+ */
+export function createStations() {
+  return { stations: [{ id: 'station-1', name: 'Station 1', quantity: 1, config: null }], activeStation: 'station-1' };
+}
+
+/**
+ * Every station with its configuration, the active one's taken from the state.
+ * @returns {{id: string, name: string, quantity: number, active: boolean, config: object}[]}
+ */
+export function getStations(state) {
+  return state.stations.map((station) => ({
+    ...station,
+    active: station.id === state.activeStation,
+    config: station.id === state.activeStation ? snapshotConfig(state) : station.config
+  }));
+}
+
+/**
+ * Add a station and make it the one being edited.
+ * @param {object} state
+ * @param {object} [options]
+ * @param {string} [options.name] - Defaults to "Station <n>"
+ * @param {object} [options.config] - Defaults to a fresh DEFAULT_CONFIG configuration
+ * @throws {Error} `config` fails validateConfig
+ */
+export function addStation(state, { name, config = snapshotConfig(createState()) } = {}) {
+  const number = nextNumber(state.stations);
+  const station = { id: `station-${number}`, name: name === undefined ? `Station ${number}` : normalizeName(name), quantity: 1, config };
+  return activate(state, [...state.stations, station], station.id);
+}
+
+/**
+ * Removing the station being edited switches to its neighbor.
+ * @throws {Error} Unknown station, or the quote's only station
+ */
+export function removeStation(state, stationId) {
+  stationAt(state, stationId);
+  if (state.stations.length === 1) throw new Error('MopecQuote: a quote needs at least one station');
+
+  const index = state.stations.findIndex((station) => station.id === stationId);
+  const stations = state.stations.filter((station) => station.id !== stationId);
+  if (stationId !== state.activeStation) return { ...state, stations };
+
+  const next = stations[Math.min(index, stations.length - 1)];
+  return {
+    ...loadConfig(state, next.config),
+    stations: stations.map((station) => (station === next ? { ...station, config: null } : station)),
+    activeStation: next.id
+  };
+}
+
+/**
+ * Edit another station; the current configuration stays with its station.
+ * @throws {Error} Unknown station
+ */
+export function selectStation(state, stationId) {
+  stationAt(state, stationId);
+  return stationId === state.activeStation ? state : activate(state, state.stations, stationId);
+}
+
+/**
+ * @throws {Error} Unknown station or an empty name
+ */
+export function renameStation(state, stationId, name) {
+  stationAt(state, stationId);
+  const trimmed = normalizeName(name);
+  return { ...state, stations: state.stations.map((station) => (station.id === stationId ? { ...station, name: trimmed } : station)) };
+}
+
+/**
+ * @throws {Error} Unknown station, or not a whole number from 1 to MAX_QUANTITY
+ */
+export function setStationQuantity(state, stationId, quantity) {
+  const station = stationAt(state, stationId);
+  checkQuantity(quantity);
+  if (station.quantity === quantity) return state;
+  return { ...state, stations: state.stations.map((candidate) => (candidate === station ? { ...candidate, quantity } : candidate)) };
+}
+
+/**
+ * Replace the whole quote: its stations (each with its configuration, as
+ * getStations() lists them), the station being edited, currency, price book,
+ * destination and services. Reopens an issued quote (see js/quote-documents.js).
+ * @param {object} state
+ * @param {{stations: object[], activeStation: string, currency: string, priceBook: string, destination: object|null, services: string[]}} quote
+ * @throws {Error} No stations, a station's name, quantity or configuration is invalid, or an
+ *   unknown currency, price book, destination or service
+ */
+export function loadQuote(state, { stations, activeStation, currency, priceBook, destination, services }) {
+  if (!Array.isArray(stations) || stations.length === 0) throw new Error('MopecQuote: a quote needs at least one station');
+  const active = stations.find((station) => station.id === activeStation) || stations[0];
+
+  // Every configuration is checked now, not when its station is first selected
+  const loaded = stations.map((station) => {
+    checkQuantity(station.quantity);
+    const config = station === active ? null : snapshotConfig(loadConfig(state, station.config));
+    return { id: station.id, name: normalizeName(station.name), quantity: station.quantity, config };
+  });
+
+  const priced = setPriceBook(setCurrency(state, currency), priceBook);
+  const next = { ...loadConfig(priced, active.config), stations: loaded, activeStation: active.id, services: [] };
+  return services.reduce((result, serviceId) => toggleService(result, serviceId, true), setDestination(next, destination));
+}
+
+/**
+ * The VOLUME_TIERS entry a quote of `quantity` units reaches (the one with the
+ * highest minQuantity), or null below the first tier.
+ * @param {number} quantity
+ * @returns {{id: string, name: string, minQuantity: number, percent: number}|null}
+ */
+export function getVolumeTier(quantity) {
+  return Object.values(VOLUME_TIERS)
+    .filter((tier) => quantity >= tier.minQuantity)
+    .reduce((best, tier) => (!best || tier.minQuantity > best.minQuantity ? tier : best), null);
+}
+
+/**
+ * Price every station in the state's currency and price book, then apply the
+ * volume discount. Amounts per station are for all its units; `discount` is the
+ * price book's, so list - discount = subtotal and subtotal - volumeDiscount = total.
+ * `charges` adds the services, freight and tax for the state's `destination` and
+ * `services` (see estimateCharges in js/estimate.js): grandTotal = total + charges.total.
+ * @returns {{
+ *   currency: string, priceBook: string,
+ *   stations: {id: string, name: string, quantity: number, active: boolean, config: object, pricing: object, list: number, discount: number, net: number}[],
+ *   quantity: number, list: number, discount: number, subtotal: number,
+ *   volumeTier: object|null, volumeDiscount: number, total: number, formattedTotal: string,
+ *   charges: object, grandTotal: number, formattedGrandTotal: string
+ * }} `pricing` is the station's priceConfiguration() (one unit)
+ */
+export function priceQuote(state) {
+  const stations = getStations(state).map((station) => {
+    const pricing = priceConfiguration({ ...station.config, currency: state.currency, priceBook: state.priceBook });
+    return {
+      ...station,
+      pricing,
+      list: pricing.list * station.quantity,
+      discount: pricing.discount * station.quantity,
+      net: pricing.net * station.quantity
+    };
+  });
+  const sum = (field) => stations.reduce((total, station) => total + station[field], 0);
+  const { currency, priceBook } = stations[0].pricing;
+
+  const quantity = sum('quantity');
+  const subtotal = sum('net');
+  const volumeTier = getVolumeTier(quantity);
+  const volumeDiscount = volumeTier ? Math.min(roundPrice(subtotal * volumeTier.percent / 100, currency), subtotal) : 0;
+  const total = subtotal - volumeDiscount;
+
+  const quote = {
+    currency,
+    priceBook,
+    stations,
+    quantity,
+    list: sum('list'),
+    discount: sum('discount'),
+    subtotal,
+    volumeTier,
+    volumeDiscount,
+    total,
+    formattedTotal: formatPrice(total, currency)
+  };
+  const charges = estimateCharges(quote, { destination: state.destination ?? null, services: state.services ?? [] });
+  const grandTotal = total + charges.total;
+  return { ...quote, charges, grandTotal, formattedGrandTotal: formatPrice(grandTotal, currency) };
+}
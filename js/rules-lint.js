@@ -0,0 +1,460 @@
+/**
+ * Mopec Equipment Configurator
+ * rules.json linter
+ *
+ * Static checks for rules.json: inactive leftovers, malformed triggers/actions,
+ * options that no longer exist upstream, rules that can never fire, and pairs of
+ * rules that contradict each other when they fire together.
+ *
+ * Rules are checked on their own UUIDs, not through the catalog: every combination
+ * of the options a rule's triggers mention is tried (one option per single-select
+ * component, any subset otherwise), and the engine reports what that state hides.
+ * DOM-free; run it with `npm run lint:rules`.
+ */
+
+import { RulesEngine, isTargetSelected, matchRule } from './rules.js';
+
+/** Upper bound on trigger combinations tried per rule (or pair of rules). */
+const MAX_STATES = 4096;
+
+const KNOWN_ACTIONS = ['hide', 'only_show', 'show', 'auto-select', 'require'];
+const KNOWN_OPERATORS = ['AND', 'OR'];
+
+/**
+ * @typedef {object} LintFinding
+ * @property {'error'|'warning'|'info'} severity
+ * @property {string} code - Stable identifier, e.g. 'dead-rule'
+ * @property {string} message
+ * @property {string|null} ruleId
+ * @property {string} ruleName
+ * @property {{ruleId: string, ruleName: string}[]} related - Other rules involved
+ */
+
+/**
+ * @param {object[]} rules - Parsed rules.json
+ * @param {object} [options]
+ * @param {object} [options.mapping] - From createRuleMapping(); enables option existence and
+ *   single-select checks
+ * @returns {{findings: LintFinding[], counts: {error: number, warning: number, info: number}}}
+ */
+export function lintRules(rules, { mapping = null } = {}) {
+  if (!Array.isArray(rules)) throw new Error('lintRules: rules must be an array');
+
+  const findings = [];
+  const report = (severity, code, rule, message, related = []) => {
+    findings.push({
+      severity,
+      code,
+      message,
+      ruleId: rule?.id ?? null,
+      ruleName: rule?.name ?? '',
+      related: related.map((other) => ({ ruleId: other.id, ruleName: other.name }))
+    });
+  };
+
+  // Without an option id: just the component; '' is a trigger on "any option"
+  const label = (componentId, optionId) => {
+    const resolved = optionId ? mapping?.resolveOption(componentId, optionId) : null;
+    if (resolved) return `${resolved.componentName}: ${resolved.name}`;
+    const name = mapping?.componentName(componentId) || componentId.slice(0, 8);
+    if (optionId === undefined) return name;
+    return optionId ? `${name}: ${optionId.slice(0, 8)}` : `${name}: any`;
+  };
+
+  const active = rules.filter((rule) => rule && rule.isActive !== false);
+  rules.forEach((rule) => {
+    if (rule?.isActive === false) {
+      report('warning', 'inactive', rule, 'Rule is inactive; delete it or turn it back on.');
+    }
+  });
+
+  checkStructure(active, mapping, report, label);
+
+  const universe = buildUniverse(rules, mapping);
+  const engine = new RulesEngine({ rules: active, binding: createUuidBinding(universe) });
+  const effects = new Map(active.map((rule) => [rule, effectsOf(rule, universe)]));
+
+  const dead = checkDeadRules(active, universe, engine, report);
+  checkConflicts(active.filter((rule) => !dead.has(rule)), universe, effects, report, label);
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  findings.forEach((finding) => { counts[finding.severity] += 1; });
+  return { findings, counts };
+}
+
+function eachTrigger(rule, callback) {
+  (rule.triggersGroups || []).forEach((group) => (group.triggers || []).forEach(callback));
+}
+
+function checkStructure(rules, mapping, report, label) {
+  const mappedComponents = new Set(mapping?.createBinding().components() || []);
+  const unmapped = new Map();
+
+  rules.forEach((rule) => {
+    if (mapping?.rulesProductId && rule.productId && rule.productId !== mapping.rulesProductId) {
+      report('warning', 'product-mismatch', rule, `Rule belongs to product ${rule.productId}, not ${mapping.rulesProductId}.`);
+    }
+    if (rule.triggerGroupOperator && !KNOWN_OPERATORS.includes(rule.triggerGroupOperator)) {
+      report('warning', 'unknown-operator', rule, `Unknown triggerGroupOperator "${rule.triggerGroupOperator}" is treated as OR.`);
+    }
+
+    eachTrigger(rule, (trigger) => {
+      const { triggerComponentId: componentId, triggerOptionId: optionId } = trigger;
+      if (trigger.triggerCondition !== 'selected') {
+        report('error', 'unsupported-condition', rule, `Trigger on ${label(componentId, optionId)} uses condition "${trigger.triggerCondition}", which never matches.`);
+      }
+      if (trigger.triggerOperator && !KNOWN_OPERATORS.includes(trigger.triggerOperator)) {
+        report('warning', 'unknown-operator', rule, `Unknown triggerOperator "${trigger.triggerOperator}" is treated as OR.`);
+      }
+      checkExists(rule, componentId, optionId, 'error', 'missing-trigger-option', 'Trigger option');
+    });
+
+    const seenActions = new Set();
+    (rule.actions || []).forEach((action) => {
+      const componentId = action.affectedComponentId;
+      const optionIds = action.affectedOptionIds || [];
+
+      if (!KNOWN_ACTIONS.includes(action.action)) {
+        report('error', 'unknown-action', rule, `Unknown action "${action.action}" on ${label(componentId)} is ignored.`);
+      }
+      if (!componentId) {
+        report('error', 'missing-component', rule, `"${action.action}" action has no affectedComponentId.`);
+        return;
+      }
+      if ((action.action === 'auto-select' || action.action === 'require') && optionIds.length === 0) {
+        report('warning', 'no-effect', rule, `"${action.action}" on ${label(componentId)} lists no options, so it does nothing.`);
+      }
+
+      const signature = `${action.action}|${componentId}|${[...optionIds].sort().join(',')}`;
+      if (seenActions.has(signature)) {
+        report('info', 'duplicate-action', rule, `"${action.action}" on ${label(componentId)} is listed more than once.`);
+      }
+      seenActions.add(signature);
+
+      optionIds.forEach((optionId) => checkExists(rule, componentId, optionId, 'warning', 'missing-action-option', 'Affected option'));
+    });
+  });
+
+  function checkExists(rule, componentId, optionId, severity, code, what) {
+    if (!mapping || !componentId) return;
+    if (!mappedComponents.has(componentId)) {
+      if (!unmapped.has(componentId)) unmapped.set(componentId, []);
+      if (!unmapped.get(componentId).includes(rule)) unmapped.get(componentId).push(rule);
+      return;
+    }
+    if (optionId && !mapping.resolveOption(componentId, optionId)) {
+      report(severity, code, rule, `${what} ${optionId} no longer exists in ${mapping.componentName(componentId)}.`);
+    }
+  }
+
+  unmapped.forEach((usedBy, componentId) => {
+    report('info', 'unmapped-component', null, `Component ${componentId} is not in the mapping; its options can't be checked.`, usedBy);
+  });
+}
+
+/**
+ * Every component/option mentioned by rules.json or the mapping.
+ * @returns {{options: Map<string, string[]>, single: Set<string>}}
+ */
+function buildUniverse(rules, mapping) {
+  const options = new Map();
+  const add = (componentId, optionId) => {
+    if (!componentId) return;
+    if (!options.has(componentId)) options.set(componentId, []);
+    if (optionId && !options.get(componentId).includes(optionId)) options.get(componentId).push(optionId);
+  };
+
+  rules.forEach((rule) => {
+    eachTrigger(rule, (trigger) => add(trigger.triggerComponentId, trigger.triggerOptionId));
+    (rule.actions || []).forEach((action) => {
+      add(action.affectedComponentId, '');
+      (action.affectedOptionIds || []).forEach((optionId) => add(action.affectedComponentId, optionId));
+    });
+  });
+  const mapped = mapping?.createBinding();
+  mapped?.components().forEach((componentId) => {
+    mapped.optionsOf(componentId).forEach((optionId) => add(componentId, optionId));
+  });
+
+  const single = new Set([...options.keys()].filter((componentId) => mapping?.selectionMode(componentId) === 'single'));
+  return { options, single };
+}
+
+/**
+ * Binding where every upstream option is its own target (`componentId:optionId`),
+ * over states shaped `{ [componentId]: optionId[] }`.
+ */
+function createUuidBinding(universe) {
+  return {
+    components() {
+      return [...universe.options.keys()];
+    },
+    optionsOf(componentId) {
+      return universe.options.get(componentId) || [];
+    },
+    isSelected(state, componentId, optionId) {
+      return isTargetSelected(state, componentId, optionId);
+    },
+    targetsOf(componentId, optionId) {
+      return [{ group: componentId, id: optionId }];
+    },
+    describe() {
+      return '';
+    }
+  };
+}
+
+/**
+ * Options a rule hides / shows / auto-selects / requires, and its only_show sets.
+ * @returns {{hide: Set<string>, show: Set<string>, 'auto-select': Set<string>, require: Set<string>, onlyShow: Map<string, Set<string>>}}
+ */
+function effectsOf(rule, universe) {
+  const effects = { hide: new Set(), show: new Set(), 'auto-select': new Set(), require: new Set(), onlyShow: new Map() };
+
+  (rule.actions || []).forEach((action) => {
+    const componentId = action.affectedComponentId;
+    if (!componentId) return;
+    const all = universe.options.get(componentId) || [];
+    const listed = action.affectedOptionIds?.length > 0 ? action.affectedOptionIds : null;
+    const keys = (optionIds) => optionIds.map((optionId) => `${componentId}/${optionId}`);
+
+    switch (action.action) {
+      case 'hide':
+        keys(listed || all).forEach((key) => effects.hide.add(key));
+        break;
+      case 'only_show':
+        keys(all.filter((optionId) => !listed?.includes(optionId))).forEach((key) => effects.hide.add(key));
+        effects.onlyShow.set(componentId, new Set(listed || []));
+        break;
+      case 'show':
+        keys(listed || all).forEach((key) => effects.show.add(key));
+        break;
+      case 'auto-select':
+      case 'require':
+        keys(listed || []).forEach((key) => effects[action.action].add(key));
+        break;
+      default:
+        break;
+    }
+  });
+  return effects;
+}
+
+/**
+ * Every selection of the options the rules' triggers mention: one option (or none)
+ * per single-select component, any subset for the others. Options a trigger doesn't
+ * name behave like "nothing selected" for these rules, so they're left out.
+ * @returns {object[]|null} States, or null if there are more than MAX_STATES
+ */
+function triggerStates(rules, universe) {
+  const mentioned = new Map();
+  rules.forEach((rule) => eachTrigger(rule, (trigger) => {
+    const componentId = trigger.triggerComponentId;
+    if (!componentId) return;
+    if (!mentioned.has(componentId)) mentioned.set(componentId, new Set());
+    // "Any option" triggers need some option of the component to be selectable
+    const optionId = trigger.triggerOptionId || universe.options.get(componentId)?.[0] || '*';
+    mentioned.get(componentId).add(optionId);
+  }));
+
+  // Each variable is a list of alternative selections for part of the state
+  const variables = [];
+  mentioned.forEach((optionIds, componentId) => {
+    if (universe.single.has(componentId)) {
+      variables.push([[], ...[...optionIds].map((optionId) => [[componentId, optionId]])]);
+    } else {
+      optionIds.forEach((optionId) => variables.push([[], [[componentId, optionId]]]));
+    }
+  });
+
+  const total = variables.reduce((product, choices) => product * choices.length, 1);
+  if (total > MAX_STATES) return null;
+
+  let states = [[]];
+  variables.forEach((choices) => {
+    states = states.flatMap((picked) => choices.map((choice) => [...picked, ...choice]));
+  });
+
+  return states.map((picked) => {
+    const state = {};
+    picked.forEach(([componentId, optionId]) => {
+      state[componentId] = [...(state[componentId] || []), optionId];
+    });
+    return state;
+  });
+}
+
+function matchesIn(rule, state) {
+  return matchRule(rule, (componentId, optionId) => isTargetSelected(state, componentId, optionId));
+}
+
+/**
+ * A rule is dead if its triggers can't hold, or only hold in states where one of the
+ * selected options is hidden by the rules that fire (so the selection can't stand).
+ * @returns {Set<object>} Dead rules
+ */
+function checkDeadRules(rules, universe, engine, report) {
+  const dead = new Set();
+  const byId = new Map(rules.map((rule) => [rule.id, rule]));
+
+  rules.forEach((rule) => {
+    if (!(rule.triggersGroups || []).some((group) => group.triggers?.length > 0)) {
+      dead.add(rule);
+      report('error', 'dead-rule', rule, 'Rule has no triggers and never fires.');
+      return;
+    }
+
+    const states = triggerStates([rule], universe);
+    if (!states) {
+      report('info', 'too-complex', rule, 'Too many trigger combinations to check whether the rule can fire.');
+      return;
+    }
+
+    const firing = states.filter((state) => matchesIn(rule, state));
+    if (firing.length === 0) {
+      dead.add(rule);
+      report('error', 'dead-rule', rule, 'Triggers can never all hold (e.g. AND between options of a single-select component).');
+      return;
+    }
+
+    const hiders = new Set();
+    const live = firing.some((state) => {
+      const { hidden } = engine.evaluate(state);
+      const blocked = Object.entries(state).flatMap(([componentId, optionIds]) =>
+        optionIds.map((optionId) => hidden.get(`${componentId}:${optionId}`)).filter(Boolean));
+      blocked.flat().forEach((reason) => hiders.add(reason.ruleId));
+      return blocked.length === 0;
+    });
+
+    if (!live) {
+      dead.add(rule);
+      const related = [...hiders].map((ruleId) => byId.get(ruleId)).filter(Boolean);
+      const names = related.map((other) => `"${other.name}"`).join(', ');
+      report('error', 'dead-rule', rule, `Never fires: whenever its triggers hold, ${names} hide${related.length === 1 ? 's' : ''} one of the trigger options.`, related);
+    }
+  });
+
+  return dead;
+}
+
+function checkConflicts(rules, universe, effects, report, label) {
+  const optionLabel = (key) => {
+    const [componentId, optionId] = key.split('/');
+    return label(componentId, optionId);
+  };
+  const listLabels = (keys) => {
+    const labels = [...new Set([...keys].map(optionLabel))];
+    return labels.length > 3 ? `${labels.slice(0, 3).join(', ')} and ${labels.length - 3} more` : labels.join(', ');
+  };
+  const intersect = (a, b) => [...a].filter((key) => b.has(key));
+
+  const coFiringStates = (a, b) => {
+    if (a === b) return triggerStates([a], universe)?.filter((state) => matchesIn(a, state)) ?? null;
+    const states = triggerStates([a, b], universe);
+    return states ? states.filter((state) => matchesIn(a, state) && matchesIn(b, state)) : null;
+  };
+
+  const pairs = [];
+  rules.forEach((a, i) => rules.slice(i).forEach((b) => pairs.push([a, b])));
+
+  pairs.forEach(([a, b]) => {
+    const ea = effects.get(a);
+    const eb = effects.get(b);
+
+    // Only look for co-firing states when the rules' effects actually collide
+    const collisions = [];
+    if (a !== b) {
+      ea.onlyShow.forEach((listed, componentId) => {
+        const other = eb.onlyShow.get(componentId);
+        if (!other) return;
+        const same = listed.size === other.size && [...listed].every((optionId) => other.has(optionId));
+        if (same) return;
+        const kept = [...listed].filter((optionId) => other.has(optionId));
+        collisions.push({
+          severity: kept.length === 0 ? 'error' : 'warning',
+          code: 'only-show-conflict',
+          message: kept.length === 0
+            ? `only_show on ${label(componentId)} keeps disjoint option sets, so together they hide every option.`
+            : `only_show on ${label(componentId)} keeps different option sets; only ${kept.length} option(s) survive both.`
+        });
+      });
+    }
+
+    [[ea, eb], [eb, ea]].forEach(([hider, other], index) => {
+      if (a === b && index === 1) return;
+      [['show', 'hide-show-conflict', 'warning', 'show wins'],
+        ['auto-select', 'hide-auto-select-conflict', 'error', 'the auto-select is ignored'],
+        ['require', 'hide-require-conflict', 'warning', 'require wins']]
+        .forEach(([kind, code, severity, outcome]) => {
+          // The engine lets show / require override hide, so an auto-select
+          // that comes with either still works
+          const keys = intersect(hider.hide, other[kind])
+            .filter((key) => kind !== 'auto-select' || (!other.show.has(key) && !other.require.has(key)));
+          if (keys.length === 0) return;
+          const [hiding, acting] = hider === ea ? [a, b] : [b, a];
+          const who = a === b ? 'The rule' : `"${hiding.name}"`;
+          const whom = a === b ? 'it also' : `"${acting.name}"`;
+          collisions.push({
+            severity,
+            code,
+            message: `${who} hides ${listLabels(keys)}, which ${whom} ${kind}s; ${outcome}.`
+          });
+        });
+    });
+
+    if (collisions.length > 0) {
+      const states = coFiringStates(a, b);
+      if (states === null) {
+        report('info', 'too-complex', a, `Too many trigger combinations to check against "${b.name}".`, [b]);
+      } else if (states.length > 0) {
+        const related = a === b ? [] : [b];
+        collisions.forEach(({ severity, code, message }) => report(severity, code, a, message, related));
+      }
+    }
+
+    if (a !== b) checkMutualHide(a, b, ea, eb);
+  });
+
+  // A hides an option B fires on and B hides one A fires on, in a state where both fire:
+  // the engine deselects both. (One-way hiding is ordinary: B just stops firing.)
+  function checkMutualHide(a, b, ea, eb) {
+    const aHides = [...ea.hide].some((key) => triggerKeys(b).has(key));
+    const bHides = [...eb.hide].some((key) => triggerKeys(a).has(key));
+    if (!aHides || !bHides) return;
+
+    const states = coFiringStates(a, b);
+    if (!states || states.length === 0) return;
+
+    const hiddenTriggers = (hider, rule) => {
+      const keys = new Set();
+      states.forEach((state) => {
+        (matchesIn(rule, state) || []).forEach((trigger) => {
+          const componentId = trigger.triggerComponentId;
+          const optionIds = trigger.triggerOptionId ? [trigger.triggerOptionId] : (state[componentId] || []);
+          optionIds.forEach((optionId) => {
+            const key = `${componentId}/${optionId}`;
+            if (hider.hide.has(key)) keys.add(key);
+          });
+        });
+      });
+      return keys;
+    };
+
+    const aHidesB = hiddenTriggers(ea, b);
+    const bHidesA = hiddenTriggers(eb, a);
+    if (aHidesB.size > 0 && bHidesA.size > 0) {
+      report('warning', 'mutual-hide', a,
+        `"${a.name}" and "${b.name}" can fire together and hide each other's trigger options (${listLabels(aHidesB)} / ${listLabels(bHidesA)}); both selections get dropped.`, [b]);
+    }
+  }
+
+  function triggerKeys(rule) {
+    const keys = new Set();
+    eachTrigger(rule, (trigger) => {
+      const componentId = trigger.triggerComponentId;
+      const optionIds = trigger.triggerOptionId ? [trigger.triggerOptionId] : (universe.options.get(componentId) || []);
+      optionIds.forEach((optionId) => keys.add(`${componentId}/${optionId}`));
+    });
+    return keys;
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Mopec Equipment Configurator
+ * rules.json <-> catalog mapping
+ *
+ * rules.json is exported from the upstream CPQ tool and refers to components and
+ * options by UUID. rules-mapping.json ties those UUIDs to MopecConfig catalog ids;
+ * this module resolves in both directions, turns the mapping into a RulesEngine
+ * binding, and reports what isn't mapped yet.
+ */
+
+import { isTargetSelected, targetKey } from './rules.js';
+
+/** Highest mapping file version this module understands. */
+export const RULE_MAPPING_VERSION = 1;
+
+const CATALOG_GROUPS = Object.freeze({
+  product: 'PRODUCTS',
+  sinkPosition: 'SINK_POSITIONS',
+  features: 'FEATURES',
+  accessories: 'ACCESSORIES'
+});
+
+/**
+ * Fetch and parse a mapping file.
+ * @param {string} url
+ * @returns {Promise<ReturnType<typeof createRuleMapping>>}
+ */
+export async function loadRuleMapping(url = 'rules-mapping.json') {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load rule mapping: ${response.status} ${url}`);
+  return createRuleMapping(await response.json());
+}
+
+/**
+ * @param {object} data - Parsed rules-mapping.json
+ */
+export function createRuleMapping(data) {
+  if (!data || typeof data !== 'object' || !data.components) {
+    throw new Error('Rule mapping: "components" is required');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > RULE_MAPPING_VERSION) {
+    throw new Error(`Rule mapping: unsupported version ${data.version} (supported: ${RULE_MAPPING_VERSION})`);
+  }
+
+  const components = data.components;
+
+  // Option-level "select" overrides the component default; null means "no catalog equivalent".
+  function selectionOf(componentId, optionId) {
+    const component = components[componentId];
+    const option = component?.options?.[optionId];
+    if (!option) return null;
+    const select = 'select' in option ? option.select : component.select;
+    return select && Object.keys(select).length > 0 ? select : null;
+  }
+
+  /**
+   * Upstream option -> catalog.
+   * @returns {{componentName: string, name: string, select: object|null}|null}
+   */
+  function resolveOption(componentId, optionId) {
+    const component = components[componentId];
+    if (!component?.options?.[optionId]) return null;
+    return {
+      componentName: component.name || '',
+      name: component.options[optionId].name || '',
+      select: selectionOf(componentId, optionId)
+    };
+  }
+
+  /**
+   * Catalog -> upstream options whose selection includes `group: id`.
+   * @returns {{componentId: string, optionId: string, name: string}[]}
+   */
+  function resolveCatalog(group, id) {
+    const matches = [];
+    Object.entries(components).forEach(([componentId, component]) => {
+      Object.entries(component.options || {}).forEach(([optionId, option]) => {
+        if (selectionOf(componentId, optionId)?.[group] === id) {
+          matches.push({ componentId, optionId, name: option.name || '' });
+        }
+      });
+    });
+    return matches;
+  }
+
+  function componentName(componentId) {
+    return components[componentId]?.name || '';
+  }
+
+  /**
+   * Upstream components allow several options at once unless marked `"selection": "single"`.
+   * @returns {'single'|'multiple'}
+   */
+  function selectionMode(componentId) {
+    return components[componentId]?.selection === 'single' ? 'single' : 'multiple';
+  }
+
+  /**
+   * RulesEngine binding over the mapped UUIDs. Options that select a single
+   * catalog id stand for it (and can be hidden / auto-selected); compound
+   * selections such as model variants (product + sinkPosition) only act as triggers.
+   */
+  function createBinding() {
+    const isOptionSelected = (state, componentId, optionId) => {
+      const select = selectionOf(componentId, optionId);
+      return Boolean(select) && Object.entries(select).every(([group, id]) => isTargetSelected(state, group, id));
+    };
+
+    return {
+      components() {
+        return Object.keys(components);
+      },
+      optionsOf(componentId) {
+        return Object.keys(components[componentId]?.options || {});
+      },
+      isSelected(state, componentId, optionId) {
+        if (!components[componentId]) return false;
+        if (!optionId) {
+          return this.optionsOf(componentId).some((id) => isOptionSelected(state, componentId, id));
+        }
+        return isOptionSelected(state, componentId, optionId);
+      },
+      targetsOf(componentId, optionId) {
+        const entries = Object.entries(selectionOf(componentId, optionId) || {});
+        return entries.length === 1 ? [{ group: entries[0][0], id: entries[0][1] }] : [];
+      },
+      describe(componentId, optionId) {
+        const name = componentName(componentId) || componentId;
+        if (!optionId) return `${name}: any`;
+        return `${name}: ${components[componentId]?.options?.[optionId]?.name || optionId}`;
+      }
+    };
+  }
+
+  /**
+   * What the mapping doesn't cover yet.
+   * @param {object[]} rules - Parsed rules.json
+   * @param {object} catalog - window.MopecConfig
+   * @returns {{version: number, unmappedComponents: string[], unmappedOptions: {componentId: string, optionId: string}[], unmappedCatalog: string[]}}
+   */
+  function report(rules = [], catalog = {}) {
+    const unmappedComponents = new Set();
+    const unmappedOptions = new Map();
+
+    const check = (componentId, optionId) => {
+      if (!componentId) return;
+      if (!components[componentId]) {
+        unmappedComponents.add(componentId);
+        return;
+      }
+      if (optionId && !selectionOf(componentId, optionId)) {
+        unmappedOptions.set(`${componentId}/${optionId}`, { componentId, optionId });
+      }
+    };
+
+    rules.forEach((rule) => {
+      (rule.triggersGroups || []).forEach((group) => {
+        (group.triggers || []).forEach((trigger) => check(trigger.triggerComponentId, trigger.triggerOptionId));
+      });
+      (rule.actions || []).forEach((action) => {
+        check(action.affectedComponentId, '');
+        (action.affectedOptionIds || []).forEach((optionId) => check(action.affectedComponentId, optionId));
+      });
+    });
+
+    const mappedCatalog = new Set();
+    Object.entries(components).forEach(([componentId, component]) => {
+      Object.keys(component.options || {}).forEach((optionId) => {
+        Object.entries(selectionOf(componentId, optionId) || {}).forEach(([group, id]) => {
+          mappedCatalog.add(targetKey(group, id));
+        });
+      });
+    });
+
+    const unmappedCatalog = [];
+    Object.entries(CATALOG_GROUPS).forEach(([group, catalogKey]) => {
+      Object.keys(catalog[catalogKey] || {}).forEach((id) => {
+        const key = targetKey(group, id);
+        if (!mappedCatalog.has(key)) unmappedCatalog.push(key);
+      });
+    });
+
+    return {
+      version: data.version,
+      unmappedComponents: [...unmappedComponents],
+      unmappedOptions: [...unmappedOptions.values()],
+      unmappedCatalog
+    };
+  }
+
+  return {
+    version: data.version,
+    rulesProductId: data.rulesProductId || null,
+    resolveOption,
+    resolveCatalog,
+    componentName,
+    selectionMode,
+    createBinding,
+    report
+  };
+}
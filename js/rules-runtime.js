@@ -0,0 +1,101 @@
+/**
+ * Mopec Equipment Configurator
+ * Rules Runtime Bridge
+ *
+ * Loads rules.json and rules-mapping.json into the DOM-free rules engine and
+ * exposes it to app.js as `window.MopecRules`. The rules run as a processor of
+ * `window.MopecStore` (js/core-runtime.js), so every dispatched change comes out
+ * already satisfying them. Both are set up once `window.MopecReady` resolves.
+ */
+
+import { catalog } from './core.js';
+import { RulesEngine, combineBindings, createCatalogBinding, loadRules } from './rules.js';
+import { loadRuleMapping } from './rules-mapping.js';
+import { ActionTypes, actions } from './store.js';
+
+function changedKeys(a, b) {
+  return Object.keys(b).some((key) => a[key] !== b[key]);
+}
+
+function startRules() {
+  const catalogBinding = createCatalogBinding(catalog);
+  const engine = new RulesEngine({ binding: catalogBinding });
+
+  let mapping = null;
+  let loadedRules = [];
+  let rulesLoaded = false;
+  // A configuration loaded before the rules arrived is primed once they do
+  let primeOnLoad = false;
+
+  window.MopecRules = {
+    apply(state) {
+      return engine.apply(state);
+    },
+    evaluate(state) {
+      return engine.evaluate(state);
+    },
+    reset() {
+      engine.reset();
+    },
+    prime(state) {
+      engine.prime(state);
+    },
+    get mapping() {
+      return mapping;
+    },
+    getMappingReport() {
+      return mapping ? mapping.report(loadedRules, catalog) : null;
+    }
+  };
+
+  window.MopecStore.addProcessor((state, action) => {
+    switch (action.type) {
+      case ActionTypes.RESET:
+        engine.reset();
+        primeOnLoad = false;
+        break;
+      // Another configuration takes over: what its rules already do isn't a change to act on
+      case ActionTypes.LOAD_CONFIG:
+      case ActionTypes.LOAD_QUOTE:
+      case ActionTypes.ADD_STATION:
+      case ActionTypes.REMOVE_STATION:
+      case ActionTypes.SELECT_STATION:
+        engine.prime(state);
+        primeOnLoad = !rulesLoaded;
+        break;
+      case ActionTypes.RULES_LOADED:
+        if (primeOnLoad) engine.prime(state);
+        primeOnLoad = false;
+        break;
+      default:
+        break;
+    }
+
+    // The engine assigns new arrays rather than editing them, so a shallow copy
+    // keeps `state` intact
+    const next = { ...state };
+    engine.apply(next);
+    return changedKeys(state, next) ? next : state;
+  });
+
+  Promise.all([loadRules('rules.json'), loadRuleMapping('rules-mapping.json')])
+    .then(([rules, ruleMapping]) => {
+      mapping = ruleMapping;
+      loadedRules = rules;
+      engine.setBinding(combineBindings(catalogBinding, mapping.createBinding()));
+      engine.setRules(rules);
+      rulesLoaded = true;
+      window.MopecStore.dispatch(actions.rulesLoaded());
+      window.dispatchEvent(new CustomEvent('mopec:rules-loaded', { detail: { count: engine.rules.length } }));
+    })
+    .catch((err) => {
+      console.warn('[MopecRules] Rules not loaded; configuration is unconstrained.', err);
+    });
+
+  // Expose for debugging in the browser console.
+  window.__mopecRules = engine;
+}
+
+// The catalog and the store exist once js/core-runtime.js has loaded catalog.json;
+// app.js reports a failed load, and without a catalog there is nothing to constrain.
+window.MopecReady.then(startRules, () => {});
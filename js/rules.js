@@ -0,0 +1,437 @@
+/**
+ * Mopec Equipment Configurator
+ * Configuration rules engine
+ *
+ * Evaluates rules.json (hide / only_show / show / auto-select / require actions
+ * behind AND/OR trigger groups) against the configurator state. The engine is
+ * DOM-free: a "binding" tells it which components/options exist, whether an
+ * option is selected, and which catalog targets an option stands for.
+ *
+ * Catalog targets are addressed as `group:id` keys, e.g. `features:secondSink`
+ * or `accessories:drawerSystem`, where `group` is a configuration state key.
+ */
+
+const MAX_PASSES = 8;
+
+const ACTION_HIDE = 'hide';
+const ACTION_ONLY_SHOW = 'only_show';
+const ACTION_SHOW = 'show';
+const ACTION_AUTO_SELECT = 'auto-select';
+const ACTION_REQUIRE = 'require';
+
+/**
+ * Build the key used for catalog targets in rule results.
+ * @param {string} group - state key ('product', 'features', ...)
+ * @param {string} id - Catalog id within the group
+ * @returns {string}
+ */
+export function targetKey(group, id) {
+  return `${group}:${id}`;
+}
+
+function parseTargetKey(key) {
+  const index = key.indexOf(':');
+  return { group: key.slice(0, index), id: key.slice(index + 1) };
+}
+
+const GROUP_LABELS = Object.freeze({
+  product: 'Station',
+  sinkPosition: 'Sink position',
+  baseStyle: 'Base style',
+  features: 'Feature',
+  accessories: 'Accessory'
+});
+
+function optionKey(componentId, optionId) {
+  return `${componentId}/${optionId}`;
+}
+
+function byOrder(field) {
+  return (a, b) => (a?.[field] ?? 0) - (b?.[field] ?? 0);
+}
+
+function evaluateTrigger(trigger, isSelected) {
+  const selected = isSelected(trigger.triggerComponentId, trigger.triggerOptionId || '');
+  return trigger.triggerCondition === 'selected' ? selected : false;
+}
+
+/**
+ * @returns {object[]|null} Triggers that matched, or null if the group is false
+ */
+function evaluateTriggerGroup(group, isSelected) {
+  const triggers = [...(group?.triggers || [])].sort(byOrder('triggerOrder'));
+  if (triggers.length === 0) return null;
+
+  // Each trigger's operator joins it to the previous one; AND starts a new clause,
+  // so "a OR b AND c OR d" reads as (a || b) && (c || d).
+  const clauses = [];
+  triggers.forEach((trigger, index) => {
+    if (index === 0 || trigger.triggerOperator === 'AND') clauses.push([]);
+    clauses[clauses.length - 1].push(trigger);
+  });
+
+  const matched = [];
+  for (const clause of clauses) {
+    const clauseMatches = clause.filter((trigger) => evaluateTrigger(trigger, isSelected));
+    if (clauseMatches.length === 0) return null;
+    matched.push(...clauseMatches);
+  }
+  return matched;
+}
+
+/**
+ * Whether a rule's triggers hold.
+ * @param {object} rule - A rules.json entry
+ * @param {(componentId: string, optionId: string) => boolean} isSelected - '' option id means "any option"
+ * @returns {object[]|null} Triggers that made the rule fire, or null if it doesn't
+ */
+export function matchRule(rule, isSelected) {
+  const groups = [...(rule.triggersGroups || [])].sort(byOrder('groupOrder'));
+  if (groups.length === 0) return null;
+
+  const results = groups.map((group) => evaluateTriggerGroup(group, isSelected));
+  const fires = rule.triggerGroupOperator === 'AND' ? results.every(Boolean) : results.some(Boolean);
+  return fires ? results.filter(Boolean).flat() : null;
+}
+
+/**
+ * Whether a catalog id is selected in a configuration state. An empty id
+ * matches any selection in the group.
+ * @param {object} state
+ * @param {string} group - State key
+ * @param {string} id - Catalog id, or '' for "anything selected"
+ * @returns {boolean}
+ */
+export function isTargetSelected(state, group, id) {
+  const value = state?.[group];
+  if (Array.isArray(value)) return id ? value.includes(id) : value.length > 0;
+  if (typeof value === 'string') return id ? value === id : value.length > 0;
+  return false;
+}
+
+/**
+ * Binding for rules written directly against the catalog: component ids are
+ * state keys and option ids are MopecConfig catalog ids.
+ *
+ * @param {object} catalog - window.MopecConfig
+ * @returns {object} Binding used by RulesEngine
+ */
+export function createCatalogBinding(catalog = {}) {
+  const entries = {
+    product: catalog.PRODUCTS || {},
+    sinkPosition: catalog.SINK_POSITIONS || {},
+    features: catalog.FEATURES || {},
+    accessories: catalog.ACCESSORIES || {}
+  };
+  const options = {
+    product: Object.keys(catalog.PRODUCTS || {}),
+    sinkPosition: Object.keys(catalog.SINK_POSITIONS || {}),
+    baseStyle: ['pedestal', 'legs'],
+    features: Object.keys(catalog.FEATURES || {}),
+    accessories: Object.keys(catalog.ACCESSORIES || {})
+  };
+
+  return {
+    components() {
+      return Object.keys(options);
+    },
+    optionsOf(componentId) {
+      return options[componentId] || [];
+    },
+    isSelected(state, componentId, optionId) {
+      if (!options[componentId]) return false;
+      return isTargetSelected(state, componentId, optionId);
+    },
+    targetsOf(componentId, optionId) {
+      return options[componentId]?.includes(optionId) ? [{ group: componentId, id: optionId }] : [];
+    },
+    describe(componentId, optionId) {
+      const group = GROUP_LABELS[componentId] || componentId;
+      if (!optionId) return group;
+      return `${group}: ${entries[componentId]?.[optionId]?.name || optionId}`;
+    }
+  };
+}
+
+/**
+ * Merge bindings with disjoint component ids (e.g. catalog ids and mapped UUIDs)
+ * into one binding.
+ * @param {...object} bindings
+ * @returns {object}
+ */
+export function combineBindings(...bindings) {
+  const ownerOf = (componentId) => bindings.find((binding) => binding.components().includes(componentId));
+
+  return {
+    components() {
+      return bindings.flatMap((binding) => binding.components());
+    },
+    optionsOf(componentId) {
+      return ownerOf(componentId)?.optionsOf(componentId) || [];
+    },
+    isSelected(state, componentId, optionId) {
+      return ownerOf(componentId)?.isSelected(state, componentId, optionId) || false;
+    },
+    targetsOf(componentId, optionId) {
+      return ownerOf(componentId)?.targetsOf(componentId, optionId) || [];
+    },
+    describe(componentId, optionId) {
+      return ownerOf(componentId)?.describe?.(componentId, optionId) || '';
+    }
+  };
+}
+
+/**
+ * Fetch and parse a rules file.
+ * @param {string} url
+ * @returns {Promise<object[]>}
+ */
+export async function loadRules(url = 'rules.json') {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load rules: ${response.status} ${url}`);
+  const rules = await response.json();
+  if (!Array.isArray(rules)) throw new Error(`Rules file must contain an array: ${url}`);
+  return rules;
+}
+
+export class RulesEngine {
+  /**
+   * @param {object} options
+   * @param {object[]=} options.rules - Parsed rules.json
+   * @param {object} options.binding - See createCatalogBinding
+   */
+  constructor({ rules = [], binding } = {}) {
+    if (!binding) throw new Error('RulesEngine: binding is required');
+
+    this.binding = binding;
+    this.rules = [];
+
+    // Rules that fired on the previous apply(); auto-select only acts when a rule starts firing,
+    // so users can still deselect an auto-selected option afterwards.
+    this._firedRuleIds = new Set();
+    this._targetIndex = null;
+
+    this.setRules(rules);
+  }
+
+  setRules(rules) {
+    this.rules = Array.isArray(rules) ? rules.filter((rule) => rule && rule.isActive !== false) : [];
+    this._firedRuleIds.clear();
+  }
+
+  setBinding(binding) {
+    if (!binding) throw new Error('RulesEngine: binding is required');
+    this.binding = binding;
+    this._targetIndex = null;
+    this._firedRuleIds.clear();
+  }
+
+  reset() {
+    this._firedRuleIds.clear();
+  }
+
+  /**
+   * Treat the rules firing for `state` as already applied, so auto-select won't
+   * re-add options the state deliberately leaves out (e.g. a restored share link).
+   * Hide/require are still enforced by the next apply().
+   */
+  prime(state) {
+    this._firedRuleIds = new Set(this.evaluate(state).fired.map((rule) => rule.id));
+  }
+
+  /**
+   * Map of target key -> component id -> option keys that stand for the target.
+   * A target is hidden when some component has every one of its options for that
+   * target hidden (e.g. only_show keeps one LED variant visible, so the LED stays).
+   */
+  getTargetIndex() {
+    if (this._targetIndex) return this._targetIndex;
+
+    const index = new Map();
+    this.binding.components().forEach((componentId) => {
+      this.binding.optionsOf(componentId).forEach((optionId) => {
+        this.binding.targetsOf(componentId, optionId).forEach(({ group, id }) => {
+          const key = targetKey(group, id);
+          if (!index.has(key)) index.set(key, new Map());
+          const byComponent = index.get(key);
+          if (!byComponent.has(componentId)) byComponent.set(componentId, []);
+          byComponent.get(componentId).push(optionKey(componentId, optionId));
+        });
+      });
+    });
+
+    this._targetIndex = index;
+    return index;
+  }
+
+  /**
+   * Evaluate rules against a state without changing it.
+   *
+   * Every hidden / required / auto-selected target carries the reasons behind it:
+   * `{ ruleId, ruleName, action, triggers: [{ componentId, optionId, label }] }`,
+   * where `triggers` are the rule triggers that matched the state.
+   *
+   * @param {object} state - Configuration state (see js/core.js)
+   * @returns {{fired: {id: string, name: string, triggers: object[]}[], hidden: Map<string, object[]>, required: Map<string, object[]>, autoSelected: Map<string, object[]>}}
+   *   Each map goes from target key to its reasons.
+   */
+  evaluate(state) {
+    const isSelected = (componentId, optionId) => this.binding.isSelected(state, componentId, optionId);
+    const describe = (componentId, optionId) => this.binding.describe?.(componentId, optionId) || '';
+
+    const fired = [];
+    this.rules.forEach((rule) => {
+      const matched = matchRule(rule, isSelected);
+      if (!matched) return;
+      fired.push({
+        id: rule.id,
+        name: rule.name,
+        actions: rule.actions || [],
+        triggers: matched.map((trigger) => ({
+          componentId: trigger.triggerComponentId,
+          optionId: trigger.triggerOptionId || '',
+          label: describe(trigger.triggerComponentId, trigger.triggerOptionId || '')
+        }))
+      });
+    });
+
+    // option key -> rule id -> reason
+    const hiddenOptions = new Map();
+    const shownOptions = new Map();
+    const requiredOptions = new Map();
+    const autoSelectOptions = new Map();
+    const mark = (map, key, reason) => {
+      if (!map.has(key)) map.set(key, new Map());
+      map.get(key).set(reason.ruleId, reason);
+    };
+
+    fired.forEach((rule) => {
+      rule.actions.forEach((action) => {
+        const componentId = action.affectedComponentId;
+        const allOptions = this.binding.optionsOf(componentId);
+        const listed = Array.isArray(action.affectedOptionIds) && action.affectedOptionIds.length > 0
+          ? action.affectedOptionIds
+          : null;
+        const reason = { ruleId: rule.id, ruleName: rule.name, action: action.action, triggers: rule.triggers };
+        const markAll = (map, optionIds) => optionIds.forEach((optionId) => mark(map, optionKey(componentId, optionId), reason));
+
+        switch (action.action) {
+          case ACTION_HIDE:
+            markAll(hiddenOptions, listed || allOptions);
+            break;
+          case ACTION_ONLY_SHOW:
+            markAll(hiddenOptions, allOptions.filter((optionId) => !listed?.includes(optionId)));
+            break;
+          case ACTION_SHOW:
+            markAll(shownOptions, listed || allOptions);
+            break;
+          case ACTION_AUTO_SELECT:
+            markAll(autoSelectOptions, listed || []);
+            break;
+          case ACTION_REQUIRE:
+            markAll(requiredOptions, listed || []);
+            break;
+          default:
+            break;
+        }
+      });
+    });
+
+    const isOptionHidden = (key) => hiddenOptions.has(key) && !shownOptions.has(key) && !requiredOptions.has(key);
+    const reasonsFor = (map, optionKeys) => {
+      const reasons = new Map();
+      optionKeys.forEach((key) => map.get(key)?.forEach((reason, ruleId) => reasons.set(ruleId, reason)));
+      return [...reasons.values()];
+    };
+
+    const hidden = new Map();
+    const required = new Map();
+    const autoSelected = new Map();
+    this.getTargetIndex().forEach((byComponent, key) => {
+      const optionKeys = [...byComponent.values()].flat();
+      const hidingComponents = [...byComponent.values()].filter((keys) => keys.every(isOptionHidden));
+      if (hidingComponents.length > 0) hidden.set(key, reasonsFor(hiddenOptions, hidingComponents.flat()));
+
+      const requiredBy = reasonsFor(requiredOptions, optionKeys);
+      if (requiredBy.length > 0) required.set(key, requiredBy);
+
+      const autoSelectedBy = reasonsFor(autoSelectOptions, optionKeys);
+      if (autoSelectedBy.length > 0) autoSelected.set(key, autoSelectedBy);
+    });
+
+    return {
+      fired: fired.map(({ id, name, triggers }) => ({ id, name, triggers })),
+      hidden,
+      required,
+      autoSelected
+    };
+  }
+
+  /**
+   * Evaluate rules and change the state until it satisfies them: hidden options
+   * are deselected, required options selected, and options auto-selected by a
+   * newly firing rule selected.
+   *
+   * @param {object} state - Configuration state (mutated)
+   * @returns {ReturnType<RulesEngine['evaluate']>}
+   */
+  apply(state) {
+    const previouslyFired = this._firedRuleIds;
+    let result = this.evaluate(state);
+
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      if (!this.enforce(state, result, previouslyFired)) break;
+      result = this.evaluate(state);
+    }
+
+    this._firedRuleIds = new Set(result.fired.map((rule) => rule.id));
+    return result;
+  }
+
+  /**
+   * @returns {boolean} true if the state changed
+   */
+  enforce(state, result, previouslyFired = new Set()) {
+    let changed = false;
+
+    const select = (key) => {
+      const { group, id } = parseTargetKey(key);
+      const value = state[group];
+      if (Array.isArray(value)) {
+        if (value.includes(id)) return;
+        state[group] = [...value, id];
+        changed = true;
+      } else if (typeof value === 'string' && value !== id) {
+        state[group] = id;
+        changed = true;
+      }
+    };
+
+    const deselect = (key) => {
+      const { group, id } = parseTargetKey(key);
+      const value = state[group];
+      if (Array.isArray(value)) {
+        if (!value.includes(id)) return;
+        state[group] = value.filter((valueId) => valueId !== id);
+        changed = true;
+      } else if (value === id) {
+        // Single-choice groups can't be empty: fall back to the first visible option.
+        const fallback = [...this.getTargetIndex().keys()]
+          .find((candidate) => candidate.startsWith(`${group}:`) && !result.hidden.has(candidate));
+        if (fallback) {
+          state[group] = parseTargetKey(fallback).id;
+          changed = true;
+        }
+      }
+    };
+
+    result.hidden.forEach((reasons, key) => deselect(key));
+    result.required.forEach((reasons, key) => select(key));
+    result.autoSelected.forEach((reasons, key) => {
+      const newlyFired = reasons.some((reason) => !previouslyFired.has(reason.ruleId));
+      if (newlyFired && !result.hidden.has(key)) select(key);
+    });
+
+    return changed;
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Mopec Equipment Configurator
+ * Saved configurations
+ *
+ * Named configuration snapshots kept in a Web Storage object (localStorage in
+ * the browser). DOM-free: the storage is passed in, so the store also runs in
+ * Node against any object with getItem/setItem.
+ *
+ * Stored under STORAGE_KEY as:
+ *   { version: 1, entries: [{ id, name, state, total, currency, priceBook, thumbnail, savedAt }] }
+ * where `state` is a snapshotConfig() of the store state, `total` the price when saved,
+ * `currency` and `priceBook` what that (net) price is in and was discounted by
+ * (missing on older entries, which were priced with the catalog defaults),
+ * `thumbnail` a data: URL of the 3D view (or null) and `savedAt` an ISO timestamp.
+ */
+
+import { snapshotConfig } from './core.js';
+
+export const STORAGE_KEY = 'mopec.savedConfigurations';
+export const STORAGE_VERSION = 1;
+
+function defaultCreateId() {
+  return `cfg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizeName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) throw new Error('SavedConfigurations: name is required');
+  return trimmed;
+}
+
+function isEntry(entry) {
+  return Boolean(entry) && typeof entry.id === 'string' && typeof entry.name === 'string' &&
+    typeof entry.savedAt === 'string' && Boolean(entry.state) && typeof entry.state === 'object';
+}
+
+/**
+ * @param {Storage} storage - e.g. window.localStorage
+ * @param {object} [options]
+ * @param {() => Date} [options.now]
+ * @param {() => string} [options.createId]
+ */
+export function createSavedConfigurations(storage, { now = () => new Date(), createId = defaultCreateId } = {}) {
+  if (!storage) throw new Error('SavedConfigurations: storage is required');
+
+  function read() {
+    const raw = storage.getItem(STORAGE_KEY);
+    if (!raw) return [];
+    try {
+      const data = JSON.parse(raw);
+      if (data?.version !== STORAGE_VERSION || !Array.isArray(data.entries)) return [];
+      return data.entries.filter(isEntry);
+    } catch {
+      return [];
+    }
+  }
+
+  // Storage quota errors propagate; the caller decides how to tell the user.
+  function write(entries) {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, entries }));
+  }
+
+  function find(entries, id) {
+    const entry = entries.find((candidate) => candidate.id === id);
+    if (!entry) throw new Error(`SavedConfigurations: no saved configuration "${id}"`);
+    return entry;
+  }
+
+  return {
+    /** Newest first. */
+    list() {
+      return read().sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    },
+
+    get(id) {
+      return read().find((entry) => entry.id === id) || null;
+    },
+
+    /**
+     * @param {{name: string, state: object, total: number, currency?: string, priceBook?: string, thumbnail?: string|null}} entry
+     * @returns {object} The stored entry
+     */
+    save({ name, state, total, currency = state.currency ?? null, priceBook = state.priceBook ?? null, thumbnail = null }) {
+      const entry = {
+        id: createId(),
+        name: normalizeName(name),
+        state: snapshotConfig(state),
+        total,
+        currency,
+        priceBook,
+        thumbnail,
+        savedAt: now().toISOString()
+      };
+      write([...read(), entry]);
+      return entry;
+    },
+
+    rename(id, name) {
+      const entries = read();
+      const entry = find(entries, id);
+      entry.name = normalizeName(name);
+      write(entries);
+      return entry;
+    },
+
+    /** Copy of an entry named "<name> (copy)", timestamped now. */
+    duplicate(id) {
+      const entries = read();
+      const source = find(entries, id);
+      const copy = {
+        ...structuredClone(source),
+        id: createId(),
+        name: `${source.name} (copy)`,
+        savedAt: now().toISOString()
+      };
+      write([...entries, copy]);
+      return copy;
+    },
+
+    remove(id) {
+      const entries = read();
+      find(entries, id);
+      write(entries.filter((entry) => entry.id !== id));
+    }
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Mopec Equipment Configurator
+ * Share links
+ *
+ * Encodes a configuration (and optionally the camera view) into a compact,
+ * versioned URL hash and decodes it back, validating every id against the
+ * catalog. DOM-free; app.js applies a decoded link through its normal UI paths.
+ *
+ * Format (version 1):
+ *   #v=1&p=maestro96&f=heightAdjust,secondSink&a=pathCam&s=center&b=legs&cam=5,3,5,0,0.9,0&m=blueprint
+ *
+ *   v    format version (required)
+ *   p    product id (required)
+ *   f    optional (non-included) features, comma separated
+ *   a    accessories, comma separated
+ *   s    sink position
+ *   b    base style
+ *   cam  camera position x,y,z then orbit target x,y,z
+ *   m    view mode ('render' | 'blueprint')
+ */
+
+import {
+  FEATURES,
+  createState,
+  validateConfig
+} from './core.js';
+
+export const SHARE_LINK_VERSION = 1;
+
+const VIEW_MODES = ['render', 'blueprint'];
+
+/** Decimal places kept for camera coordinates. */
+const CAMERA_PRECISION = 2;
+
+function encodeList(ids) {
+  return ids.map(encodeURIComponent).join(',');
+}
+
+function decodeList(value) {
+  return value ? value.split(',').filter(Boolean).map(decodeURIComponent) : [];
+}
+
+function roundCoordinate(value) {
+  const factor = 10 ** CAMERA_PRECISION;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * @param {object} state - Configuration state (see js/core.js)
+ * @param {{position: number[], target: number[], mode?: string}|null} [view] - Camera view
+ * @returns {string} Hash without the leading '#'
+ */
+export function encodeShareLink(state, view = null) {
+  const params = [
+    ['v', SHARE_LINK_VERSION],
+    ['p', encodeURIComponent(state.product)]
+  ];
+
+  // Included features come with every product, so they are left out of the link
+  const features = state.features.filter((id) => !FEATURES[id]?.included);
+  if (features.length > 0) params.push(['f', encodeList(features)]);
+  if (state.accessories.length > 0) params.push(['a', encodeList(state.accessories)]);
+
+  params.push(['s', encodeURIComponent(state.sinkPosition)]);
+  params.push(['b', encodeURIComponent(state.baseStyle)]);
+
+  if (view && view.position && view.target) {
+    params.push(['cam', [...view.position, ...view.target].map(roundCoordinate).join(',')]);
+    if (view.mode) params.push(['m', encodeURIComponent(view.mode)]);
+  }
+
+  return params.map(([key, value]) => `${key}=${value}`).join('&');
+}
+
+/**
+ * Whether a hash looks like a share link (so unrelated anchors are left alone).
+ * @param {string} hash - With or without the leading '#'
+ */
+export function isShareLink(hash) {
+  return /^#?v=/.test(hash || '');
+}
+
+/**
+ * Decode and validate a share link (validateConfig). Nothing is applied; on any
+ * error `state` is null and `errors` lists what was rejected. `warnings` lists
+ * what applying the state would change (e.g. options the rules remove).
+ *
+ * @param {string} hash - With or without the leading '#'
+ * @param {object} [options]
+ * @param {{evaluate: (state: object) => object}} [options.rules] - Rules to check the state against
+ * @returns {{state: object|null, view: {position: number[], target: number[], mode: string|null}|null, errors: string[], warnings: string[]}}
+ */
+export function decodeShareLink(hash, { rules } = {}) {
+  const errors = [];
+  const warnings = [];
+  const params = new Map();
+
+  (hash || '').replace(/^#/, '').split('&').filter(Boolean).forEach((pair) => {
+    const index = pair.indexOf('=');
+    const key = index === -1 ? pair : pair.slice(0, index);
+    params.set(key, index === -1 ? '' : pair.slice(index + 1));
+  });
+
+  const version = Number(params.get('v'));
+  if (version !== SHARE_LINK_VERSION) {
+    return { state: null, view: null, errors: [`Unsupported link version "${params.get('v') ?? ''}"`], warnings };
+  }
+
+  const defaults = createState();
+  // Included features are implied by the link
+  const included = Object.keys(FEATURES).filter((id) => FEATURES[id].included);
+  let candidate;
+  try {
+    candidate = {
+      product: decodeURIComponent(params.get('p') ?? ''),
+      features: [...included, ...decodeList(params.get('f')).filter((id) => !included.includes(id))],
+      accessories: decodeList(params.get('a')),
+      sinkPosition: params.has('s') ? decodeURIComponent(params.get('s')) : defaults.sinkPosition,
+      baseStyle: params.has('b') ? decodeURIComponent(params.get('b')) : defaults.baseStyle
+    };
+  } catch {
+    return { state: null, view: null, errors: ['Link is not correctly encoded'], warnings };
+  }
+
+  if (!candidate.product) {
+    errors.push('Link has no product');
+  } else {
+    const result = validateConfig(candidate, { rules });
+    result.errors.forEach((error) => errors.push(error.message));
+    result.warnings.forEach((warning) => warnings.push(warning.message));
+  }
+
+  let view = null;
+  if (params.has('cam')) {
+    const coordinates = params.get('cam').split(',').map(Number);
+    if (coordinates.length !== 6 || !coordinates.every(Number.isFinite)) {
+      errors.push(`Invalid camera view "${params.get('cam')}"`);
+    } else {
+      view = { position: coordinates.slice(0, 3), target: coordinates.slice(3), mode: null };
+    }
+  }
+  if (params.has('m')) {
+    const mode = params.get('m');
+    if (!VIEW_MODES.includes(mode)) errors.push(`Unknown view mode "${mode}"`);
+    else if (view) view.mode = mode;
+  }
+
+  if (errors.length > 0) return { state: null, view: null, errors, warnings };
+
+  return { state: candidate, view, errors, warnings };
+}
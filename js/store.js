@@ -0,0 +1,354 @@
+/**
+ * Mopec Equipment Configurator
+ * Configuration store
+ *
+ * Observable store holding the configuration state (see js/core.js), the
+ * `currency` and `priceBook` it is priced in, the quote's `stations` (the state
+ * is the configuration of the `activeStation`, see js/quote.js), its delivery
+ * `destination` and `services` (js/estimate.js) and the UI's `currentStep`.
+ * Changes only happen through dispatch(action):
+ *
+ *   1. the reducer applies the action with the js/core.js, js/quote.js and
+ *      js/estimate.js transitions,
+ *   2. processors adjust the result (js/rules-runtime.js registers rules.json),
+ *   3. every subscriber is called with (state, previousState, action).
+ *
+ * States are never mutated; each dispatch that changes something produces a new
+ * object. DOM-free, so it runs in Node too.
+ */
+
+import {
+  PRODUCTS,
+  FEATURES,
+  CATALOG_INFO,
+  createState,
+  selectProduct,
+  toggleFeature,
+  toggleAccessory,
+  setSinkPosition,
+  setBaseStyle,
+  setCurrency,
+  setPriceBook,
+  loadConfig,
+  snapshotConfig,
+  calculateTotal,
+  formatPrice,
+  getConfigSummary,
+  toModelConfig
+} from './core.js';
+import {
+  createStations,
+  getStations,
+  addStation,
+  removeStation,
+  selectStation,
+  renameStation,
+  setStationQuantity,
+  loadQuote,
+  priceQuote
+} from './quote.js';
+import { setDestination, toggleService } from './estimate.js';
+
+export const ActionTypes = Object.freeze({
+  SELECT_PRODUCT: 'product/select',
+  TOGGLE_FEATURE: 'feature/toggle',
+  TOGGLE_ACCESSORY: 'accessory/toggle',
+  SET_SINK_POSITION: 'sinkPosition/set',
+  SET_BASE_STYLE: 'baseStyle/set',
+  SET_CURRENCY: 'currency/set',
+  SET_PRICE_BOOK: 'priceBook/set',
+  ADD_STATION: 'station/add',
+  REMOVE_STATION: 'station/remove',
+  SELECT_STATION: 'station/select',
+  RENAME_STATION: 'station/rename',
+  SET_STATION_QUANTITY: 'stationQuantity/set',
+  SET_DESTINATION: 'destination/set',
+  TOGGLE_SERVICE: 'service/toggle',
+  LOAD_CONFIG: 'config/load',
+  LOAD_QUOTE: 'quote/load',
+  RESET: 'config/reset',
+  ADVANCE_STEP: 'step/advance',
+  RULES_LOADED: 'rules/loaded'
+});
+
+/** Workflow step (1 model ... 5 quote) each kind of change completes. */
+const ACTION_STEPS = {
+  [ActionTypes.SELECT_PRODUCT]: 1,
+  [ActionTypes.TOGGLE_FEATURE]: 2,
+  [ActionTypes.SET_SINK_POSITION]: 3,
+  [ActionTypes.TOGGLE_ACCESSORY]: 4
+};
+
+export const actions = Object.freeze({
+  selectProduct: (productId) => ({ type: ActionTypes.SELECT_PRODUCT, productId }),
+  /** `enabled` omitted flips the feature. */
+  toggleFeature: (featureId, enabled) => ({ type: ActionTypes.TOGGLE_FEATURE, featureId, enabled }),
+  /** `enabled` omitted flips the accessory. */
+  toggleAccessory: (accessoryId, enabled) => ({ type: ActionTypes.TOGGLE_ACCESSORY, accessoryId, enabled }),
+  setSinkPosition: (position) => ({ type: ActionTypes.SET_SINK_POSITION, position }),
+  setBaseStyle: (baseStyle) => ({ type: ActionTypes.SET_BASE_STYLE, baseStyle }),
+  /** Prices only; loading or resetting a configuration keeps the currency. */
+  setCurrency: (currency) => ({ type: ActionTypes.SET_CURRENCY, currency }),
+  /** Prices only, like setCurrency. */
+  setPriceBook: (priceBook) => ({ type: ActionTypes.SET_PRICE_BOOK, priceBook }),
+  /**
+   * Add a station to the quote and edit it.
+   * @param {object} [options]
+   * @param {string} [options.name] - Defaults to "Station <n>"
+   * @param {object} [options.config] - Defaults to a fresh configuration (pass the
+   *   current one to duplicate it)
+   */
+  addStation: ({ name, config } = {}) => ({ type: ActionTypes.ADD_STATION, name, config }),
+  removeStation: (stationId) => ({ type: ActionTypes.REMOVE_STATION, stationId }),
+  /** Edit another station of the quote. */
+  selectStation: (stationId) => ({ type: ActionTypes.SELECT_STATION, stationId }),
+  renameStation: (stationId, name) => ({ type: ActionTypes.RENAME_STATION, stationId, name }),
+  setStationQuantity: (stationId, quantity) => ({ type: ActionTypes.SET_STATION_QUANTITY, stationId, quantity }),
+  /** `destination` is { country, location? } (see resolveDestination in js/estimate.js), or null to clear it. */
+  setDestination: (destination) => ({ type: ActionTypes.SET_DESTINATION, destination }),
+  /** `enabled` omitted flips the service. */
+  toggleService: (serviceId, enabled) => ({ type: ActionTypes.TOGGLE_SERVICE, serviceId, enabled }),
+  /**
+   * Replace the whole configuration (share link, saved configuration, undo).
+   * @param {object} config - Dispatch throws if validateConfig() reports errors for it
+   * @param {object} [options]
+   * @param {string} [options.label] - What the change was, for undo history
+   * @param {number} [options.step] - Workflow step the loaded configuration completes
+   * @param {boolean} [options.history] - false keeps the change out of undo history
+   */
+  loadConfig: (config, { label = 'Load configuration', step, history = true } = {}) => ({
+    type: ActionTypes.LOAD_CONFIG, config, label, step, history
+  }),
+  /**
+   * Replace the whole quote (stations, pricing and delivery), e.g. to revise an issued one.
+   * Kept out of undo history: it is another quote, not a change to this one.
+   * @param {object} quote - See loadQuote in js/quote.js
+   */
+  loadQuote: (quote) => ({ type: ActionTypes.LOAD_QUOTE, quote, history: false }),
+  /** Start the station being edited over; the other stations, pricing and delivery stay. */
+  reset: () => ({ type: ActionTypes.RESET }),
+  advanceStep: (step) => ({ type: ActionTypes.ADVANCE_STEP, step }),
+  rulesLoaded: () => ({ type: ActionTypes.RULES_LOADED })
+});
+
+function withStep(state, step) {
+  return step && step > state.currentStep ? { ...state, currentStep: step } : state;
+}
+
+/**
+ * @throws {Error} Unknown ids or invalid values (from the js/core.js, js/quote.js
+ *   and js/estimate.js transitions)
+ */
+export function configReducer(state, action) {
+  const step = ACTION_STEPS[action.type];
+  switch (action.type) {
+    case ActionTypes.SELECT_PRODUCT:
+      return withStep(selectProduct(state, action.productId), step);
+    case ActionTypes.TOGGLE_FEATURE:
+      return withStep(toggleFeature(state, action.featureId, action.enabled), step);
+    case ActionTypes.TOGGLE_ACCESSORY:
+      return withStep(toggleAccessory(state, action.accessoryId, action.enabled), step);
+    case ActionTypes.SET_SINK_POSITION:
+      return withStep(setSinkPosition(state, action.position), step);
+    case ActionTypes.SET_BASE_STYLE:
+      return setBaseStyle(state, action.baseStyle);
+    case ActionTypes.SET_CURRENCY:
+      return setCurrency(state, action.currency);
+    case ActionTypes.SET_PRICE_BOOK:
+      return setPriceBook(state, action.priceBook);
+    case ActionTypes.ADD_STATION:
+      return addStation(state, { name: action.name, config: action.config });
+    case ActionTypes.REMOVE_STATION:
+      return removeStation(state, action.stationId);
+    case ActionTypes.SELECT_STATION:
+      return selectStation(state, action.stationId);
+    case ActionTypes.RENAME_STATION:
+      return renameStation(state, action.stationId, action.name);
+    case ActionTypes.SET_STATION_QUANTITY:
+      return setStationQuantity(state, action.stationId, action.quantity);
+    case ActionTypes.SET_DESTINATION:
+      return setDestination(state, action.destination);
+    case ActionTypes.TOGGLE_SERVICE:
+      return toggleService(state, action.serviceId, action.enabled);
+    case ActionTypes.LOAD_CONFIG:
+      return withStep(loadConfig(state, action.config), action.step);
+    case ActionTypes.LOAD_QUOTE:
+      return loadQuote(state, action.quote);
+    case ActionTypes.RESET:
+      return {
+        ...createInitialState(),
+        currency: state.currency,
+        priceBook: state.priceBook,
+        stations: state.stations,
+        activeStation: state.activeStation,
+        destination: state.destination,
+        services: state.services
+      };
+    case ActionTypes.ADVANCE_STEP:
+      return withStep(state, action.step);
+    default:
+      return state;
+  }
+}
+
+export function createInitialState() {
+  return {
+    ...createState(),
+    currency: CATALOG_INFO.currency,
+    priceBook: CATALOG_INFO.priceBook,
+    ...createStations(),
+    destination: null,
+    services: [],
+    currentStep: 1
+  };
+}
+
+/** Derived values for store.select() and integrations. */
+export const selectors = Object.freeze({
+  config: (state) => snapshotConfig(state),
+  /** The configuration with the currency and price book it is priced in (what the summary and totals show). */
+  pricedConfig: (state) => ({ ...snapshotConfig(state), currency: state.currency, priceBook: state.priceBook }),
+  product: (state) => PRODUCTS[state.product] || null,
+  step: (state) => state.currentStep,
+  currency: (state) => state.currency,
+  priceBook: (state) => state.priceBook,
+  /** List, discount and net amounts, per line and in total (see calculateTotal in js/config.js). */
+  pricing: (state) => calculateTotal(state),
+  /** What the customer pays (the net amount). */
+  total: (state) => calculateTotal(state).net,
+  formattedTotal: (state) => formatPrice(calculateTotal(state).net, state.currency),
+  summary: (state) => getConfigSummary(state),
+  /** Every station with its configuration (see getStations in js/quote.js). */
+  stations: (state) => getStations(state),
+  activeStation: (state) => state.activeStation,
+  /** All stations priced, with the volume discount and grand total (see priceQuote in js/quote.js). */
+  quote: (state) => priceQuote(state),
+  /** What the whole quote comes to with services, freight and tax. */
+  formattedQuoteTotal: (state) => priceQuote(state).formattedGrandTotal,
+  destination: (state) => state.destination,
+  services: (state) => state.services,
+  optionalFeatureCount: (state) => state.features.filter((id) => !FEATURES[id]?.included).length,
+  accessoryCount: (state) => state.accessories.length,
+  modelConfig: (state) => toModelConfig(state)
+});
+
+/** Structural equality for plain data (what selectors return). */
+export function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.state] - Initial state (defaults to createInitialState())
+ * @param {(state: object, action: object) => object} [options.reducer]
+ */
+export function createStore({ state = createInitialState(), reducer = configReducer } = {}) {
+  let current = state;
+  const processors = [];
+  const listeners = new Set();
+
+  // Actions dispatched by a subscriber run after every subscriber has seen the current one
+  const queue = [];
+  let notifying = false;
+
+  function notify(previous, action) {
+    notifying = true;
+    try {
+      listeners.forEach((listener) => {
+        try {
+          listener(current, previous, action);
+        } catch (err) {
+          // One broken subscriber (e.g. a third-party integration) must not stop the others
+          console.error(`Store: subscriber failed on "${action.type}"`, err);
+        }
+      });
+    } finally {
+      notifying = false;
+    }
+  }
+
+  function run(action) {
+    const previous = current;
+    let next = reducer(current, action);
+    processors.forEach((processor) => {
+      next = processor(next, action, previous) || next;
+    });
+    current = next;
+    notify(previous, action);
+  }
+
+  const store = {
+    getState() {
+      return current;
+    },
+
+    /**
+     * @param {{type: string}} action - See `actions`
+     * @returns {object} The state after the action (and any it queued)
+     * @throws {Error} Malformed action, or unknown ids from the reducer
+     */
+    dispatch(action) {
+      if (!action || typeof action.type !== 'string') throw new Error('Store: actions need a string "type"');
+      if (notifying) {
+        queue.push(action);
+        return current;
+      }
+
+      run(action);
+      while (queue.length > 0) run(queue.shift());
+      return current;
+    },
+
+    /**
+     * Called after every dispatch with (state, previousState, action).
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Called with (value, previousValue, action) when `selector(state)` changes,
+     * and once right away with the current value (previousValue undefined, action null).
+     * @param {(state: object) => any} selector
+     * @param {(value: any, previousValue: any, action: object|null) => void} listener
+     * @param {object} [options]
+     * @param {(a: any, b: any) => boolean} [options.equals] - Defaults to isEqual
+     * @returns {() => void} Unsubscribe
+     */
+    select(selector, listener, { equals = isEqual } = {}) {
+      let selected = selector(current);
+      listener(selected, undefined, null);
+      return store.subscribe((state, previous, action) => {
+        const value = selector(state);
+        if (equals(value, selected)) return;
+        const previousValue = selected;
+        selected = value;
+        listener(value, previousValue, action);
+      });
+    },
+
+    /**
+     * Adjust every new state before subscribers see it, e.g. to apply rules.
+     * @param {(state: object, action: object, previousState: object) => object} processor
+     *   Returns the adjusted state (a new object; the one passed in must not be mutated).
+     * @returns {() => void} Remove the processor
+     */
+    addProcessor(processor) {
+      processors.push(processor);
+      return () => {
+        const index = processors.indexOf(processor);
+        if (index !== -1) processors.splice(index, 1);
+      };
+    }
+  };
+
+  return store;
+}
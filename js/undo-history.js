@@ -0,0 +1,79 @@
+/**
+ * Mopec Equipment Configurator
+ * Undo / redo history
+ *
+ * Each configuration change is recorded as a reversible command holding the
+ * configuration before and after it (snapshotConfig() shape, see js/core.js):
+ * undo applies `before`, redo applies `after`. Snapshots are taken after the
+ * rules ran, so undoing also brings back options a change stripped (e.g. the
+ * second sink when leaving the 96" model). DOM-free; app.js applies them.
+ */
+
+/** Commands kept before the oldest is dropped. */
+export const DEFAULT_LIMIT = 100;
+
+function sameIds(a, b) {
+  return a.length === b.length && a.every((id) => b.includes(id));
+}
+
+/** Whether two configurations are equal (list order ignored). */
+export function sameConfig(a, b) {
+  return a.product === b.product &&
+    a.sinkPosition === b.sinkPosition &&
+    a.baseStyle === b.baseStyle &&
+    sameIds(a.features, b.features) &&
+    sameIds(a.accessories, b.accessories);
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.limit]
+ */
+export function createUndoHistory({ limit = DEFAULT_LIMIT } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+
+  return {
+    /**
+     * Record a change; a new change clears the redo stack.
+     * @param {{label: string, before: object, after: object}} command
+     * @returns {boolean} false if the change was a no-op and nothing was recorded
+     */
+    record({ label, before, after }) {
+      if (sameConfig(before, after)) return false;
+      undoStack.push({ label, before, after });
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack.length = 0;
+      return true;
+    },
+
+    /** @returns {{label: string, before: object, after: object}|null} The command to reverse */
+    undo() {
+      const command = undoStack.pop() || null;
+      if (command) redoStack.push(command);
+      return command;
+    },
+
+    /** @returns {{label: string, before: object, after: object}|null} The command to re-apply */
+    redo() {
+      const command = redoStack.pop() || null;
+      if (command) undoStack.push(command);
+      return command;
+    },
+
+    /** Next command undo() would return, without moving it. */
+    peekUndo() {
+      return undoStack[undoStack.length - 1] || null;
+    },
+
+    /** Next command redo() would return, without moving it. */
+    peekRedo() {
+      return redoStack[redoStack.length - 1] || null;
+    },
+
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    }
+  };
+}
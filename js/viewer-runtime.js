@@ -7,6 +7,7 @@
  */
 
 import { MopecViewer } from './viewer.js';
+import { catalog } from './core.js';
 
 function getRequiredElement(id) {
   const el = document.getElementById(id);
@@ -27,7 +28,8 @@ const rotateBtn = document.getElementById('rotate-btn');
 const viewer = new MopecViewer({
   container,
   canvas,
-  loadingIndicator
+  loadingIndicator,
+  catalog
 });
 
 // Match the default active state in the UI ("Front" + "Render").
@@ -56,6 +58,43 @@ window.setViewMode = function setViewMode(mode) {
   if (dimensionOverlay) dimensionOverlay.classList.toggle('hidden', !isBlueprint);
 };
 
+window.getCameraView = function getCameraView() {
+  return viewer.getCameraView();
+};
+
+// Restores a shared view; the preset buttons no longer describe the camera.
+window.setCameraView = function setCameraView(view) {
+  viewer.setCameraView({ position: view.position, target: view.target });
+  setActiveWithin('[data-view]', null);
+  if (view.mode) window.setViewMode(view.mode);
+};
+
+// Downscaled JPEG of the current view for saved configurations (null if the canvas can't be read).
+window.captureViewerThumbnail = function captureViewerThumbnail(maxWidth = 320) {
+  if (!canvas.width || !canvas.height) return null;
+  try {
+    const scale = Math.min(1, maxWidth / canvas.width);
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = Math.round(canvas.width * scale);
+    thumbnail.height = Math.round(canvas.height * scale);
+    const ctx = thumbnail.getContext('2d');
+    // The WebGL canvas is transparent; JPEG would turn that black.
+    ctx.fillStyle = '#f1f5f9';
+    ctx.fillRect(0, 0, thumbnail.width, thumbnail.height);
+    ctx.drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+    return thumbnail.toDataURL('image/jpeg', 0.8);
+  } catch {
+    return null;
+  }
+};
+
+// Extra small viewers (the compare view); the caller disposes them when done.
+window.createPreviewViewer = function createPreviewViewer(previewContainer, previewCanvas, modelConfig) {
+  const preview = new MopecViewer({ container: previewContainer, canvas: previewCanvas, catalog });
+  preview.update(modelConfig);
+  return preview;
+};
+
 window.zoomIn = function zoomIn() {
   viewer.zoomIn();
 };
@@ -9,6 +9,7 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { resolveOptions } from './option-constraints.js';
 
 /**
  * Camera presets tuned for the procedural model scale used here.
@@ -40,9 +41,54 @@ export const DEFAULT_MODEL_CONFIG = Object.freeze({
   hasDrawers: false,
   hasLedStrip: false,
   hasPegboardWing: false,
-  hasFormalinDispenser: false
+  hasFormalinDispenser: false,
+  hasCassetteShelf: false,
+  hasVentilatedTrash: false,
+  hasKeyboardTray: false,
+  hasSplashShield: false
 });
 
+/**
+ * The catalog option each optional part stands for (the flags toModelConfig() in
+ * js/core.js sets).
+ */
+export const MODEL_OPTIONS = Object.freeze({
+  hasHeightAdjust: { group: 'features', id: 'heightAdjust' },
+  hasFrontAirSystem: { group: 'features', id: 'frontAirSystem' },
+  hasFormalinDetection: { group: 'features', id: 'formalinDetection' },
+  hasDowndraftVent: { group: 'features', id: 'downdraftVent' },
+  hasDisposal: { group: 'features', id: 'disposal' },
+  hasSecondSink: { group: 'features', id: 'secondSink' },
+  hasPathCam: { group: 'accessories', id: 'pathCam' },
+  hasMonitorArm: { group: 'accessories', id: 'monitorArm' },
+  hasMagnetBar: { group: 'accessories', id: 'magnetBar' },
+  hasDrawers: { group: 'accessories', id: 'drawerSystem' },
+  hasLedStrip: { group: 'accessories', id: 'ledLightStrip' },
+  hasPegboardWing: { group: 'accessories', id: 'pegboardWing' },
+  hasFormalinDispenser: { group: 'accessories', id: 'formalinDispenser' },
+  hasCassetteShelf: { group: 'accessories', id: 'cassetteShelf' },
+  hasVentilatedTrash: { group: 'accessories', id: 'ventilatedTrash' },
+  hasKeyboardTray: { group: 'accessories', id: 'keyboardTray' },
+  hasSplashShield: { group: 'accessories', id: 'splashShield' }
+});
+
+// `config` with only the parts js/option-constraints.js allows on the catalog product of its
+// width (a width no product has takes no option limited by availableOn)
+function constrainModelConfig(catalog, config) {
+  const product = Object.values(catalog.PRODUCTS || {}).find((entry) => entry.modelWidth === config.width);
+  const state = { product: product?.id ?? null, sinkPosition: config.sinkPosition, baseStyle: config.baseStyle, features: [], accessories: [] };
+  Object.entries(MODEL_OPTIONS).forEach(([flag, { group, id }]) => {
+    if (config[flag]) state[group].push(id);
+  });
+
+  const allowed = resolveOptions(catalog, state);
+  const next = { ...config };
+  Object.entries(MODEL_OPTIONS).forEach(([flag, { group, id }]) => {
+    next[flag] = Boolean(config[flag]) && allowed[group].includes(id);
+  });
+  return next;
+}
+
 function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
@@ -190,20 +236,52 @@ function getSinkXForPosition(position, tableWidth) {
   }
 }
 
+/**
+ * Centers of the sinks actually drawn (see createSinkAssembly): none, one, or a
+ * left + right pair for dual-sink configs.
+ */
+function getSinkXs(modelConfig, tableWidth) {
+  const position = modelConfig.sinkPosition;
+  if (position === 'none') return [];
+
+  const wantsDualSink = modelConfig.hasSecondSink;
+  if (!wantsDualSink) return [getSinkXForPosition(position, tableWidth)];
+  if (position === 'center') return [getSinkXForPosition('left', tableWidth), getSinkXForPosition('right', tableWidth)];
+  const secondPosition = position === 'left' ? 'right' : 'left';
+  return [getSinkXForPosition(position, tableWidth), getSinkXForPosition(secondPosition, tableWidth)];
+}
+
+/**
+ * Center of the dry work area: whichever of center / left end / right end is
+ * farthest from every sink (center when there is no sink).
+ */
+function getWorkAreaX(modelConfig, tableWidth) {
+  const sinkXs = getSinkXs(modelConfig, tableWidth);
+  const candidates = [0, getSinkXForPosition('left', tableWidth), getSinkXForPosition('right', tableWidth)];
+  const clearance = (x) => Math.min(...sinkXs.map((sinkX) => Math.abs(sinkX - x)));
+  return candidates.reduce((best, x) => (clearance(x) > clearance(best) ? x : best), candidates[0]);
+}
+
 export class MopecViewer {
   /**
    * @param {object} options
    * @param {HTMLElement} options.container
    * @param {HTMLCanvasElement} options.canvas
    * @param {HTMLElement=} options.loadingIndicator
+   * @param {boolean=} options.headless - Build and validate the model only (no renderer,
+   *   camera or DOM); used by the Node test harness.
+   * @param {object=} options.catalog - The catalog (window.MopecConfig shape) whose option
+   *   constraints every update() is held to, e.g. no second sink below 96"
    */
-  constructor({ container, canvas, loadingIndicator } = {}) {
-    if (!container) throw new Error('MopecViewer: container is required');
-    if (!canvas) throw new Error('MopecViewer: canvas is required');
+  constructor({ container, canvas, loadingIndicator, headless = false, catalog = null } = {}) {
+    if (!headless && !container) throw new Error('MopecViewer: container is required');
+    if (!headless && !canvas) throw new Error('MopecViewer: canvas is required');
 
-    this.container = container;
-    this.canvas = canvas;
+    this.container = container ?? null;
+    this.canvas = canvas ?? null;
     this.loadingIndicator = loadingIndicator ?? null;
+    this.headless = headless;
+    this.catalog = catalog;
 
     this.scene = null;
     this.camera = null;
@@ -216,6 +294,7 @@ export class MopecViewer {
     this.autoRotate = false;
 
     this._animationId = null;
+    this._viewAnimationId = null;
     this._handleResize = null;
 
     this._materials = createMaterials();
@@ -234,7 +313,12 @@ export class MopecViewer {
 
     this._originalMaterials = {};
 
-    this.init();
+    if (headless) {
+      this.scene = new THREE.Scene();
+      this.rebuild();
+    } else {
+      this.init();
+    }
   }
 
   init() {
@@ -367,10 +451,9 @@ export class MopecViewer {
     next.baseStyle = isOneOf(next.baseStyle, ['pedestal', 'legs']) ? next.baseStyle : 'pedestal';
     next.sinkPosition = isOneOf(next.sinkPosition, ['left', 'center', 'right', 'none']) ? next.sinkPosition : 'left';
 
-    // Safety: second sink only on 96" models.
-    if (next.width < 96) next.hasSecondSink = false;
-
-    this.modelConfig = next;
+    // Callers of window.update3DModel() needn't go through toModelConfig(), so the catalog
+    // constraints are applied here as well
+    this.modelConfig = this.catalog ? constrainModelConfig(this.catalog, next) : next;
     this.rebuild();
   }
 
@@ -400,15 +483,23 @@ export class MopecViewer {
     this.validateModel();
   }
 
+  /**
+   * Lightweight sanity checks to ensure optional parts render when enabled and
+   * don’t end up far off the station.
+   *
+   * This intentionally logs warnings (doesn’t throw) so the UI keeps working
+   * even if a part is missing. Headless viewers only collect them.
+   *
+   * @returns {string[]} Problems found
+   */
   validateModel() {
-    /**
-     * Lightweight sanity checks to ensure optional parts render when enabled and
-     * don’t end up far off the station.
-     *
-     * This intentionally logs warnings (doesn’t throw) so the UI keeps working
-     * even if a part is missing.
-     */
-    if (!this.model) return;
+    const issues = [];
+    const warn = (message) => {
+      issues.push(message);
+      if (!this.headless) console.warn(`[MopecViewer] ${message}`);
+    };
+
+    if (!this.model) return issues;
 
     const expected = new Set([
       'tableTop',
@@ -424,7 +515,7 @@ export class MopecViewer {
     const cfg = this.modelConfig;
     if (cfg.sinkPosition !== 'none') expected.add('sink');
     if (cfg.sinkPosition !== 'none' && cfg.hasDisposal) expected.add('disposal');
-    if (cfg.width >= 96 && cfg.hasSecondSink && cfg.sinkPosition !== 'none') expected.add('secondSink');
+    if (cfg.hasSecondSink && cfg.sinkPosition !== 'none') expected.add('secondSink');
 
     if (cfg.hasPegboardWing) expected.add('pegboardWing');
     if (cfg.hasLedStrip) expected.add('ledStrip');
@@ -438,6 +529,10 @@ export class MopecViewer {
     if (cfg.hasDrawers) expected.add('drawers');
     if (cfg.hasPathCam) expected.add('pathCam');
     if (cfg.hasFormalinDispenser && cfg.sinkPosition !== 'none') expected.add('formalinDispenser');
+    if (cfg.hasCassetteShelf) expected.add('cassetteShelf');
+    if (cfg.hasVentilatedTrash) expected.add('ventilatedTrash');
+    if (cfg.hasKeyboardTray) expected.add('keyboardTray');
+    if (cfg.hasSplashShield) expected.add('splashShield');
 
     const rootBox = new THREE.Box3().setFromObject(this.model);
     const maxRadius = Math.max(Math.abs(rootBox.min.x), Math.abs(rootBox.max.x)) + 0.5;
@@ -445,21 +540,23 @@ export class MopecViewer {
     expected.forEach((name) => {
       const obj = this.model.getObjectByName(name);
       if (!obj) {
-        console.warn(`[MopecViewer] Missing expected part: ${name}`);
+        warn(`Missing expected part: ${name}`);
         return;
       }
       const box = new THREE.Box3().setFromObject(obj);
       const center = box.getCenter(new THREE.Vector3());
       if (box.min.y < -0.2) {
-        console.warn(`[MopecViewer] Part "${name}" below ground: minY=${box.min.y.toFixed(3)}`);
+        warn(`Part "${name}" below ground: minY=${box.min.y.toFixed(3)}`);
       }
       if (Math.abs(center.x) > maxRadius * 1.2) {
-        console.warn(`[MopecViewer] Part "${name}" far from station center: x=${center.x.toFixed(3)}`);
+        warn(`Part "${name}" far from station center: x=${center.x.toFixed(3)}`);
       }
       if (Math.abs(center.z) > 2.5) {
-        console.warn(`[MopecViewer] Part "${name}" far in depth: z=${center.z.toFixed(3)}`);
+        warn(`Part "${name}" far in depth: z=${center.z.toFixed(3)}`);
       }
     });
+
+    return issues;
   }
 
   createMaestroModel() {
@@ -606,6 +703,26 @@ export class MopecViewer {
         group.add(dispenser);
       }
     }
+    if (this.modelConfig.hasCassetteShelf) {
+      const shelf = this.createCassetteShelf(tableWidth);
+      shelf.name = 'cassetteShelf';
+      group.add(shelf);
+    }
+    if (this.modelConfig.hasVentilatedTrash) {
+      const trash = this.createVentilatedTrash(tableWidth);
+      trash.name = 'ventilatedTrash';
+      group.add(trash);
+    }
+    if (this.modelConfig.hasKeyboardTray) {
+      const tray = this.createKeyboardTray(tableWidth);
+      tray.name = 'keyboardTray';
+      group.add(tray);
+    }
+    if (this.modelConfig.hasSplashShield) {
+      const shield = this.createSplashShield(tableWidth);
+      shield.name = 'splashShield';
+      group.add(shield);
+    }
 
     // ---- BRANDING ACCENT ----
     const accentGeometry = new THREE.BoxGeometry(0.02, 0.6, 0.02);
@@ -628,7 +745,7 @@ export class MopecViewer {
 
     const { outerW, outerH, outerD, innerW, innerH, innerD } = getSinkDims(this.modelConfig.width);
 
-    const wantsDualSink = this.modelConfig.hasSecondSink && this.modelConfig.width >= 96;
+    const wantsDualSink = this.modelConfig.hasSecondSink;
 
     // Special case: dual-sink configs with "center" selected should render a symmetric left + right pair
     // instead of a center + right overlap.
@@ -1060,7 +1177,7 @@ export class MopecViewer {
   createFormalinDispenser(tableWidth) {
     const m = this._materials;
     const position = this.modelConfig.sinkPosition;
-    const wantsDualSink = this.modelConfig.hasSecondSink && this.modelConfig.width >= 96;
+    const wantsDualSink = this.modelConfig.hasSecondSink;
     const anchorPosition = wantsDualSink && position === 'center' ? 'left' : position;
     const sinkX = getSinkXForPosition(anchorPosition, tableWidth);
 
@@ -1084,6 +1201,141 @@ export class MopecViewer {
     return dispGroup;
   }
 
+  // Pegboard-mounted shelf over the dry work area, above the control panel
+  createCassetteShelf(tableWidth) {
+    const m = this._materials;
+    const shelfGroup = new THREE.Group();
+    const x = getWorkAreaX(this.modelConfig, tableWidth);
+    const shelfW = clamp(tableWidth * 0.22, 0.45, 0.8);
+
+    const shelfGeometry = new THREE.BoxGeometry(shelfW, 0.02, 0.14);
+    const shelf = new THREE.Mesh(shelfGeometry, m.stainlessSteel);
+    shelf.position.set(x, 1.5, -0.385);
+    shelf.castShadow = true;
+    shelfGroup.add(shelf);
+
+    const lipGeometry = new THREE.BoxGeometry(shelfW, 0.04, 0.01);
+    const lip = new THREE.Mesh(lipGeometry, m.brushedSteel);
+    lip.position.set(x, 1.52, -0.315);
+    shelfGroup.add(lip);
+
+    // Row of cassettes, as many as fit the shelf
+    const cassetteGeometry = new THREE.BoxGeometry(0.035, 0.05, 0.08);
+    const cassetteCount = Math.floor((shelfW - 0.06) / 0.05);
+    const cassettes = new THREE.InstancedMesh(cassetteGeometry, m.mopecBlue, cassetteCount);
+    const tmp = new THREE.Object3D();
+    for (let i = 0; i < cassetteCount; i++) {
+      tmp.position.set(x - (cassetteCount - 1) * 0.025 + i * 0.05, 1.535, -0.39);
+      tmp.updateMatrix();
+      cassettes.setMatrixAt(i, tmp.matrix);
+    }
+    cassettes.instanceMatrix.needsUpdate = true;
+    shelfGroup.add(cassettes);
+
+    return shelfGroup;
+  }
+
+  // Under-counter bin behind the drawers with a chute in the work surface; kept
+  // clear of the pedestal column
+  createVentilatedTrash(tableWidth) {
+    const m = this._materials;
+    const trashGroup = new THREE.Group();
+    const workX = getWorkAreaX(this.modelConfig, tableWidth);
+    const x = workX === 0 ? tableWidth * 0.25 : workX;
+
+    const binGeometry = new THREE.BoxGeometry(0.3, 0.6, 0.25);
+    const bin = new THREE.Mesh(binGeometry, m.stainlessSteel);
+    bin.position.set(x, 0.4, -0.3);
+    bin.castShadow = true;
+    trashGroup.add(bin);
+
+    const slatGeometry = new THREE.BoxGeometry(0.22, 0.012, 0.005);
+    for (let i = 0; i < 5; i++) {
+      const slat = new THREE.Mesh(slatGeometry, m.darkSteel);
+      slat.position.set(x, 0.5 + i * 0.04, -0.173);
+      trashGroup.add(slat);
+    }
+
+    const ductGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.2, 16);
+    const duct = new THREE.Mesh(ductGeometry, m.brushedSteel);
+    duct.position.set(x, 0.8, -0.36);
+    trashGroup.add(duct);
+
+    const chuteGeometry = new THREE.BoxGeometry(0.22, 0.01, 0.1);
+    const chute = new THREE.Mesh(chuteGeometry, m.darkSteel);
+    chute.position.set(x, 0.995, -0.34);
+    trashGroup.add(chute);
+
+    return trashGroup;
+  }
+
+  // Pull-out tray under the front edge of the work area
+  createKeyboardTray(tableWidth) {
+    const m = this._materials;
+    const trayGroup = new THREE.Group();
+    const x = getWorkAreaX(this.modelConfig, tableWidth);
+    const trayW = clamp(tableWidth * 0.2, 0.5, 0.65);
+
+    const trayGeometry = new THREE.BoxGeometry(trayW, 0.02, 0.3);
+    const tray = new THREE.Mesh(trayGeometry, m.brushedSteel);
+    tray.position.set(x, 0.84, 0.55);
+    tray.castShadow = true;
+    trayGroup.add(tray);
+
+    const railGeometry = new THREE.BoxGeometry(0.02, 0.03, 0.45);
+    [-1, 1].forEach((side) => {
+      const rail = new THREE.Mesh(railGeometry, m.darkSteel);
+      rail.position.set(x + side * (trayW / 2 - 0.01), 0.865, 0.4);
+      trayGroup.add(rail);
+    });
+
+    const keyboardGeometry = new THREE.BoxGeometry(0.4, 0.02, 0.13);
+    const keyboard = new THREE.Mesh(keyboardGeometry, m.plastic);
+    keyboard.position.set(x - 0.05, 0.86, 0.55);
+    trayGroup.add(keyboard);
+
+    const mouseGeometry = new THREE.BoxGeometry(0.05, 0.02, 0.08);
+    const mouse = new THREE.Mesh(mouseGeometry, m.plastic);
+    mouse.position.set(x + trayW / 2 - 0.06, 0.86, 0.55);
+    trayGroup.add(mouse);
+
+    return trayGroup;
+  }
+
+  // Clear panel on the front edge in front of each sink (over the dissection
+  // area when there is none)
+  createSplashShield(tableWidth) {
+    const m = this._materials;
+    const shieldGroup = new THREE.Group();
+    const { outerW } = getSinkDims(this.modelConfig.width);
+    const sinkXs = getSinkXs(this.modelConfig, tableWidth);
+    const panels = sinkXs.length > 0
+      ? sinkXs.map((x) => ({ x, width: outerW + 0.1 }))
+      : [{ x: tableWidth * 0.15, width: tableWidth * 0.4 }];
+
+    const panelH = 0.35;
+    const postGeometry = new THREE.CylinderGeometry(0.01, 0.01, panelH, 12);
+    panels.forEach(({ x, width }) => {
+      const panelGeometry = new THREE.BoxGeometry(width, panelH, 0.01);
+      const panel = new THREE.Mesh(panelGeometry, m.glass);
+      panel.position.set(x, 0.99 + panelH / 2, 0.4);
+      shieldGroup.add(panel);
+
+      const railGeometry = new THREE.BoxGeometry(width, 0.015, 0.02);
+      const rail = new THREE.Mesh(railGeometry, m.brushedSteel);
+      rail.position.set(x, 0.99 + panelH, 0.4);
+      shieldGroup.add(rail);
+
+      [-1, 1].forEach((side) => {
+        const post = new THREE.Mesh(postGeometry, m.brushedSteel);
+        post.position.set(x + side * width / 2, 0.99 + panelH / 2, 0.4);
+        shieldGroup.add(post);
+      });
+    });
+
+    return shieldGroup;
+  }
+
   createFrontAirSystem(tableWidth) {
     const m = this._materials;
     const fasGroup = new THREE.Group();
@@ -1232,10 +1484,43 @@ export class MopecViewer {
       );
       this.camera.lookAt(this.controls.target);
       this.controls.update();
-      if (progress < 1) requestAnimationFrame(tick);
+      this._viewAnimationId = progress < 1 ? requestAnimationFrame(tick) : null;
     };
 
-    requestAnimationFrame(tick);
+    this.cancelViewAnimation();
+    this._viewAnimationId = requestAnimationFrame(tick);
+  }
+
+  cancelViewAnimation() {
+    if (this._viewAnimationId) cancelAnimationFrame(this._viewAnimationId);
+    this._viewAnimationId = null;
+  }
+
+  /**
+   * Current camera position, orbit target and view mode (null when headless).
+   * @returns {{position: number[], target: number[], mode: string}|null}
+   */
+  getCameraView() {
+    if (!this.camera || !this.controls) return null;
+    return {
+      position: this.camera.position.toArray(),
+      target: this.controls.target.toArray(),
+      mode: this.viewMode
+    };
+  }
+
+  /**
+   * Jump (without animating) to a view from getCameraView().
+   * @param {{position: number[], target: number[], mode?: string}} view
+   */
+  setCameraView({ position, target, mode } = {}) {
+    if (!this.camera || !this.controls) return;
+    this.cancelViewAnimation();
+    if (target) this.controls.target.fromArray(target);
+    if (position) this.camera.position.fromArray(position);
+    this.camera.lookAt(this.controls.target);
+    this.controls.update();
+    if (mode) this.setViewMode(mode);
   }
 
   setViewMode(mode) {
@@ -1250,7 +1535,7 @@ export class MopecViewer {
     this.model.traverse((child) => {
       if (child.isMesh) child.material = this._blueprintMaterial;
     });
-    this.renderer.setClearColor(0xffffff, 1);
+    this.renderer?.setClearColor(0xffffff, 1);
   }
 
   applyRenderMode() {
@@ -1260,7 +1545,7 @@ export class MopecViewer {
         child.material = this._originalMaterials[child.uuid];
       }
     });
-    this.renderer.setClearColor(0x000000, 0);
+    this.renderer?.setClearColor(0x000000, 0);
   }
 
   zoomIn() {
@@ -1305,10 +1590,15 @@ export class MopecViewer {
 
   dispose() {
     if (this._animationId) cancelAnimationFrame(this._animationId);
+    this.cancelViewAnimation();
     if (this._handleResize) window.removeEventListener('resize', this._handleResize);
 
     if (this.controls) this.controls.dispose();
-    if (this.renderer) this.renderer.dispose();
+    if (this.renderer) {
+      this.renderer.dispose();
+      // Browsers cap live WebGL contexts; release this one rather than waiting for GC.
+      this.renderer.forceContextLoss();
+    }
 
     if (this.model) {
       this.scene.remove(this.model);
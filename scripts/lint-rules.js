@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Mopec Equipment Configurator
+ * rules.json linter (CLI)
+ *
+ * Usage: node scripts/lint-rules.js [rules.json] [--mapping rules-mapping.json] [--no-mapping] [--json]
+ *
+ * Exits with 1 when any error is found, so it can gate commits/CI.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { lintRules } from '../js/rules-lint.js';
+import { createRuleMapping } from '../js/rules-mapping.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+  const args = { rules: path.join(ROOT, 'rules.json'), mapping: path.join(ROOT, 'rules-mapping.json'), json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--no-mapping') args.mapping = null;
+    else if (arg === '--mapping') args.mapping = argv[++i];
+    else args.rules = arg;
+  }
+  return args;
+}
+
+async function readJson(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const rules = await readJson(args.rules);
+  const mapping = args.mapping ? createRuleMapping(await readJson(args.mapping)) : null;
+  const { findings, counts } = lintRules(rules, { mapping });
+
+  if (args.json) {
+    console.log(JSON.stringify({ file: path.relative(process.cwd(), args.rules), counts, findings }, null, 2));
+  } else {
+    findings.forEach((finding) => {
+      const names = finding.related.map((rule) => `"${rule.ruleName}"`).join(', ');
+      const subject = finding.ruleId ? `"${finding.ruleName}"${names ? ` (with ${names})` : ''}` : names;
+      console.log(`${finding.severity.padEnd(7)} ${finding.code.padEnd(26)} ${subject}`);
+      console.log(`        ${finding.message}`);
+    });
+    console.log(`\n${rules.length} rules: ${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} info.`);
+  }
+
+  process.exitCode = counts.error > 0 ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Mopec Equipment Configurator
+ * Mock quote server (development)
+ *
+ * Serves the configurator like `npm run dev` and answers the quote form's
+ * endpoint (POST /api/quote-requests, see js/quote-request.js) the way the
+ * sales backend should: field problems get a 422 with { error, errors }, an
+ * accepted request a 201 with { id, receivedAt }. Requests are kept in memory
+ * (GET /api/quote-requests lists them) and logged to stderr.
+ *
+ * Usage: node scripts/mock-quote-server.js [--port=3000] [--delay=ms] [--fail=status] [--fail-first=n]
+ *
+ *   --delay=        Wait this long before answering a submission (try the sending state).
+ *   --fail=         Answer every submission with this HTTP status (try the error path).
+ *   --fail-first=   Answer the first n submissions with 503, then accept (try the outbox
+ *                   retries, js/quote-outbox.js). Stopping the server works as going offline.
+ */
+
+import { createServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { QUOTE_REQUEST_VERSION, validateContact } from '../js/quote-request.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ENDPOINT = '/api/quote-requests';
+
+/** Largest request body accepted, in bytes. */
+const MAX_BODY = 1024 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+function parseArgs(argv) {
+  const args = { port: 3000, delay: 0, fail: null, failFirst: 0 };
+  argv.forEach((arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    const number = Number(value);
+    if (key === 'port' && Number.isInteger(number) && number > 0) args.port = number;
+    else if (key === 'delay' && Number.isInteger(number) && number >= 0) args.delay = number;
+    else if (key === 'fail' && Number.isInteger(number) && number >= 400 && number <= 599) args.fail = number;
+    else if (key === 'fail-first' && Number.isInteger(number) && number >= 0) args.failFirst = number;
+    else throw new Error(`Unknown argument: ${arg}`);
+  });
+  return args;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// What the sales backend would refuse: an unknown payload version, bad contact
+// details, an empty quote
+function checkPayload(payload) {
+  if (payload?.version !== QUOTE_REQUEST_VERSION) {
+    return { error: `Unsupported quote request version ${payload?.version} (supported: ${QUOTE_REQUEST_VERSION})`, errors: [] };
+  }
+  const { errors } = validateContact(payload.contact);
+  if (errors.length > 0) return { error: 'Please check your contact details', errors };
+  const { quote } = payload;
+  if (!Array.isArray(quote?.stations) || quote.stations.length === 0 || !Number.isFinite(quote.grandTotal)) {
+    return { error: 'The quote request has no priced stations', errors: [] };
+  }
+  return null;
+}
+
+function createQuoteHandler({ delay, fail, failFirst }) {
+  const received = [];
+  let failuresLeft = failFirst;
+
+  return async function handleQuoteRequests(req, res) {
+    if (req.method === 'GET') {
+      sendJson(res, 200, received);
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      sendJson(res, 405, { error: `${req.method} is not supported here` });
+      return;
+    }
+    if (!/^application\/json\b/.test(req.headers['content-type'] || '')) {
+      sendJson(res, 415, { error: 'Send the quote request as application/json' });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (err) {
+      sendJson(res, err.status || 400, { error: err.status ? err.message : 'The request body is not valid JSON' });
+      return;
+    }
+    if (delay) await new Promise((resolve) => setTimeout(resolve, delay));
+    if (fail) {
+      sendJson(res, fail, { error: `The mock server was started with --fail=${fail}` });
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.error(`Refused a submission with 503 (--fail-first, ${failuresLeft} more to refuse)`);
+      sendJson(res, 503, { error: 'The quote server is temporarily unavailable' });
+      return;
+    }
+
+    const problem = checkPayload(payload);
+    if (problem) {
+      sendJson(res, 422, problem);
+      return;
+    }
+
+    const receipt = { id: `QR-${String(received.length + 1).padStart(4, '0')}`, receivedAt: new Date().toISOString() };
+    received.push({ ...receipt, payload });
+    const { contact, quote } = payload;
+    console.error(`${receipt.id}  ${contact.name} <${contact.email}>  ${quote.quantity} unit(s), ${quote.grandTotal} ${quote.currency}`);
+    sendJson(res, 201, receipt);
+  };
+}
+
+async function serveFile(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJson(res, 405, { error: `${req.method} is not supported here` });
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const file = path.join(ROOT, decodeURIComponent(pathname));
+  if (file !== ROOT && !file.startsWith(ROOT + path.sep)) {
+    sendJson(res, 403, { error: 'Forbidden' });
+    return;
+  }
+
+  try {
+    const target = (await stat(file)).isDirectory() ? path.join(file, 'index.html') : file;
+    const body = await readFile(target);
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(target)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  } catch {
+    sendJson(res, 404, { error: `Not found: ${pathname}` });
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const handleQuoteRequests = createQuoteHandler(args);
+
+  const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const handler = pathname === ENDPOINT ? handleQuoteRequests : serveFile;
+    handler(req, res).catch((err) => {
+      console.error(err);
+      if (!res.headersSent) sendJson(res, 500, { error: 'The mock server failed' });
+      else res.end();
+    });
+  });
+
+  server.listen(args.port, () => {
+    const failing = args.fail ? ` (failing with ${args.fail})` : args.failFirst ? ` (refusing the first ${args.failFirst})` : '';
+    console.error(`Configurator on http://localhost:${args.port}/configurator.html, quote requests to ${ENDPOINT}${failing}`);
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 2;
+}
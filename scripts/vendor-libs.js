@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Mopec Equipment Configurator
+ * Runtime library copies
+ *
+ * configurator.html loads three.js, jsPDF, jspdf-autotable, daisyUI and the
+ * Tailwind browser build from vendor/ rather than a CDN, so the service worker
+ * (service-worker.js) can precache them and the configurator works offline.
+ * This copies the files it needs (and each package's license) out of
+ * node_modules; it runs after `npm install` and again with `npm run vendor`.
+ * vendor/ is generated: don't edit or commit it.
+ *
+ * Usage: node scripts/vendor-libs.js
+ */
+
+import { copyFile, mkdir, readdir, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VENDOR_DIR = path.join(ROOT, 'vendor');
+
+/** What the page loads, by package: [file in the package, path under vendor/]. */
+export const VENDOR_FILES = Object.freeze({
+  three: [
+    ['build/three.module.js', 'three/three.module.js'],
+    ['examples/jsm/controls/OrbitControls.js', 'three/addons/controls/OrbitControls.js']
+  ],
+  jspdf: [['dist/jspdf.umd.min.js', 'jspdf/jspdf.umd.min.js']],
+  'jspdf-autotable': [['dist/jspdf.plugin.autotable.min.js', 'jspdf-autotable/jspdf.plugin.autotable.min.js']],
+  daisyui: [['daisyui.css', 'daisyui/daisyui.css']],
+  '@tailwindcss/browser': [['dist/index.global.js', 'tailwindcss-browser/index.global.js']]
+});
+
+async function copyInto(from, to) {
+  await mkdir(path.dirname(to), { recursive: true });
+  await copyFile(from, to);
+}
+
+async function main() {
+  await rm(VENDOR_DIR, { recursive: true, force: true });
+
+  for (const [name, files] of Object.entries(VENDOR_FILES)) {
+    const packageDir = path.join(ROOT, 'node_modules', name);
+    for (const [from, to] of files) await copyInto(path.join(packageDir, from), path.join(VENDOR_DIR, to));
+    // Shipped with the copies, as their licenses ask
+    const license = (await readdir(packageDir)).find((file) => /^licen[cs]e(\.\w+)?$/i.test(file));
+    if (license) await copyFile(path.join(packageDir, license), path.join(VENDOR_DIR, files[0][1].split('/')[0], license));
+  }
+  const count = Object.values(VENDOR_FILES).reduce((total, files) => total + files.length, 0);
+  console.error(`Copied ${count} runtime library files to vendor/`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,144 @@
+/**
+ * Mopec Equipment Configurator
+ * Service worker (offline support)
+ *
+ * Reps configure and export PDFs where there's no signal, so installing the
+ * worker precaches everything configurator.html needs: the page, its styles,
+ * js/*.js, the catalog and rules, the logos and the runtime libraries in
+ * vendor/ (scripts/vendor-libs.js). Registered by js/app.js.
+ *
+ * Files from this site are fetched from the network first, so prices and
+ * rules are current whenever there is a connection, and each answer refreshes
+ * the cache; the cached copy is used when the network fails or is slower than
+ * NETWORK_TIMEOUT. Google Fonts are served from the cache and refreshed in the
+ * background (offline before they were ever cached, the page falls back to
+ * system fonts). Quote requests (api/) are never cached; js/quote-outbox.js
+ * keeps the ones that can't be sent.
+ *
+ * Bump CACHE_VERSION when a file leaves PRECACHE_URLS, so the old cache and its
+ * leftovers are dropped.
+ */
+
+const CACHE_VERSION = 1;
+const CACHE_NAME = `mopec-configurator-v${CACHE_VERSION}`;
+
+/** Milliseconds to wait for the network before answering from the cache. */
+const NETWORK_TIMEOUT = 4000;
+
+// Relative to this file; test/enumerate-configurations.js checks it covers what the page loads
+const PRECACHE_URLS = [
+  'configurator.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'catalog.json',
+  'rules.json',
+  'rules-mapping.json',
+  'logo.png',
+  'mopec-logo-400x128.webp',
+  'icons/icon.svg',
+  'js/app.js',
+  'js/bom.js',
+  'js/catalog.js',
+  'js/compare.js',
+  'js/config.js',
+  'js/core-runtime.js',
+  'js/core.js',
+  'js/estimate.js',
+  'js/option-constraints.js',
+  'js/option-list.js',
+  'js/pdf.js',
+  'js/quote-documents.js',
+  'js/quote-outbox.js',
+  'js/quote-request.js',
+  'js/quote.js',
+  'js/rules-lint.js',
+  'js/rules-mapping.js',
+  'js/rules-runtime.js',
+  'js/rules.js',
+  'js/saved-configurations.js',
+  'js/share-link.js',
+  'js/store.js',
+  'js/undo-history.js',
+  'js/viewer-runtime.js',
+  'js/viewer.js',
+  'vendor/three/three.module.js',
+  'vendor/three/addons/controls/OrbitControls.js',
+  'vendor/jspdf/jspdf.umd.min.js',
+  'vendor/jspdf-autotable/jspdf.plugin.autotable.min.js',
+  'vendor/daisyui/daisyui.css',
+  'vendor/tailwindcss-browser/index.global.js'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // Revalidate, so a stale HTTP cache can't end up in the offline copy
+    await cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'no-cache' })));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith('mopec-configurator-') && name !== CACHE_NAME)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// `key` is what the answer is cached under
+async function networkFirst(request, key) {
+  const cache = await caches.open(CACHE_NAME);
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  });
+  // Handled below; this only keeps a late failure from being reported as unhandled
+  network.catch(() => {});
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, NETWORK_TIMEOUT);
+  });
+  try {
+    const response = await Promise.race([network, timeout]);
+    if (response) return response;
+  } catch {
+    // Offline: answer from the cache
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return (await cache.match(key)) || network;
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const network = fetch(request).then((response) => {
+    // Font files are opaque cross-origin answers (status 0), which are fine to keep
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  });
+  if (!cached) return network;
+  network.catch(() => {});
+  return cached;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    if (url.pathname.includes('/api/')) return;
+    // The page opened with a query (e.g. a shared configuration) is still the page
+    event.respondWith(networkFirst(request, request.mode === 'navigate' ? `${url.origin}${url.pathname}` : request));
+  } else if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -0,0 +1,1118 @@
+#!/usr/bin/env node
+/**
+ * Mopec Equipment Configurator
+ * Configuration enumerator / validity harness
+ *
+ * Enumerates the combinations of PRODUCTS × FEATURES × ACCESSORIES ×
+ * SINK_POSITIONS × baseStyle (from catalog.json) the options panel offers
+ * (js/option-list.js), runs each through the same steps as the app (js/core.js
+ * product constraints, then rules.json), and checks that:
+ *   - calculateTotal() and getConfigSummary() give sane output (list, discount and net
+ *     add up in every currency),
+ *   - saved configurations (js/saved-configurations.js) keep snapshots with their pricing,
+ *     newest first, and survive renaming, duplicating and unreadable storage,
+ *   - the comparison (js/compare.js) prices every column alike and flags what differs,
+ *   - undo / redo (js/undo-history.js) skips no-ops, keeps its limit and clears redo on a change,
+ *   - multi-station quotes (js/quote.js) add up and reach the right VOLUME_TIERS,
+ *   - every US state, ZIP prefix and export country resolves, freight grows with the
+ *     crate and services, freight and tax add up to the quote's total (js/estimate.js),
+ *   - quote request payloads (js/quote-request.js) carry amounts that add up,
+ *   - the quote outbox (js/quote-outbox.js) retries on the RETRY_DELAYS schedule, gives up
+ *     on requests the server refuses, and waits for flush() while offline,
+ *   - the bill of materials (js/bom.js) has a SKU for every part, counts parts over the
+ *     stations, lists included features and adds up to the grand total, also as CSV,
+ *   - issued quotes (js/quote-documents.js) keep their numbers, prices and catalog text, revise
+ *     only when something changed or expired, reopen as they were and list what changed,
+ *   - service-worker.js precaches every file configurator.html loads, so it works offline,
+ *   - validateConfig() accepts the state without rule warnings,
+ *   - the state survives a share-link round trip (js/share-link.js),
+ *   - the rules engine leaves the state valid and stable (re-applying changes nothing),
+ *   - the rules.json linter (js/rules-lint.js) reports inactive, dead and conflicting rules,
+ *     including the single / dual LED pair in rules.json that hide each other,
+ *   - MopecViewer.validateModel() finds no problems with the resulting 3D model.
+ *
+ * Features and accessories that rules.json never mentions and no product
+ * constraint removes can't affect each other, so by default they are only
+ * enumerated as none / each on its own / every pair / all together; every
+ * subset of the others is enumerated.
+ *
+ * Usage: node test/enumerate-configurations.js [--exhaustive] [--viewer=layouts|all|none] > report.json
+ *
+ *   --exhaustive    Enumerate every subset of every feature and accessory (slow: minutes).
+ *   --viewer=       "layouts" (default) builds every width × sink × base layout with
+ *                   each optional part on its own and with everything on; "all" builds
+ *                   every distinct model (slow: minutes); "none" skips the viewer.
+ *
+ * The JSON report goes to stdout, progress and a summary to stderr. Exits with 1 on failures.
+ */
+
+import { access, readFile, readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { BASE_STYLES, applyConstraints, catalog, installCatalog, snapshotConfig, toModelConfig, validateConfig } from '../js/core.js';
+import { RulesEngine, combineBindings, createCatalogBinding } from '../js/rules.js';
+import { createRuleMapping } from '../js/rules-mapping.js';
+import { lintRules } from '../js/rules-lint.js';
+import { decodeShareLink, encodeShareLink } from '../js/share-link.js';
+import { buildOptionLists } from '../js/option-list.js';
+import { createInitialState, createStore, actions } from '../js/store.js';
+import { MAX_QUANTITY, getVolumeTier, priceQuote } from '../js/quote.js';
+import { MAX_COMPARED, MIN_COMPARED, compareConfigurations } from '../js/compare.js';
+import { createUndoHistory, sameConfig } from '../js/undo-history.js';
+import { STORAGE_KEY as SAVED_CONFIGURATIONS_KEY, createSavedConfigurations } from '../js/saved-configurations.js';
+import { HOME_COUNTRY, crateFreight, resolveDestination } from '../js/estimate.js';
+import { buildQuoteRequest, validateContact } from '../js/quote-request.js';
+import { RETRY_DELAYS, createQuoteOutbox, retryDelay } from '../js/quote-outbox.js';
+import { BOM_COLUMNS, bomToCsv, buildBom } from '../js/bom.js';
+import { QUOTE_VALIDITY_DAYS, compareRevisions, createQuoteDocuments, revisionLabel } from '../js/quote-documents.js';
+import { MODEL_OPTIONS, MopecViewer } from '../js/viewer.js';
+import { VENDOR_FILES } from '../scripts/vendor-libs.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Failures kept per check in the report; the rest are only counted. */
+const MAX_EXAMPLES = 25;
+
+// ============================================
+// Setup
+// ============================================
+function parseArgs(argv) {
+  const args = { exhaustive: false, viewer: 'layouts' };
+  argv.forEach((arg) => {
+    if (arg === '--exhaustive') args.exhaustive = true;
+    else if (arg.startsWith('--viewer=')) args.viewer = arg.slice('--viewer='.length);
+    else throw new Error(`Unknown argument: ${arg}`);
+  });
+  if (!['layouts', 'all', 'none'].includes(args.viewer)) throw new Error(`Unknown --viewer mode: ${args.viewer}`);
+  return args;
+}
+
+async function readText(file) {
+  return readFile(path.join(ROOT, file), 'utf8');
+}
+
+async function loadRulesEngine(catalog) {
+  const rules = JSON.parse(await readText('rules.json'));
+  const mapping = createRuleMapping(JSON.parse(await readText('rules-mapping.json')));
+  const binding = combineBindings(createCatalogBinding(catalog), mapping.createBinding());
+  return new RulesEngine({ rules, binding });
+}
+
+// Options the panel offers (the same lists app.js renders)
+function readUiOptions(catalog) {
+  const lists = buildOptionLists(catalog);
+  const ids = (groups) => groups.flatMap((group) => group.options.map((option) => option.id));
+  return {
+    products: lists.products.map((product) => product.id),
+    features: ids(lists.features),
+    accessories: ids(lists.accessories),
+    sinkPositions: lists.sinkPositions.map((position) => position.id)
+  };
+}
+
+// Target keys ('accessories:drawerSystem') any rule triggers on or acts on (only the
+// triggers' or the actions' with `actions` / `triggers` false)
+function ruleTargets(engine, { triggers = true, actions = true } = {}) {
+  const { binding } = engine;
+  const targets = new Set();
+  const add = (componentId, optionIds) => {
+    // No option listed means the whole component (e.g. "anything selected")
+    const options = optionIds && optionIds.length > 0 ? optionIds : binding.optionsOf(componentId);
+    options.forEach((optionId) => binding.targetsOf(componentId, optionId).forEach(({ group, id }) => targets.add(`${group}:${id}`)));
+  };
+  engine.rules.forEach((rule) => {
+    if (triggers) {
+      (rule.triggersGroups || []).flatMap((group) => group.triggers || [])
+        .forEach((trigger) => add(trigger.triggerComponentId, trigger.triggerOptionId ? [trigger.triggerOptionId] : null));
+    }
+    if (actions) (rule.actions || []).forEach((action) => add(action.affectedComponentId, action.affectedOptionIds));
+  });
+  return targets;
+}
+
+// Target keys some product's constraints remove (e.g. the second sink under 96"), and the
+// options tied to others by `requires` / `excludes`
+function constrainedTargets(catalog, features, accessories) {
+  const targets = new Set();
+  Object.keys(catalog.PRODUCTS).forEach((product) => {
+    const state = applyConstraints({ product, features, accessories, sinkPosition: 'left', baseStyle: BASE_STYLES[0] });
+    features.filter((id) => !state.features.includes(id)).forEach((id) => targets.add(`features:${id}`));
+    accessories.filter((id) => !state.accessories.includes(id)).forEach((id) => targets.add(`accessories:${id}`));
+  });
+
+  const groupOf = (id) => (catalog.FEATURES[id] ? 'features' : 'accessories');
+  [...Object.values(catalog.FEATURES), ...Object.values(catalog.ACCESSORIES)].forEach((entry) => {
+    const related = [...(entry.requires || []), ...(entry.excludes || [])];
+    if (related.length === 0) return;
+    [entry.id, ...related].forEach((id) => targets.add(`${groupOf(id)}:${id}`));
+  });
+  return targets;
+}
+
+function optionSpace(catalog, ui, coupled) {
+  const { FEATURES } = catalog;
+  const included = Object.keys(FEATURES).filter((id) => FEATURES[id].included);
+  const split = (group, ids) => ({
+    coupled: coupled ? ids.filter((id) => coupled.has(`${group}:${id}`)) : ids,
+    independent: coupled ? ids.filter((id) => !coupled.has(`${group}:${id}`)) : []
+  });
+
+  return {
+    products: ui.products,
+    included,
+    features: split('features', ui.features.filter((id) => !included.includes(id))),
+    accessories: split('accessories', ui.accessories),
+    sinkPositions: ui.sinkPositions,
+    baseStyles: BASE_STYLES
+  };
+}
+
+function subsets(ids) {
+  const result = [];
+  for (let mask = 0; mask < 1 << ids.length; mask++) {
+    result.push(ids.filter((id, index) => mask & (1 << index)));
+  }
+  return result;
+}
+
+// None, each on its own, every pair and all together
+function variants(ids) {
+  const result = subsets(ids).filter((set) => set.length <= 2);
+  if (ids.length > 2) result.push([...ids]);
+  return result;
+}
+
+function optionSets({ coupled, independent }) {
+  const extras = variants(independent);
+  return subsets(coupled).flatMap((set) => extras.map((extra) => [...set, ...extra]));
+}
+
+function* combinations(space) {
+  const featureSets = optionSets(space.features);
+  const accessorySets = optionSets(space.accessories);
+
+  for (const product of space.products) {
+    for (const features of featureSets) {
+      for (const accessories of accessorySets) {
+        for (const sinkPosition of space.sinkPositions) {
+          for (const baseStyle of space.baseStyles) {
+            yield { product, features: [...space.included, ...features], accessories, sinkPosition, baseStyle };
+          }
+        }
+      }
+    }
+  }
+}
+
+function stateKey(state) {
+  return JSON.stringify([
+    state.product,
+    [...state.features].sort(),
+    [...state.accessories].sort(),
+    state.sinkPosition,
+    state.baseStyle
+  ]);
+}
+
+// ============================================
+// Checks (each returns a list of problem messages)
+// ============================================
+function checkCatalog(catalog) {
+  const problems = [];
+  const isPrice = (value) => Number.isFinite(value) && value >= 0;
+
+  Object.values(catalog.PRODUCTS).forEach((product) => {
+    if (!isPrice(product.basePrice) || product.basePrice === 0) problems.push(`Product ${product.id} has no valid basePrice`);
+    if (!Number.isFinite(product.modelWidth)) problems.push(`Product ${product.id} has no modelWidth`);
+    if (!product.sku) problems.push(`Product ${product.id} has no SKU`);
+  });
+  Object.values(catalog.FEATURES).forEach((feature) => {
+    if (!isPrice(feature.price)) problems.push(`Feature ${feature.id} has no valid price`);
+    if (!feature.sku) problems.push(`Feature ${feature.id} has no SKU`);
+  });
+  Object.values(catalog.ACCESSORIES).forEach((accessory) => {
+    if (!isPrice(accessory.price)) problems.push(`Accessory ${accessory.id} has no valid price`);
+    if (!accessory.sku) problems.push(`Accessory ${accessory.id} has no SKU`);
+  });
+
+  // Every entry in every price book × currency: 0 <= discount <= list and net = list - discount
+  Object.values(catalog.PRICE_BOOKS).forEach((priceBook) => {
+    Object.values(catalog.CURRENCIES).forEach((currency) => {
+      ['PRODUCTS', 'FEATURES', 'ACCESSORIES', 'SERVICES'].forEach((section) => {
+        Object.keys(catalog[section]).forEach((id) => {
+          const { list, discount, net } = catalog.getLinePrice(section, id, { currency: currency.id, priceBook: priceBook.id });
+          if (!(discount >= 0 && discount <= list) || net !== list - discount) {
+            problems.push(`${priceBook.id}/${currency.id} prices ${id} at ${list} - ${discount} = ${net}`);
+          }
+        });
+      });
+    });
+  });
+  return problems;
+}
+
+// One small rule set per problem the linter is there for, each reported under its code,
+// and the shipped rules.json still flagging the single / dual LED rules that hide each other
+async function checkRulesLint() {
+  const problems = [];
+  const mapping = createRuleMapping({
+    version: 1,
+    components: {
+      size: { name: 'Size', selection: 'single', options: { small: { name: 'Small' }, large: { name: 'Large' } } },
+      extras: { name: 'Extras', options: { lamp: { name: 'Lamp' }, shelf: { name: 'Shelf' }, tray: { name: 'Tray' } } }
+    }
+  });
+  const trigger = (componentId, optionId, triggerOperator = 'OR') =>
+    ({ triggerComponentId: componentId, triggerOptionId: optionId, triggerCondition: 'selected', triggerOperator });
+  const rule = (name, triggers, actions, extra = {}) => ({
+    id: name,
+    name,
+    isActive: true,
+    triggerGroupOperator: 'OR',
+    triggersGroups: [{ groupOrder: 0, triggers }],
+    actions: actions.map(([action, affectedComponentId, affectedOptionIds]) => ({ action, affectedComponentId, affectedOptionIds })),
+    ...extra
+  });
+  const codes = (rules) => lintRules(rules, { mapping }).findings.map((finding) => finding.code);
+
+  const cases = [
+    ['nothing', [rule('Lamp hides tray', [trigger('extras', 'lamp')], [['hide', 'extras', ['tray']]])]],
+    ['inactive', [rule('Leftover', [trigger('extras', 'lamp')], [['hide', 'extras', ['tray']]], { isActive: false })]],
+    ['dead-rule', [rule('Small and large', [trigger('size', 'small'), trigger('size', 'large', 'AND')], [['hide', 'extras', ['tray']]])]],
+    ['hide-auto-select-conflict', [
+      rule('Lamp hides shelf', [trigger('extras', 'lamp')], [['hide', 'extras', ['shelf']]]),
+      rule('Lamp adds shelf', [trigger('extras', 'lamp')], [['auto-select', 'extras', ['shelf']]])
+    ]],
+    ['only-show-conflict', [
+      rule('Small keeps lamp', [trigger('size', 'small')], [['only_show', 'extras', ['lamp']]]),
+      rule('Small keeps shelf', [trigger('size', 'small')], [['only_show', 'extras', ['shelf']]])
+    ]]
+  ];
+  cases.forEach(([code, rules]) => {
+    const found = codes(rules);
+    if (code === 'nothing' ? found.length > 0 : !found.includes(code)) {
+      problems.push(`lintRules on ${rules.map((entry) => `"${entry.name}"`).join(' and ')} found ${found.join(', ') || 'nothing'}, expected ${code}`);
+    }
+  });
+
+  const shipped = lintRules(JSON.parse(await readText('rules.json')), {
+    mapping: createRuleMapping(JSON.parse(await readText('rules-mapping.json')))
+  });
+  const ledPair = shipped.findings.some((finding) => finding.code === 'mutual-hide' &&
+    ['single led', 'dual led'].every((led) => [finding.ruleName, ...finding.related.map((other) => other.ruleName)]
+      .some((name) => name.toLowerCase().includes(led))));
+  if (!ledPair) problems.push('lintRules no longer reports the single / dual LED rules in rules.json hiding each other (mutual-hide)');
+  return problems;
+}
+
+// Saved configurations on a fake clock and storage: snapshots only, newest first, copies under
+// their own id, and nothing (rather than a crash) from unreadable storage
+function checkSavedConfigurations(catalog) {
+  const problems = [];
+  const items = new Map();
+  const storage = { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+  let time = Date.parse('2026-01-15T12:00:00Z');
+  let ids = 0;
+  const saved = createSavedConfigurations(storage, { now: () => new Date(time += 1000), createId: () => `cfg-${++ids}` });
+
+  const state = createInitialState();
+  const otherBook = Object.keys(catalog.PRICE_BOOKS).find((id) => id !== state.priceBook) || state.priceBook;
+  const first = saved.save({ name: '  Lab A  ', state: { ...state, priceBook: otherBook }, total: 100 });
+  if (first.name !== 'Lab A' || JSON.stringify(first.state) !== JSON.stringify(snapshotConfig(state)) ||
+    first.currency !== state.currency || first.priceBook !== otherBook) {
+    problems.push(`save() stored more or less than the snapshot and its pricing: ${JSON.stringify(first)}`);
+  }
+  try {
+    saved.save({ name: ' ', state, total: 0 });
+    problems.push('save() accepted a blank name');
+  } catch {
+    // Refused, as it should be
+  }
+
+  const copy = saved.duplicate(first.id);
+  saved.rename(first.id, ' Lab B ');
+  const names = saved.list().map((entry) => entry.name);
+  if (names.join() !== 'Lab A (copy),Lab B' || copy.id === first.id || JSON.stringify(copy.state) !== JSON.stringify(first.state)) {
+    problems.push(`Duplicating or renaming went wrong: ${JSON.stringify(saved.list())}`);
+  }
+  saved.remove(copy.id);
+  if (saved.list().length !== 1 || saved.get(copy.id) !== null) problems.push('remove() kept the entry');
+
+  ['{not json', JSON.stringify({ version: 99, entries: [first] })].forEach((raw) => {
+    items.set(SAVED_CONFIGURATIONS_KEY, raw);
+    if (saved.list().length !== 0) problems.push(`Unreadable storage listed entries: ${raw}`);
+  });
+  return problems;
+}
+
+// Two or three columns priced in the currency and book asked for, deltas against the first, and
+// only the lines and specs that tell them apart flagged
+function checkCompare(catalog) {
+  const problems = [];
+  const baseline = snapshotConfig(createInitialState());
+  const products = Object.keys(catalog.PRODUCTS);
+  const accessory = Object.keys(catalog.ACCESSORIES).find((id) => !baseline.accessories.includes(id));
+  const sinkPosition = Object.keys(catalog.SINK_POSITIONS).find((id) => id !== baseline.sinkPosition);
+  const other = applyConstraints({
+    ...baseline,
+    product: products.find((id) => id !== baseline.product),
+    accessories: [...baseline.accessories, accessory],
+    sinkPosition
+  });
+
+  [1, MAX_COMPARED + 1].forEach((count) => {
+    try {
+      compareConfigurations(Array(count).fill(baseline));
+      problems.push(`compareConfigurations took ${count} configurations (${MIN_COMPARED} to ${MAX_COMPARED} allowed)`);
+    } catch {
+      // Refused, as it should be
+    }
+  });
+
+  Object.values(catalog.CURRENCIES).forEach((currency) => {
+    Object.values(catalog.PRICE_BOOKS).forEach((priceBook) => {
+      const pricing = { currency: currency.id, priceBook: priceBook.id };
+      const { columns, specs, lines } = compareConfigurations([baseline, other], pricing);
+      const totals = [baseline, other].map((state) => catalog.calculateTotal({ ...state, ...pricing }).net);
+      const label = `Comparison in ${currency.id}/${priceBook.id}`;
+      if (columns.some((column, index) => column.total !== totals[index] || column.delta !== totals[index] - totals[0])) {
+        problems.push(`${label} totals ${JSON.stringify(columns.map((column) => [column.total, column.delta]))}, expected ${totals}`);
+      }
+      const differing = lines.filter((line) => line.differs).map((line) => line.id);
+      const expected = [...baseline.features, ...baseline.accessories, ...other.features, ...other.accessories]
+        .filter((id, index, ids) => ids.indexOf(id) === index)
+        .filter((id) => [baseline, other].filter((state) => [...state.features, ...state.accessories].includes(id)).length === 1);
+      if (differing.sort().join() !== expected.sort().join() || !lines.some((line) => line.id === accessory && line.differs)) {
+        problems.push(`${label} flags ${differing.join(', ') || 'no lines'}, expected ${expected.join(', ')}`);
+      }
+      if (!specs.find((spec) => spec.key === 'sinkPosition')?.differs || specs.find((spec) => spec.key === 'baseStyle')?.differs) {
+        problems.push(`${label} flags the wrong specs: ${JSON.stringify(specs.filter((spec) => spec.differs).map((spec) => spec.key))}`);
+      }
+    });
+  });
+  return problems;
+}
+
+// Commands undo newest first and redo in reverse; a new change drops the redo stack, and only
+// the last `limit` changes are kept
+function checkUndoHistory(catalog) {
+  const problems = [];
+  const base = snapshotConfig(createInitialState());
+  // One change per product switch, one more than the history keeps
+  const configs = Object.keys(catalog.PRODUCTS).map((product) => ({ ...base, product }));
+  const limit = configs.length - 2;
+  const history = createUndoHistory({ limit });
+
+  const reordered = { ...base, features: [...base.features].reverse() };
+  if (!sameConfig(base, reordered) || history.record({ label: 'no-op', before: base, after: reordered })) {
+    problems.push('Reordering the options counted as a change');
+  }
+
+  configs.slice(1).forEach((config, index) => history.record({ label: `change ${index + 1}`, before: configs[index], after: config }));
+  const undone = Array.from({ length: limit + 1 }, () => history.undo()?.label ?? null);
+  const expected = [...Array.from({ length: limit }, (_, index) => `change ${configs.length - 1 - index}`), null];
+  if (undone.join() !== expected.join()) problems.push(`Undo returned ${undone.join()}, expected ${expected.join()}`);
+
+  const redone = history.redo();
+  if (redone?.label !== expected[limit - 1] || history.peekUndo() !== redone) {
+    problems.push(`Redo didn't re-apply the last undone change: ${redone?.label}`);
+  }
+  history.record({ label: 'branch', before: redone.after, after: redone.before });
+  if (history.peekRedo() !== null || history.peekUndo()?.label !== 'branch') problems.push("A new change didn't clear the redo stack");
+
+  history.clear();
+  if (history.undo() !== null || history.redo() !== null) problems.push("clear() didn't empty the history");
+  return problems;
+}
+
+function checkState(state, catalog) {
+  const problems = [];
+  const { PRODUCTS, FEATURES, ACCESSORIES, SINK_POSITIONS } = catalog;
+
+  if (!PRODUCTS[state.product]) problems.push(`Unknown product "${state.product}"`);
+  if (!SINK_POSITIONS[state.sinkPosition]) problems.push(`Unknown sink position "${state.sinkPosition}"`);
+  if (!BASE_STYLES.includes(state.baseStyle)) problems.push(`Unknown base style "${state.baseStyle}"`);
+  state.features.filter((id) => !FEATURES[id]).forEach((id) => problems.push(`Unknown feature "${id}"`));
+  state.accessories.filter((id) => !ACCESSORIES[id]).forEach((id) => problems.push(`Unknown accessory "${id}"`));
+  if (new Set(state.features).size !== state.features.length) problems.push('Duplicate features');
+  if (new Set(state.accessories).size !== state.accessories.length) problems.push('Duplicate accessories');
+
+  Object.values(FEATURES).filter((feature) => feature.included && !state.features.includes(feature.id))
+    .forEach((feature) => problems.push(`Included feature "${feature.id}" was removed`));
+  if (state.features.includes('secondSink') && (PRODUCTS[state.product]?.modelWidth ?? 72) < 96) {
+    problems.push('Second sink selected on a model under 96"');
+  }
+  if (applyConstraints(state) !== state) problems.push('Selection breaks the catalog constraints (requires / excludes / availableOn / requiresSink)');
+  return problems;
+}
+
+// Every currency's list total must add up its own price list (the catalog
+// currency's is the entries' prices), and the default price book's discounts
+// must add up line by line
+function checkPricing(state, catalog) {
+  const { PRODUCTS, FEATURES, ACCESSORIES, CURRENCIES } = catalog;
+  const problems = [];
+  const sum = (lines, field) => lines.reduce((total, line) => total + line[field], 0);
+
+  Object.values(CURRENCIES).forEach((currency) => {
+    const listPrice = (section, entry, field) => (currency.prices ? currency.prices[section][entry.id] : entry[field]);
+    const pricing = catalog.calculateTotal({ ...state, currency: currency.id });
+    const total = pricing.list;
+    const basePrice = listPrice('PRODUCTS', PRODUCTS[state.product], 'basePrice');
+    const expected = basePrice +
+      state.features.reduce((sum, id) => sum + (FEATURES[id].included ? 0 : listPrice('FEATURES', FEATURES[id], 'price')), 0) +
+      state.accessories.reduce((sum, id) => sum + listPrice('ACCESSORIES', ACCESSORIES[id], 'price'), 0);
+    const formatted = catalog.formatPrice(total, currency.id);
+
+    if (!Number.isFinite(total)) problems.push(`calculateTotal returned ${total} ${currency.id}`);
+    else if (total !== expected) problems.push(`calculateTotal returned ${total} ${currency.id}, expected ${expected}`);
+    else if (total < basePrice) problems.push(`Total ${total} ${currency.id} is below the base price`);
+    else if (currency.id === 'USD' && !/^\$[\d,]+$/.test(formatted)) problems.push(`formatPrice gave "${formatted}"`);
+    else if (!/\d/.test(formatted) || /NaN|undefined/.test(formatted)) problems.push(`formatPrice gave "${formatted}" for ${currency.id}`);
+
+    if (pricing.lines.length !== 1 + state.features.length + state.accessories.length) {
+      problems.push(`calculateTotal has ${pricing.lines.length} lines for ${currency.id}`);
+    } else if (['list', 'discount', 'net'].some((field) => sum(pricing.lines, field) !== pricing[field])) {
+      problems.push(`calculateTotal lines don't add up to ${pricing.list} - ${pricing.discount} = ${pricing.net} ${currency.id}`);
+    } else if (pricing.net !== pricing.list - pricing.discount || pricing.discount < 0) {
+      problems.push(`calculateTotal returned ${pricing.list} - ${pricing.discount} = ${pricing.net} ${currency.id}`);
+    }
+  });
+  return problems;
+}
+
+// Quotes of one and two stations at every quantity around each tier boundary: stations
+// price as quantity × their own configuration, the highest tier reached applies and the
+// amounts add up (list - discount = subtotal, subtotal - volume discount = total)
+function checkQuote(catalog) {
+  const problems = [];
+  const tiers = Object.values(catalog.VOLUME_TIERS);
+  const quantities = [...new Set([1, 2, MAX_QUANTITY, ...tiers.flatMap((tier) => [tier.minQuantity - 1, tier.minQuantity])])]
+    .filter((quantity) => quantity >= 1 && quantity <= MAX_QUANTITY);
+
+  // One station, and two with different products (the quantity goes on the second)
+  const single = createStore({ state: createInitialState() });
+  const pair = createStore({ state: createInitialState() });
+  pair.dispatch(actions.addStation({ config: { ...snapshotConfig(pair.getState()), product: Object.keys(catalog.PRODUCTS).at(-1) } }));
+
+  quantities.forEach((quantity) => {
+    [single, pair].forEach((store) => {
+      const state = store.dispatch(actions.setStationQuantity(store.getState().stations.at(-1).id, quantity));
+      const priced = priceQuote(state);
+      const label = `${priced.stations.map((station) => station.quantity).join(' + ')} units`;
+
+      priced.stations.forEach((station) => {
+        const unit = catalog.calculateTotal(station.config);
+        if (station.net !== unit.net * station.quantity || station.list !== unit.list * station.quantity) {
+          problems.push(`Quote of ${label}: ${station.id} priced at ${station.net}, expected ${station.quantity} × ${unit.net}`);
+        }
+      });
+      const expectedTier = tiers.filter((tier) => priced.quantity >= tier.minQuantity)
+        .sort((a, b) => b.minQuantity - a.minQuantity)[0] || null;
+      if (priced.volumeTier?.id !== expectedTier?.id || getVolumeTier(priced.quantity)?.id !== expectedTier?.id) {
+        problems.push(`Quote of ${label} got tier ${priced.volumeTier?.id}, expected ${expectedTier?.id}`);
+      }
+      if (priced.list - priced.discount !== priced.subtotal || priced.subtotal - priced.volumeDiscount !== priced.total ||
+        priced.volumeDiscount < 0 || priced.volumeDiscount > priced.subtotal || (!priced.volumeTier && priced.volumeDiscount !== 0)) {
+        problems.push(`Quote of ${label} doesn't add up: ${JSON.stringify({ ...priced, stations: undefined })}`);
+      }
+    });
+  });
+  return problems;
+}
+
+// Destinations resolve to the right state and zone; freight never drops as crates get bigger;
+// a two-station quote with every service adds up when shipped to each state and export country
+function checkEstimate(catalog) {
+  const problems = [];
+  const { US_STATES, EXPORT_COUNTRIES, FREIGHT_ZONES, CURRENCIES, SERVICES } = catalog;
+  const resolvesTo = (destination, stateId) => {
+    try {
+      const resolved = resolveDestination(destination);
+      if (resolved.state?.id !== stateId) problems.push(`${JSON.stringify(destination)} resolved to ${resolved.state?.id}, expected ${stateId}`);
+    } catch (err) {
+      problems.push(`${JSON.stringify(destination)} doesn't resolve: ${err.message}`);
+    }
+  };
+
+  Object.values(US_STATES).forEach((state) => {
+    resolvesTo({ country: HOME_COUNTRY, location: state.id }, state.id);
+    resolvesTo({ country: HOME_COUNTRY, location: state.name.toUpperCase() }, state.id);
+    state.zipPrefixes.forEach((range) => {
+      range.split('-').forEach((prefix) => resolvesTo({ country: HOME_COUNTRY, location: `${prefix}42` }, state.id));
+    });
+  });
+  Object.keys(EXPORT_COUNTRIES).forEach((country) => resolvesTo({ country }, undefined));
+
+  // Products by crate size: each ships for at least what the one before it does
+  const bySize = Object.values(catalog.PRODUCTS)
+    .sort((a, b) => a.crate.length * a.crate.width * a.crate.height - b.crate.length * b.crate.width * b.crate.height);
+  Object.values(FREIGHT_ZONES).forEach((zone) => {
+    Object.values(CURRENCIES).forEach((currency) => {
+      const amounts = bySize.map((product) => crateFreight(product.id, zone, currency.id).amount);
+      if (amounts.some((amount, i) => !(amount > 0) || amount < (amounts[i - 1] ?? 0))) {
+        problems.push(`Freight through ${zone.id} in ${currency.id} doesn't grow with the crate: ${amounts.join(', ')}`);
+      }
+    });
+  });
+
+  const store = createStore({ state: createInitialState() });
+  store.dispatch(actions.addStation({ config: { ...snapshotConfig(store.getState()), product: bySize.at(-1).id } }));
+  store.dispatch(actions.setStationQuantity(store.getState().activeStation, 2));
+  Object.keys(SERVICES).forEach((id) => store.dispatch(actions.toggleService(id, true)));
+  const destinations = [
+    ...Object.keys(US_STATES).map((id) => ({ country: HOME_COUNTRY, location: id })),
+    ...Object.keys(EXPORT_COUNTRIES).map((country) => ({ country }))
+  ];
+
+  Object.values(CURRENCIES).forEach((currency) => {
+    store.dispatch(actions.setCurrency(currency.id));
+    destinations.forEach((destination) => {
+      const quote = priceQuote(store.dispatch(actions.setDestination(destination)));
+      const { charges } = quote;
+      const label = `Quote to ${destination.location || destination.country} in ${currency.id}`;
+      const servicesNet = charges.services.reduce((total, service) => total + service.net, 0);
+      const freight = quote.stations.reduce((total, station) => total + crateFreight(station.config.product, charges.freight.zone, currency.id).amount * station.quantity, 0);
+      const taxable = quote.total + servicesNet;
+      // Tax isn't a list price: rounded to the currency's decimals, not its `roundTo`
+      const tax = Number((taxable * charges.destination.taxRate / 100).toFixed(currency.fractionDigits ?? 0));
+
+      if (charges.services.length !== Object.keys(SERVICES).length || charges.services.some((service) => service.quantity !== quote.quantity)) {
+        problems.push(`${label} doesn't order every service for ${quote.quantity} units`);
+      }
+      if (charges.freight.amount !== freight) problems.push(`${label}: freight ${charges.freight.amount}, expected ${freight}`);
+      if (charges.tax.taxable !== taxable || charges.tax.amount !== tax || (destination.country !== HOME_COUNTRY && tax !== 0)) {
+        problems.push(`${label}: tax ${charges.tax.amount} on ${charges.tax.taxable}, expected ${tax} on ${taxable}`);
+      }
+      if (charges.total !== servicesNet + freight + tax || charges.list - charges.discount !== charges.total ||
+        quote.grandTotal !== quote.total + charges.total) {
+        problems.push(`${label} doesn't add up: ${JSON.stringify({ ...charges, destination: undefined, freight: charges.freight.amount })}`);
+      }
+    });
+  });
+  return problems;
+}
+
+// The payload sales receives prices what the configurator showed: per-unit lines add up to each
+// station, stations to the quote and the charges on top to its grand total
+function checkQuoteRequest(catalog) {
+  const problems = [];
+  const contact = validateContact({ name: ' Dana Pathologist ', email: 'dana@example.org', phone: '+1 (616) 555-0100' });
+  if (!contact.valid || contact.contact.name !== 'Dana Pathologist') problems.push(`validateContact refused a valid contact: ${JSON.stringify(contact)}`);
+  const invalid = validateContact({ name: '', email: 'dana@', phone: '12' });
+  if (invalid.errors.map((error) => error.field).join() !== 'name,email,phone') {
+    problems.push(`validateContact missed problems: ${JSON.stringify(invalid.errors)}`);
+  }
+
+  const store = createStore({ state: createInitialState() });
+  store.dispatch(actions.addStation({ config: { ...snapshotConfig(store.getState()), product: Object.keys(catalog.PRODUCTS).at(-1) } }));
+  store.dispatch(actions.setStationQuantity(store.getState().activeStation, 4));
+  Object.keys(catalog.SERVICES).forEach((id) => store.dispatch(actions.toggleService(id, true)));
+  store.dispatch(actions.setDestination({ country: HOME_COUNTRY, location: Object.keys(catalog.US_STATES)[0] }));
+
+  Object.values(catalog.PRICE_BOOKS).forEach((priceBook) => {
+    const state = store.dispatch(actions.setPriceBook(priceBook.id));
+    const payload = buildQuoteRequest(state, contact.contact, { now: new Date(0) });
+    const { quote } = JSON.parse(JSON.stringify(payload));
+    const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+    const label = `Quote request in ${priceBook.id}`;
+
+    quote.stations.forEach((station) => {
+      if (sum(station.lines, 'net') !== station.unit.net || station.net !== station.unit.net * station.quantity) {
+        problems.push(`${label}: ${station.id} lines don't add up to ${station.quantity} × ${station.unit.net}`);
+      }
+    });
+    const charges = sum(quote.services, 'net') + quote.freight.amount + quote.tax.amount;
+    if (sum(quote.stations, 'net') !== quote.subtotal || quote.subtotal - quote.volumeDiscount !== quote.total ||
+      quote.total + charges !== quote.grandTotal || quote.grandTotal !== priceQuote(state).grandTotal) {
+      problems.push(`${label} doesn't add up: ${JSON.stringify({ ...quote, stations: undefined })}`);
+    }
+  });
+  return problems;
+}
+
+// Queued requests on a fake clock, timer and store: retried on schedule, dropped once sent,
+// kept as failed when refused, never cancelled mid-send, and held while offline
+async function checkQuoteOutbox() {
+  const problems = [];
+  const entries = new Map();
+  const store = {
+    getAll: async () => [...entries.values()].map((entry) => structuredClone(entry)),
+    put: async (entry) => {
+      entries.set(entry.id, structuredClone(entry));
+    },
+    delete: async (id) => {
+      entries.delete(id);
+    }
+  };
+  let time = Date.parse('2026-01-15T12:00:00Z');
+  const timers = new Map();
+  let timerIds = 0;
+  let online = true;
+  let outcome = () => Promise.reject(Object.assign(new Error('offline'), { retryable: true }));
+  const sent = [];
+  const changes = [];
+  let ids = 0;
+  const outbox = createQuoteOutbox(store, {
+    send: (entry) => {
+      sent.push(entry.id);
+      return outcome(entry);
+    },
+    isOnline: () => online,
+    now: () => new Date(time),
+    createId: () => `qr-${++ids}`,
+    setTimer: (callback, delay) => {
+      timers.set(++timerIds, { callback, delay });
+      return timerIds;
+    },
+    clearTimer: (id) => timers.delete(id)
+  });
+  outbox.subscribe((change) => changes.push(change.type));
+  const pendingDelay = () => [...timers.values()][0]?.delay;
+  // Let the clock reach the timer and run it (the outbox keeps one, for the entry due first)
+  const fireTimer = () => {
+    const [id, timer] = [...timers.entries()][0];
+    timers.delete(id);
+    time += timer.delay;
+    timer.callback();
+    return outbox.start();
+  };
+
+  if (retryDelay(1) !== RETRY_DELAYS[0] || retryDelay(RETRY_DELAYS.length + 5) !== RETRY_DELAYS.at(-1)) {
+    problems.push("retryDelay() doesn't follow RETRY_DELAYS with the last one repeating");
+  }
+
+  const entry = await outbox.enqueue({ quote: 1 }, { endpoint: '/api/quote', error: new Error('offline') });
+  if (entry.attempts !== 1 || entry.status !== 'pending' || pendingDelay() !== RETRY_DELAYS[0]) {
+    problems.push(`A queued request isn't retried after ${RETRY_DELAYS[0]} ms: ${JSON.stringify({ entry, delay: pendingDelay() })}`);
+  }
+  await fireTimer();
+  const [retried] = await outbox.list();
+  if (sent.length !== 1 || retried.attempts !== 2 || pendingDelay() !== RETRY_DELAYS[1] ||
+    Date.parse(retried.nextAttemptAt) !== time + RETRY_DELAYS[1]) {
+    problems.push(`A failed retry doesn't back off to ${RETRY_DELAYS[1]} ms: ${JSON.stringify({ retried, delay: pendingDelay() })}`);
+  }
+
+  outcome = () => Promise.reject(Object.assign(new Error('Email is invalid'), { retryable: false }));
+  await fireTimer();
+  const [refused] = await outbox.list();
+  if (refused.status !== 'failed' || refused.nextAttemptAt !== null || refused.lastError !== 'Email is invalid' || timers.size !== 0) {
+    problems.push(`A refused request keeps retrying: ${JSON.stringify(refused)}`);
+  }
+
+  // retry(id) sends a failed request again; cancelling it while it is on its way is refused
+  let deliver;
+  outcome = () => new Promise((resolve) => {
+    deliver = resolve;
+  });
+  const retrying = outbox.retry(entry.id);
+  while (!deliver) await new Promise((resolve) => setImmediate(resolve));
+  const cancelled = await outbox.cancel(entry.id).then(() => true, () => false);
+  if (cancelled || !(await outbox.list())[0]?.sending) problems.push('A request was cancelled while it was being sent');
+  deliver({ id: 'receipt-1' });
+  await retrying;
+  if (entries.size !== 0 || changes.at(-1) !== 'sent') problems.push(`retry(id) didn't send the failed request: ${changes.join()}`);
+
+  // Offline, a due retry waits for flush()
+  online = false;
+  outcome = () => Promise.resolve({ id: 'receipt-2' });
+  await outbox.enqueue({ quote: 2 }, { endpoint: '/api/quote' });
+  const sentBefore = sent.length;
+  await fireTimer();
+  if (sent.length !== sentBefore || entries.size !== 1) problems.push('A retry went out while offline');
+  online = true;
+  await outbox.flush();
+  if (sent.length !== sentBefore + 1 || entries.size !== 0) problems.push("flush() didn't send the request held while offline");
+
+  const other = await outbox.enqueue({ quote: 3 }, { endpoint: '/api/quote' });
+  await outbox.cancel(other.id);
+  if (entries.size !== 0 || changes.at(-1) !== 'cancelled' || timers.size !== 0) problems.push('cancel() kept the request or its timer');
+  return problems;
+}
+
+// Purchasing's copy of the quote: one line per part over both stations, included features at 0,
+// and extended prices (unit price × quantity) adding up to the grand total
+function checkBom(catalog) {
+  const problems = [];
+  const store = createStore({ state: createInitialState() });
+  store.dispatch(actions.addStation({ config: { ...snapshotConfig(store.getState()), product: Object.keys(catalog.PRODUCTS).at(-1) } }));
+  store.dispatch(actions.setStationQuantity(store.getState().activeStation, 4));
+  Object.keys(catalog.SERVICES).forEach((id) => store.dispatch(actions.toggleService(id, true)));
+  store.dispatch(actions.setDestination({ country: HOME_COUNTRY, location: Object.keys(catalog.US_STATES)[0] }));
+
+  Object.values(catalog.PRICE_BOOKS).forEach((priceBook) => {
+    const state = store.dispatch(actions.setPriceBook(priceBook.id));
+    const bom = buildBom(state, { now: new Date(0) });
+    const quote = priceQuote(state);
+    const label = `BOM in ${priceBook.id}`;
+
+    bom.lines.forEach((line) => {
+      if (line.quantity * line.unitPrice !== line.extendedPrice) problems.push(`${label}: ${line.description} is not ${line.quantity} × ${line.unitPrice}`);
+      if (['product', 'feature', 'accessory', 'service'].includes(line.kind) && !line.sku) problems.push(`${label}: ${line.description} has no SKU`);
+    });
+    quote.stations.forEach((station) => {
+      station.pricing.lines.forEach((part) => {
+        const line = bom.lines.find((candidate) => candidate.kind === part.kind && candidate.id === part.id);
+        const quantity = quote.stations
+          .filter((other) => other.pricing.lines.some((otherPart) => otherPart.kind === part.kind && otherPart.id === part.id))
+          .reduce((total, other) => total + other.quantity, 0);
+        if (!line || line.quantity !== quantity || (part.included && (line.unitPrice !== 0 || !line.included))) {
+          problems.push(`${label}: ${part.kind} ${part.id} isn't listed as ${quantity} units: ${JSON.stringify(line)}`);
+        }
+      });
+    });
+    const sum = bom.lines.reduce((total, line) => total + line.extendedPrice, 0);
+    if (sum !== bom.total || bom.total !== quote.grandTotal) problems.push(`${label} adds up to ${sum}, not ${quote.grandTotal}`);
+
+    const rows = bomToCsv(bom).split('\r\n');
+    const product = bom.lines.find((line) => line.kind === 'product');
+    if (rows[0] !== BOM_COLUMNS.map((column) => column.label).join(',') || rows.length !== bom.lines.length + 2 ||
+      !rows[1].startsWith(`${product.sku},"${product.description.replace(/"/g, '""')}",`)) {
+      problems.push(`${label} CSV is malformed: ${JSON.stringify(rows.slice(0, 2))}`);
+    }
+  });
+  return problems;
+}
+
+function checkQuoteDocuments(catalog) {
+  const problems = [];
+  const items = new Map();
+  const storage = { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+  let time = Date.parse('2026-01-15T12:00:00Z');
+  const documents = createQuoteDocuments(storage, { now: () => new Date(time) });
+
+  const labels = [1, 2, 26, 27, 52, 703].map(revisionLabel).join();
+  if (labels !== 'A,B,Z,AA,AZ,AAA') problems.push(`revisionLabel counts wrong: ${labels}`);
+
+  const store = createStore({ state: createInitialState() });
+  const numbers = new Set(Array.from({ length: 50 }, () => documents.create(store.getState()).number));
+  const device = new Set([...numbers].map((number) => number.split('-')[2]));
+  if (numbers.size !== 50 || device.size !== 1 || ![...numbers].every((number) => /^MQ-260115(-[2-9A-HJ-NP-Z]{4}){2}$/.test(number))) {
+    problems.push(`Quote numbers aren't unique or well-formed: ${[...numbers].slice(0, 5).join(', ')}`);
+  }
+  // The device code is kept, so the browser's later numbers carry it too
+  const later = createQuoteDocuments(storage, { now: () => new Date(time) }).create(store.getState()).number;
+  if (!device.has(later.split('-')[2])) problems.push(`A reopened browser numbered a quote ${later}, not with device code ${[...device][0]}`);
+
+  const first = documents.issue(store.getState());
+  const again = documents.issue(store.getState(), first.quote.id);
+  if (!first.issued || again.issued || again.revision.label !== 'A') problems.push('Issuing an unchanged quote made a new revision');
+  const days = (Date.parse(first.revision.expiresAt) - Date.parse(first.revision.issuedAt)) / 86400000;
+  if (days !== QUOTE_VALIDITY_DAYS) problems.push(`A quote is valid for ${days} days, not ${QUOTE_VALIDITY_DAYS}`);
+
+  // The catalog text a PDF prints beside the prices is frozen with them
+  const frozenProduct = first.revision.quote.stations[0].pricing.lines.find((line) => line.kind === 'product');
+  const issuedProduct = catalog.PRODUCTS[frozenProduct.id];
+  if (frozenProduct.sku !== issuedProduct.sku || frozenProduct.subtitle !== (issuedProduct.subtitle || '') ||
+    JSON.stringify(frozenProduct.dimensions) !== JSON.stringify(issuedProduct.dimensions ?? null)) {
+    problems.push(`Revision A didn't freeze the model's SKU, subtitle and dimensions: ${JSON.stringify(frozenProduct)}`);
+  }
+
+  // A second station and another price book: revision B, with revision A's prices untouched
+  const frozenTotal = first.revision.quote.grandTotal;
+  store.dispatch(actions.addStation({ config: { ...snapshotConfig(store.getState()), product: Object.keys(catalog.PRODUCTS).at(-1) } }));
+  store.dispatch(actions.setStationQuantity(store.getState().activeStation, 3));
+  const otherBook = Object.keys(catalog.PRICE_BOOKS).find((id) => id !== store.getState().priceBook);
+  if (otherBook) store.dispatch(actions.setPriceBook(otherBook));
+  const second = documents.issue(store.getState(), first.quote.id);
+  const stored = documents.get(first.quote.id);
+  if (!second.issued || second.revision.label !== 'B' || stored.revisions.length !== 2 || stored.revisions[0].quote.grandTotal !== frozenTotal) {
+    problems.push(`Revising didn't keep revision A: ${JSON.stringify(stored.revisions.map((revision) => [revision.label, revision.quote.grandTotal]))}`);
+  }
+  const { changes, total } = compareRevisions(stored.revisions[0], stored.revisions[1]);
+  const messages = changes.map((change) => `${change.scope}: ${change.message}`);
+  const expected = ['Station 2: Added: 3 ×', ...(otherBook ? ['Quote: Price book:'] : [])];
+  if (!expected.every((start) => messages.some((message) => message.startsWith(start))) || total.difference !== total.to - total.from) {
+    problems.push(`compareRevisions missed changes: ${JSON.stringify({ messages, total })}`);
+  }
+
+  // Past its expiry an unchanged quote is re-issued as a new revision
+  time += (QUOTE_VALIDITY_DAYS + 1) * 86400000;
+  const expired = documents.issue(store.getState(), first.quote.id);
+  if (!expired.issued || expired.revision.label !== 'C' || compareRevisions(second.revision, expired.revision).changes.length !== 0) {
+    problems.push('An expired quote was not re-issued unchanged');
+  }
+
+  // Reopening a revision gives back the same quote
+  const reopened = createStore({ state: createInitialState() });
+  reopened.dispatch(actions.loadQuote(stored.revisions[1].state));
+  if (JSON.stringify(priceQuote(reopened.getState())) !== JSON.stringify(priceQuote(store.getState()))) {
+    problems.push('A reopened revision prices differently from the quote it was issued for');
+  }
+  return problems;
+}
+
+// The app shell: what configurator.html links, the data it fetches and every js/*.js
+async function checkOfflineShell() {
+  const problems = [];
+  const worker = await readText('service-worker.js');
+  const list = worker.match(/const PRECACHE_URLS = \[([^\]]*)\]/);
+  if (!list) return ['service-worker.js has no PRECACHE_URLS list'];
+  const precached = new Set([...list[1].matchAll(/'([^']+)'/g)].map((match) => match[1]));
+
+  const html = await readText('configurator.html');
+  const linked = [...html.matchAll(/\s(?:src|href)="([^"#]+)"/g)].map((match) => match[1]).filter((url) => !/^[a-z]+:/i.test(url));
+  const imported = Object.values(JSON.parse(html.match(/<script type="importmap">([\s\S]*?)<\/script>/)[1]).imports)
+    .filter((url) => !url.endsWith('/'))
+    .map((url) => url.replace(/^\.\//, ''));
+  const scripts = (await readdir(path.join(ROOT, 'js'))).filter((file) => file.endsWith('.js')).map((file) => `js/${file}`);
+  const vendored = Object.values(VENDOR_FILES).flat().map(([, to]) => `vendor/${to}`);
+  const manifest = JSON.parse(await readText('manifest.webmanifest'));
+  const required = new Set([
+    ...linked, ...imported, ...scripts, ...vendored,
+    'catalog.json', 'rules.json', 'rules-mapping.json',
+    ...manifest.icons.map((icon) => icon.src)
+  ]);
+
+  required.forEach((url) => {
+    if (!precached.has(url)) problems.push(`service-worker.js doesn't precache ${url}`);
+  });
+  for (const url of precached) {
+    if (url.startsWith('vendor/')) {
+      if (!vendored.includes(url)) problems.push(`service-worker.js precaches ${url}, which scripts/vendor-libs.js doesn't copy`);
+    } else {
+      await access(path.join(ROOT, url)).catch(() => problems.push(`service-worker.js precaches ${url}, which doesn't exist`));
+    }
+  }
+  return problems;
+}
+
+function checkSummary(state, catalog) {
+  const { PRODUCTS, FEATURES } = catalog;
+  let summary;
+  try {
+    summary = catalog.getConfigSummary(state);
+  } catch (err) {
+    return [`getConfigSummary threw: ${err.message}`];
+  }
+
+  const problems = [];
+  if (typeof summary !== 'string' || summary.trim() === '') return ['getConfigSummary returned an empty summary'];
+  if (/undefined|null|NaN/.test(summary)) problems.push(`Summary contains a placeholder: "${summary}"`);
+  if (!summary.startsWith(PRODUCTS[state.product].name)) problems.push(`Summary doesn't start with the product name: "${summary}"`);
+  state.features.filter((id) => !FEATURES[id].included).forEach((id) => {
+    if (!summary.includes(FEATURES[id].name)) problems.push(`Summary is missing feature "${FEATURES[id].name}"`);
+  });
+  const count = state.accessories.length;
+  if (count > 0 && !summary.includes(`+ ${count} accessor${count === 1 ? 'y' : 'ies'}`)) {
+    problems.push(`Summary doesn't count ${count} accessories: "${summary}"`);
+  }
+  return problems;
+}
+
+// A state the app can reach must pass validateConfig, and the rules it already satisfies can't warn
+function checkValidation(engine, state) {
+  const { errors, warnings } = validateConfig(state, { rules: engine });
+  return [
+    ...errors.map((error) => `validateConfig error: ${error.message}`),
+    ...warnings.filter((warning) => warning.code.startsWith('rule-')).map((warning) => `validateConfig warning: ${warning.message}`)
+  ];
+}
+
+function checkShareLink(state) {
+  const hash = encodeShareLink(state);
+  const { state: decoded, errors } = decodeShareLink(hash);
+  if (!decoded) return [`Share link "${hash}" was rejected: ${errors.join('; ')}`];
+  if (stateKey(decoded) !== stateKey(state)) return [`Share link "${hash}" decodes to ${stateKey(decoded)}`];
+  return [];
+}
+
+function checkRules(engine, state, result) {
+  const problems = [];
+  const selected = (key) => {
+    const [group, id] = key.split(':');
+    const value = state[group];
+    return Array.isArray(value) ? value.includes(id) : value === id;
+  };
+
+  result.hidden.forEach((reasons, key) => {
+    if (selected(key)) problems.push(`"${key}" is selected but hidden by ${reasons.map((reason) => reason.ruleName).join(', ')}`);
+  });
+  result.required.forEach((reasons, key) => {
+    if (!result.hidden.has(key) && !selected(key)) problems.push(`"${key}" is required but not selected`);
+  });
+
+  const again = structuredClone(state);
+  engine.apply(again);
+  if (stateKey(again) !== stateKey(state)) {
+    problems.push(`Re-applying rules changed the state: ${stateKey(state)} -> ${stateKey(again)}`);
+  }
+  return problems;
+}
+
+// ============================================
+// Viewer
+// ============================================
+const OPTIONAL_PARTS = Object.keys(MODEL_OPTIONS);
+
+// Every reachable layout with each of its reachable parts alone (tightest placement bounds)
+// and with all of them together.
+function layoutModelConfigs(modelConfigs) {
+  const layouts = new Map();
+  modelConfigs.forEach((config) => {
+    const key = JSON.stringify([config.width, config.baseStyle, config.sinkPosition]);
+    if (!layouts.has(key)) layouts.set(key, { config, parts: new Set() });
+    OPTIONAL_PARTS.filter((part) => config[part]).forEach((part) => layouts.get(key).parts.add(part));
+  });
+
+  const configs = [];
+  layouts.forEach(({ config, parts }) => {
+    const bare = { ...config };
+    OPTIONAL_PARTS.forEach((part) => { bare[part] = false; });
+    configs.push(bare);
+    parts.forEach((part) => configs.push({ ...bare, [part]: true }));
+    configs.push({ ...bare, ...Object.fromEntries([...parts].map((part) => [part, true])) });
+  });
+  return configs;
+}
+
+function checkModels(modelConfigs, report, catalog) {
+  const viewer = new MopecViewer({ headless: true, catalog });
+  modelConfigs.forEach((modelConfig) => {
+    viewer.update(modelConfig);
+    const issues = viewer.validateModel();
+    if (issues.length > 0) report('viewer', { modelConfig }, issues);
+  });
+
+  // A part asked for directly (window.update3DModel) still only shows on the models it exists on
+  Object.entries(MODEL_OPTIONS).forEach(([flag, { group, id }]) => {
+    const { availableOn } = catalog[group === 'features' ? 'FEATURES' : 'ACCESSORIES'][id] || {};
+    if (!Array.isArray(availableOn)) return;
+    Object.values(catalog.PRODUCTS)
+      .filter((product) => !availableOn.includes(product.id) && !availableOn.includes(product.modelWidth))
+      .forEach((product) => {
+        const modelConfig = { width: product.modelWidth, sinkPosition: 'left', [flag]: true };
+        viewer.update(modelConfig);
+        if (viewer.modelConfig[flag]) report('viewer', { modelConfig }, [`${flag} is drawn on ${product.name}, which can't have it`]);
+      });
+  });
+  viewer.dispose();
+}
+
+// ============================================
+// Main
+// ============================================
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Throws, listing the problems, when catalog.json fails validation
+  installCatalog(JSON.parse(await readText('catalog.json')));
+  const engine = await loadRulesEngine(catalog);
+  const ui = readUiOptions(catalog);
+  const coupled = args.exhaustive
+    ? null
+    : new Set([...ruleTargets(engine), ...constrainedTargets(catalog, ui.features, ui.accessories)]);
+  const space = optionSpace(catalog, ui, coupled);
+
+  const failures = [];
+  const failureCounts = {};
+  const report = (check, details, problems) => {
+    failureCounts[check] = (failureCounts[check] || 0) + 1;
+    if (failureCounts[check] <= MAX_EXAMPLES) failures.push({ check, ...details, problems });
+  };
+
+  // Options rules only trigger on must be enumerated in full too, or rule interplay goes untested
+  if (coupled) {
+    const acted = ruleTargets(engine, { triggers: false });
+    const triggerOnly = [...ruleTargets(engine, { actions: false })].filter((key) => !acted.has(key));
+    if (!triggerOnly.some((key) => coupled.has(key))) {
+      report('harness', {}, ['No option rules only trigger on is enumerated in full; ruleTargets() finds no triggers']);
+    }
+  }
+  checkCatalog(catalog).forEach((problem) => report('catalog', {}, [problem]));
+  (await checkRulesLint()).forEach((problem) => report('rulesLint', {}, [problem]));
+  checkSavedConfigurations(catalog).forEach((problem) => report('savedConfigurations', {}, [problem]));
+  checkCompare(catalog).forEach((problem) => report('compare', {}, [problem]));
+  checkUndoHistory(catalog).forEach((problem) => report('undoHistory', {}, [problem]));
+  checkQuote(catalog).forEach((problem) => report('quote', {}, [problem]));
+  checkEstimate(catalog).forEach((problem) => report('estimate', {}, [problem]));
+  checkQuoteRequest(catalog).forEach((problem) => report('quoteRequest', {}, [problem]));
+  (await checkQuoteOutbox()).forEach((problem) => report('quoteOutbox', {}, [problem]));
+  checkBom(catalog).forEach((problem) => report('bom', {}, [problem]));
+  checkQuoteDocuments(catalog).forEach((problem) => report('quoteDocuments', {}, [problem]));
+  (await checkOfflineShell()).forEach((problem) => report('offline', {}, [problem]));
+
+  const reached = new Map();
+  const constrainedInputs = new Set();
+  let combinationCount = 0;
+  for (const input of combinations(space)) {
+    combinationCount++;
+    if (combinationCount % 50000 === 0) process.stderr.write(`  ${combinationCount} combinations...\n`);
+    const state = structuredClone(applyConstraints(input));
+
+    // e.g. "second sink" on a 72" is dropped before rules run, same as without it
+    const inputKey = stateKey(state);
+    if (constrainedInputs.has(inputKey)) continue;
+    constrainedInputs.add(inputKey);
+
+    engine.reset();
+    let result;
+    try {
+      result = engine.apply(state);
+    } catch (err) {
+      report('rules', { input }, [`apply threw: ${err.message}`]);
+      continue;
+    }
+
+    const problems = checkRules(engine, state, result);
+    if (problems.length > 0) report('rules', { input, state }, problems);
+
+    const key = stateKey(state);
+    if (!reached.has(key)) reached.set(key, state);
+  }
+
+  reached.forEach((state) => {
+    const stateProblems = checkState(state, catalog);
+    if (stateProblems.length > 0) {
+      report('state', { state }, stateProblems);
+      return;
+    }
+    const pricing = checkPricing(state, catalog);
+    if (pricing.length > 0) report('pricing', { state }, pricing);
+    const summary = checkSummary(state, catalog);
+    if (summary.length > 0) report('summary', { state }, summary);
+    const validation = checkValidation(engine, state);
+    if (validation.length > 0) report('validation', { state }, validation);
+    const shareLink = checkShareLink(state);
+    if (shareLink.length > 0) report('shareLink', { state }, shareLink);
+  });
+
+  let modelCount = 0;
+  if (args.viewer !== 'none') {
+    const distinct = new Map();
+    reached.forEach((state) => {
+      const modelConfig = toModelConfig(state);
+      distinct.set(JSON.stringify(modelConfig), modelConfig);
+    });
+    const modelConfigs = args.viewer === 'all' ? [...distinct.values()] : layoutModelConfigs([...distinct.values()]);
+    modelCount = modelConfigs.length;
+    checkModels(modelConfigs, report, catalog);
+  }
+
+  const failureTotal = Object.values(failureCounts).reduce((sum, count) => sum + count, 0);
+  const output = {
+    generatedAt: new Date().toISOString(),
+    options: { exhaustive: args.exhaustive, viewer: args.viewer },
+    space,
+    counts: {
+      combinations: combinationCount,
+      reachableStates: reached.size,
+      models: modelCount,
+      failures: failureTotal,
+      failuresByCheck: failureCounts
+    },
+    failures
+  };
+  process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+
+  process.stderr.write(
+    `${combinationCount} combinations, ${reached.size} reachable states, ${modelCount} models built: ` +
+    `${failureTotal === 0 ? 'all checks passed' : `${failureTotal} failure(s) ${JSON.stringify(failureCounts)}`}\n`
+  );
+  process.exitCode = failureTotal > 0 ? 1 : 0;
+}
+
+main().catch((err) => {
+  process.stderr.write(`${err.stack || err.message}\n`);
+  process.exitCode = 2;
+});